@@ -0,0 +1,372 @@
+// Hash algorithm registry shared by every suite, quick-test.js and worker-hasher.js
+//
+// Each entry declares its metadata (output width, cryptographic status, required
+// package) and a bind() function that receives the loaded package and returns:
+//   oneShot(data)            hash a whole buffer, returns the raw digest
+//   createHasher()           incremental hasher: { update(chunk), digest() -> hex }
+//   createSeededHasher(seed) seeded incremental hasher, or null if unsupported
+//
+// Checksums whose partial results can be merged also declare
+//   combine(digestA, digestB, lengthB)  hex digest of A || B from the digests of A and B
+// (null otherwise), which the parallel suite uses to hash file ranges independently.
+//
+// type is 'native' (node:crypto), 'external' (npm package) or 'javascript' (pure-JS
+// implementation in js-hashes.js). JavaScript entries name the native or external
+// algorithm they reimplement in reference (null when there is none); their digests must
+// be identical to it.
+//
+// Seeded and keyed variants declare their fixed seed (number) or key (Buffer) in seed /
+// key, null otherwise; the tables show them next to the output width. SEED is the one
+// xxHash's own tests use, and the keys are those of the RFC 4231 and BLAKE2 reference
+// test vectors, so the known-answer tests cover the configuration being measured.
+//
+// hasherType is the type of createHasher() when it differs from type: @node-rs/xxhash
+// has no incremental 128-bit XXH3, so xxh3-128 streams through js-hashes.js.
+//
+// Adding an entry here makes the algorithm appear in every suite (unless --algo names
+// them, the in-memory suite leaves the JavaScript entries out and the file suites also
+// the entries with a JavaScript hasher).
+
+const crypto = require('crypto');
+const { CRC32_POLY, CRC32C_POLY, crcCombine } = require('./crc-combine');
+const js = require('./js-hashes');
+
+const SEED = 0x9E3779B1;
+const HMAC_KEY = Buffer.alloc(20, 0x0b);
+const BLAKE2B_KEY = Buffer.from(Array.from({ length: 64 }, (_, i) => i));
+const BLAKE2S_KEY = BLAKE2B_KEY.subarray(0, 32);
+
+// Format a raw digest (Buffer, bigint or 32-bit number) as zero-padded hex
+function digestToHex(value, outputBits) {
+  if (Buffer.isBuffer(value)) return value.toString('hex');
+  if (typeof value === 'bigint') return value.toString(16).padStart(outputBits / 4, '0');
+  if (typeof value === 'number') return (value >>> 0).toString(16).padStart(outputBits / 4, '0');
+  return String(value);
+}
+
+// Wrap an @node-rs hasher object (update/digest) as a hex-producing incremental hasher
+function wrapHasher(hasher, outputBits) {
+  return {
+    update: (chunk) => { hasher.update(chunk); },
+    digest: () => digestToHex(hasher.digest(), outputBits)
+  };
+}
+
+function crcCombiner(poly) {
+  return (digestA, digestB, lengthB) =>
+    digestToHex(crcCombine(poly, parseInt(digestA, 16), parseInt(digestB, 16), lengthB), 32);
+}
+
+// CRCs are incremental through their running state
+function crcHasher(crcFn, initialState = 0) {
+  let state = initialState;
+  return {
+    update: (chunk) => { state = crcFn(chunk, state); },
+    digest: () => digestToHex(state, 32)
+  };
+}
+
+function native(name, label, outputBits, options = {}) {
+  return {
+    name,
+    label,
+    type: 'native',
+    package: null,
+    outputBits,
+    cryptographic: options.cryptographic !== false,
+    combine: null,
+    bind: () => ({
+      oneShot: (data) => crypto.createHash(name).update(data).digest(),
+      createHasher: () => {
+        const hash = crypto.createHash(name);
+        return {
+          update: (chunk) => { hash.update(chunk); },
+          digest: () => hash.digest('hex')
+        };
+      },
+      createSeededHasher: null
+    })
+  };
+}
+
+function hmac(hash, label, outputBits) {
+  return {
+    name: `hmac-${hash}`,
+    label,
+    type: 'native',
+    package: null,
+    outputBits,
+    cryptographic: true,
+    combine: null,
+    hash,
+    key: HMAC_KEY,
+    bind: () => ({
+      oneShot: (data) => crypto.createHmac(hash, HMAC_KEY).update(data).digest(),
+      createHasher: () => {
+        const mac = crypto.createHmac(hash, HMAC_KEY);
+        return {
+          update: (chunk) => { mac.update(chunk); },
+          digest: () => mac.digest('hex')
+        };
+      },
+      createSeededHasher: null
+    })
+  };
+}
+
+function javascript(name, label, outputBits, reference, hashers, options = {}) {
+  return {
+    name,
+    label,
+    type: 'javascript',
+    package: null,
+    outputBits,
+    cryptographic: options.cryptographic === true,
+    combine: options.combine || null,
+    reference,
+    key: options.key || null,
+    bind: () => hashers
+  };
+}
+
+const ALGORITHMS = [
+  native('sha256', 'SHA-256', 256),
+  native('sha1', 'SHA-1', 160),
+  native('md5', 'MD5', 128),
+  native('blake2b512', 'BLAKE2b', 512),
+  native('blake2s256', 'BLAKE2s', 256),
+  native('sha3-256', 'SHA3-256', 256),
+  native('sha384', 'SHA-384', 384),
+  native('sha512', 'SHA-512', 512),
+  native('shake256', 'SHAKE256', 256),
+  hmac('sha256', 'HMAC-SHA256', 256),
+  hmac('sha512', 'HMAC-SHA512', 512),
+  {
+    name: 'xxh32',
+    label: 'xxHash32',
+    type: 'external',
+    package: '@node-rs/xxhash',
+    outputBits: 32,
+    cryptographic: false,
+    combine: null,
+    bind: ({ xxh32, Xxh32 }) => ({
+      oneShot: (data) => xxh32(data),
+      createHasher: () => wrapHasher(new Xxh32(), 32),
+      createSeededHasher: (seed) => wrapHasher(new Xxh32(Number(seed) >>> 0), 32)
+    })
+  },
+  {
+    name: 'xxh64',
+    label: 'xxHash64',
+    type: 'external',
+    package: '@node-rs/xxhash',
+    outputBits: 64,
+    cryptographic: false,
+    combine: null,
+    bind: ({ xxh64, Xxh64 }) => ({
+      oneShot: (data) => xxh64(data),
+      createHasher: () => wrapHasher(new Xxh64(), 64),
+      createSeededHasher: (seed) => wrapHasher(new Xxh64(BigInt(seed)), 64)
+    })
+  },
+  {
+    name: 'xxh64-seeded',
+    label: 'xxHash64 (seeded)',
+    type: 'external',
+    package: '@node-rs/xxhash',
+    outputBits: 64,
+    cryptographic: false,
+    combine: null,
+    seed: SEED,
+    bind: ({ xxh64, Xxh64 }) => ({
+      oneShot: (data) => xxh64(data, BigInt(SEED)),
+      createHasher: () => wrapHasher(new Xxh64(BigInt(SEED)), 64),
+      createSeededHasher: (seed) => wrapHasher(new Xxh64(BigInt(seed)), 64)
+    })
+  },
+  {
+    name: 'xxh3-64',
+    label: 'xxHash3-64',
+    type: 'external',
+    package: '@node-rs/xxhash',
+    outputBits: 64,
+    cryptographic: false,
+    combine: null,
+    bind: ({ xxh3 }) => ({
+      oneShot: (data) => xxh3.xxh64(data),
+      createHasher: () => wrapHasher(xxh3.Xxh3.withSeed(), 64),
+      createSeededHasher: (seed) => wrapHasher(xxh3.Xxh3.withSeed(BigInt(seed)), 64)
+    })
+  },
+  {
+    name: 'xxh3-64-seeded',
+    label: 'xxHash3-64 (seeded)',
+    type: 'external',
+    package: '@node-rs/xxhash',
+    outputBits: 64,
+    cryptographic: false,
+    combine: null,
+    seed: SEED,
+    bind: ({ xxh3 }) => ({
+      oneShot: (data) => xxh3.xxh64(data, BigInt(SEED)),
+      createHasher: () => wrapHasher(xxh3.Xxh3.withSeed(BigInt(SEED)), 64),
+      createSeededHasher: (seed) => wrapHasher(xxh3.Xxh3.withSeed(BigInt(seed)), 64)
+    })
+  },
+  {
+    name: 'xxh3-128',
+    label: 'xxHash3-128',
+    type: 'external',
+    hasherType: 'javascript',
+    package: '@node-rs/xxhash',
+    outputBits: 128,
+    cryptographic: false,
+    combine: null,
+    bind: ({ xxh3 }) => ({
+      oneShot: (data) => xxh3.xxh128(data),
+      createHasher: () => new js.Xxh3(0, 128),
+      createSeededHasher: (seed) => new js.Xxh3(seed, 128)
+    })
+  },
+  {
+    name: 'xxh3-128-seeded',
+    label: 'xxHash3-128 (seeded)',
+    type: 'external',
+    hasherType: 'javascript',
+    package: '@node-rs/xxhash',
+    outputBits: 128,
+    cryptographic: false,
+    combine: null,
+    seed: SEED,
+    bind: ({ xxh3 }) => ({
+      oneShot: (data) => xxh3.xxh128(data, BigInt(SEED)),
+      createHasher: () => new js.Xxh3(SEED, 128),
+      createSeededHasher: (seed) => new js.Xxh3(seed, 128)
+    })
+  },
+  {
+    name: 'crc32',
+    label: 'CRC32',
+    type: 'external',
+    package: '@node-rs/crc32',
+    outputBits: 32,
+    cryptographic: false,
+    combine: crcCombiner(CRC32_POLY),
+    bind: ({ crc32 }) => ({
+      oneShot: (data) => crc32(data),
+      createHasher: () => crcHasher(crc32),
+      createSeededHasher: null
+    })
+  },
+  {
+    name: 'crc32c',
+    label: 'CRC32C',
+    type: 'external',
+    package: '@node-rs/crc32',
+    outputBits: 32,
+    cryptographic: false,
+    combine: crcCombiner(CRC32C_POLY),
+    bind: ({ crc32c }) => ({
+      oneShot: (data) => crc32c(data),
+      createHasher: () => crcHasher(crc32c),
+      createSeededHasher: null
+    })
+  },
+  javascript('crc32-js', 'CRC32 (JS)', 32, 'crc32', {
+    oneShot: (data) => js.crc32(data),
+    createHasher: () => crcHasher(js.crc32),
+    createSeededHasher: null
+  }, { combine: crcCombiner(CRC32_POLY) }),
+  javascript('crc32c-js', 'CRC32C (JS)', 32, 'crc32c', {
+    oneShot: (data) => js.crc32c(data),
+    createHasher: () => crcHasher(js.crc32c),
+    createSeededHasher: null
+  }, { combine: crcCombiner(CRC32C_POLY) }),
+  javascript('xxh32-js', 'xxHash32 (JS)', 32, 'xxh32', {
+    oneShot: (data) => js.xxh32(data),
+    createHasher: () => new js.Xxh32(),
+    createSeededHasher: (seed) => new js.Xxh32(Number(seed) >>> 0)
+  }),
+  javascript('xxh64-js', 'xxHash64 (JS)', 64, 'xxh64', {
+    oneShot: (data) => js.xxh64(data),
+    createHasher: () => new js.Xxh64(),
+    createSeededHasher: (seed) => new js.Xxh64(BigInt(seed))
+  }),
+  javascript('fnv1a-32', 'FNV-1a 32', 32, null, {
+    oneShot: (data) => js.fnv1a32(data),
+    createHasher: () => new js.Fnv1a32(),
+    createSeededHasher: null
+  }),
+  javascript('fnv1a-64', 'FNV-1a 64', 64, null, {
+    oneShot: (data) => js.fnv1a64(data),
+    createHasher: () => new js.Fnv1a64(),
+    createSeededHasher: null
+  }),
+  javascript('murmur3-32', 'MurmurHash3 x86_32', 32, null, {
+    oneShot: (data) => js.murmur3_32(data),
+    createHasher: () => new js.Murmur3(),
+    createSeededHasher: (seed) => new js.Murmur3(Number(seed) >>> 0)
+  }),
+  // node:crypto cannot key BLAKE2 (createHmac('blake2b512') is HMAC, a different MAC)
+  javascript('blake2b512-keyed', 'BLAKE2b (keyed)', 512, null, {
+    oneShot: (data) => js.blake2b(data, BLAKE2B_KEY),
+    createHasher: () => new js.Blake2b(64, BLAKE2B_KEY),
+    createSeededHasher: null
+  }, { cryptographic: true, key: BLAKE2B_KEY }),
+  javascript('blake2s256-keyed', 'BLAKE2s (keyed)', 256, null, {
+    oneShot: (data) => js.blake2s(data, BLAKE2S_KEY),
+    createHasher: () => new js.Blake2s(32, BLAKE2S_KEY),
+    createSeededHasher: null
+  }, { cryptographic: true, key: BLAKE2S_KEY })
+];
+
+const loaded = new Map();
+
+function getAlgorithm(name) {
+  const algo = ALGORITHMS.find(a => a.name === name);
+  if (!algo) {
+    throw new Error(`Unknown algorithm: ${name} (available: ${ALGORITHMS.map(a => a.name).join(', ')})`);
+  }
+  return algo;
+}
+
+function isAvailable(algo) {
+  if (!algo.package) return true;
+  try {
+    require.resolve(algo.package);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Resolve an algorithm (entry or name) to its bound implementation; throws if its package is missing
+function loadAlgorithm(algoOrName) {
+  const algo = typeof algoOrName === 'string' ? getAlgorithm(algoOrName) : algoOrName;
+  if (loaded.has(algo.name)) return loaded.get(algo.name);
+
+  let lib = null;
+  if (algo.package) {
+    try {
+      lib = require(algo.package);
+    } catch (error) {
+      throw new Error(`${algo.name} requires ${algo.package} (npm install ${algo.package})`);
+    }
+  }
+
+  const impl = {
+    ...algo,
+    ...algo.bind(lib),
+    toHex: (value) => digestToHex(value, algo.outputBits)
+  };
+  loaded.set(algo.name, impl);
+  return impl;
+}
+
+module.exports = {
+  ALGORITHMS,
+  getAlgorithm,
+  isAvailable,
+  loadAlgorithm,
+  digestToHex
+};
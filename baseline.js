@@ -0,0 +1,136 @@
+// Named baselines: save a run's results and detect regressions in later runs
+//
+// Baselines are stored as results-export JSON documents in ./baselines/<name>.json,
+// so a baseline can also be produced by copying any --json export there. The directory is
+// git-ignored: baselines are machine-specific, so they stay local.
+
+const fs = require('fs');
+const path = require('path');
+const { SCHEMA_VERSION, writeJsonReport } = require('./results-export');
+
+const BASELINE_DIR = path.join(__dirname, 'baselines');
+const DEFAULT_THRESHOLD_PCT = 10;
+
+// Suites compared against a baseline (efficiency rows are derived from streaming + pure I/O)
+const COMPARED_SUITES = ['in-memory', 'small-input', 'streaming', 'worker', 'parallel', 'chunking', 'delta', 'small-files'];
+
+function baselinePath(name) {
+  if (!/^[\w.-]+$/.test(name)) {
+    throw new Error(`Invalid baseline name "${name}" (use letters, digits, '.', '_' or '-')`);
+  }
+  return path.join(BASELINE_DIR, `${name}.json`);
+}
+
+function listBaselines() {
+  if (!fs.existsSync(BASELINE_DIR)) return [];
+  return fs.readdirSync(BASELINE_DIR)
+    .filter(file => file.endsWith('.json'))
+    .map(file => path.basename(file, '.json'))
+    .sort();
+}
+
+function saveBaseline(name, run, records) {
+  const file = baselinePath(name);
+  fs.mkdirSync(BASELINE_DIR, { recursive: true });
+  writeJsonReport(file, run, records);
+  return file;
+}
+
+function loadBaseline(name) {
+  const file = baselinePath(name);
+  if (!fs.existsSync(file)) {
+    const available = listBaselines();
+    throw new Error(`Baseline "${name}" not found` +
+      (available.length > 0 ? ` (available: ${available.join(', ')})` : ''));
+  }
+
+  const document = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (document.schemaVersion !== SCHEMA_VERSION) {
+    throw new Error(`Baseline "${name}" uses schema version ${document.schemaVersion}, expected ${SCHEMA_VERSION} (save it again with --save-baseline)`);
+  }
+  return document;
+}
+
+function recordKey(record) {
+  return [record.suite, record.algorithm, record.method, record.inputSize, record.bufferSize, record.pattern, record.cache].join('|');
+}
+
+// Compare current records against a baseline document. A row regresses when its
+// median GB/s dropped by more than thresholdPct percent. Rows without an algorithm (the
+// chunker-only chunking rows) are matched on suite and method.
+function compareToBaseline(baseline, records, thresholdPct = DEFAULT_THRESHOLD_PCT) {
+  const isCompared = record => COMPARED_SUITES.includes(record.suite) && (record.algorithm || record.method);
+  const baselineByKey = new Map();
+  for (const record of baseline.results.filter(isCompared)) {
+    baselineByKey.set(recordKey(record), record);
+  }
+
+  const rows = [];
+  const seen = new Set();
+
+  for (const current of records.filter(isCompared)) {
+    const key = recordKey(current);
+    const previous = baselineByKey.get(key);
+    seen.add(key);
+
+    const row = {
+      suite: current.suite,
+      algorithm: current.algorithm,
+      method: current.method,
+      inputSize: current.inputSize,
+      bufferSize: current.bufferSize,
+      pattern: current.pattern,
+      cache: current.cache,
+      baselineGbps: previous ? previous.gbps : null,
+      currentGbps: current.gbps,
+      deltaPct: null,
+      status: 'new'
+    };
+
+    if (previous && previous.status === 'ok' && current.status === 'ok') {
+      row.deltaPct = (current.gbps - previous.gbps) / previous.gbps * 100;
+      row.status = row.deltaPct < -thresholdPct ? 'regressed' :
+                   row.deltaPct > thresholdPct ? 'improved' :
+                   'unchanged';
+    } else if (previous && previous.status === 'ok') {
+      // Worked in the baseline, fails now
+      row.status = 'regressed';
+    } else if (previous) {
+      row.status = 'unchanged';
+    }
+
+    rows.push(row);
+  }
+
+  for (const [key, previous] of baselineByKey) {
+    if (seen.has(key)) continue;
+    rows.push({
+      suite: previous.suite,
+      algorithm: previous.algorithm,
+      method: previous.method,
+      inputSize: previous.inputSize,
+      bufferSize: previous.bufferSize,
+      pattern: previous.pattern,
+      cache: previous.cache,
+      baselineGbps: previous.gbps,
+      currentGbps: null,
+      deltaPct: null,
+      status: 'missing'
+    });
+  }
+
+  return {
+    thresholdPct,
+    rows,
+    regressions: rows.filter(row => row.status === 'regressed')
+  };
+}
+
+module.exports = {
+  BASELINE_DIR,
+  DEFAULT_THRESHOLD_PCT,
+  listBaselines,
+  saveBaseline,
+  loadBaseline,
+  compareToBaseline
+};
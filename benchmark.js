@@ -7,8 +7,44 @@ const ora = require('ora');
 const boxen = require('boxen');
 const cliProgress = require('cli-progress');
 const os = require('os');
+const { resolveTestFile, positionalArgs } = require('./test-file');
+const { formatSize } = require('./units');
 
-const FILENAME = 'temp_10GB_file';
+let testFile;
+try {
+  testFile = resolveTestFile();
+} catch (error) {
+  console.error(chalk.red('❌ ' + error.message));
+  process.exit(1);
+}
+
+const FILENAME = testFile.filename;
+
+// index.js options forwarded by the full benchmark (flag followed by a value)
+const FORWARDED_OPTIONS = [
+  '--save-baseline', '--baseline', '--threshold', '--json', '--csv', '--html', '--warmup', '--iterations',
+  '--suite', '--algo', '--sizes', '--patterns', '--message-sizes', '--buffer-sizes', '--workers', '--slots',
+  '--reader', '--cache', '--eviction-file', '--tree', '--tree-files', '--tree-sizes', '--concurrency',
+  '--chunkers', '--chunk-sizes', '--chunk-hash',
+  '--block-sizes'
+];
+
+// index.js boolean flags forwarded by the full benchmark
+const FORWARDED_FLAGS = ['--verify', '--read-apis'];
+
+function getForwardedArgs() {
+  const args = [];
+  for (const option of FORWARDED_OPTIONS) {
+    const index = process.argv.indexOf(option);
+    if (index !== -1 && process.argv[index + 1] !== undefined) {
+      args.push(option, process.argv[index + 1]);
+    }
+  }
+  for (const flag of FORWARDED_FLAGS) {
+    if (process.argv.includes(flag)) args.push(flag);
+  }
+  return args;
+}
 
 function runCommand(command, args = []) {
   return new Promise((resolve, reject) => {
@@ -21,7 +57,9 @@ function runCommand(command, args = []) {
       if (code === 0) {
         resolve();
       } else {
-        reject(new Error(`Command failed with exit code ${code}`));
+        const error = new Error(`Command failed with exit code ${code}`);
+        error.exitCode = code;
+        reject(error);
       }
     });
     
@@ -30,13 +68,20 @@ function runCommand(command, args = []) {
 }
 
 async function runBenchmark() {
-  const testType = process.argv[2] || 'basic';
+  const testType = positionalArgs(testFile.args, [...FORWARDED_OPTIONS, '--seed'])[0] || 'basic';
   const keepFile = process.argv.includes('--keep-file');
+  const forwardedArgs = getForwardedArgs();
+  const seedIndex = process.argv.indexOf('--seed');
+  const seedArgs = seedIndex !== -1 && process.argv[seedIndex + 1] !== undefined
+    ? ['--seed', process.argv[seedIndex + 1]]
+    : [];
     
   console.log(boxen(
     chalk.bold.cyan('🏁 Hash Performance Benchmark Suite\n\n') +
     chalk.blue('Test type: ') + chalk.white(testType) + '\n' +
+    chalk.blue('Test file: ') + chalk.white(`${FILENAME} (${testFile.sizeName})`) + '\n' +
     chalk.blue('Keep file: ') + chalk.white(keepFile ? 'Yes' : 'No') + '\n' +
+    (forwardedArgs.length > 0 ? chalk.blue('Options: ') + chalk.white(forwardedArgs.join(' ')) + '\n' : '') +
     chalk.blue('Platform: ') + chalk.white(process.platform) + '\n' +
     chalk.blue('Available memory: ') + chalk.white(os.freemem() / 1024 / 1024 / 1024 + 'GB') + '\n' +
     chalk.blue('Total memory: ') + chalk.white(os.totalmem() / 1024 / 1024 / 1024 + 'GB') + '\n' +
@@ -68,14 +113,14 @@ async function runBenchmark() {
     progressBar.update(currentStep, { step: 'Creating test file' });
     
     console.log(chalk.bold.green('\n📁 Creating test file...'));
-    await runCommand('node', ['create-testfile.js', 'random']);
+    await runCommand('node', ['create-testfile.js', 'random', ...testFile.configArgs, ...seedArgs]);
     
     // Show file info
     currentStep++;
     progressBar.update(currentStep, { step: 'File information' });
     
     console.log(chalk.bold.blue('\n📋 File information...'));
-    await runCommand('node', ['info.js']);
+    await runCommand('node', ['info.js', ...testFile.configArgs]);
     
     currentStep++;
     if (testType === 'full') {
@@ -84,7 +129,7 @@ async function runBenchmark() {
     
       console.log(chalk.bold.magenta('\n🏆 Main performance benchmark...'));
       if (fs.existsSync('index.js')) {
-        await runCommand('node', ['index.js', FILENAME]);
+        await runCommand('node', ['index.js', FILENAME, ...forwardedArgs]);
       } else {
         console.log(chalk.yellow('⚠️  Main performance test file not found'));
       }
@@ -101,7 +146,7 @@ async function runBenchmark() {
       progressBar.update(currentStep, { step: 'Cleaning up' });
       
       console.log(chalk.bold.red('\n🧹 Final Step: Cleaning up...'));
-      await runCommand('node', ['clean.js']);
+      await runCommand('node', ['clean.js', ...testFile.configArgs]);
     } else {
       console.log(chalk.bold.green('\n📁 Keeping test file for further testing'));
     }
@@ -125,6 +170,11 @@ async function runBenchmark() {
     
   } catch (error) {
     progressBar.stop();
+
+    // index.js exits with code 2 when a baseline comparison finds a regression
+    if (error.exitCode === 2) {
+      error.message = 'Performance regression against baseline detected';
+    }
     
     console.log(boxen(
       chalk.red('❌ Benchmark failed\n\n') +
@@ -140,14 +190,14 @@ async function runBenchmark() {
     if (!keepFile && fs.existsSync(FILENAME)) {
       const cleanupSpinner = ora('Attempting cleanup after failure...').start();
       try {
-        await runCommand('node', ['clean.js']);
+        await runCommand('node', ['clean.js', ...testFile.configArgs]);
         cleanupSpinner.succeed('Cleanup completed');
       } catch (cleanupError) {
         cleanupSpinner.fail('Cleanup also failed: ' + cleanupError.message);
       }
     }
     
-    process.exit(1);
+    process.exit(error.exitCode === 2 ? 2 : 1);
   }
 }
 
@@ -162,25 +212,36 @@ function showHelp() {
     
     chalk.bold.cyan('Options:\n') +
     chalk.yellow('  --keep-file  ') + chalk.dim('Keep the test file after completion\n') +
+    chalk.yellow('  --size <size>           ') + chalk.dim('Test file size, e.g. 512MB, 50GB (default 10GB)\n') +
+    chalk.yellow('  --file <path>           ') + chalk.dim('Test file name (default temp_<size>_file)\n') +
+    chalk.yellow('  --seed <seed>           ') + chalk.dim('Seed for the random test file (reproducible data)\n') +
+    chalk.yellow('  --save-baseline <name>  ') + chalk.dim('Save the full run as a named baseline\n') +
+    chalk.yellow('  --baseline <name>       ') + chalk.dim('Compare the full run against a baseline\n') +
+    chalk.yellow('  --threshold <pct>       ') + chalk.dim('Allowed slowdown before failing (default 10%)\n') +
+    chalk.yellow('  --verify                ') + chalk.dim('Check digests against known answers and across paths\n') +
     chalk.yellow('  --help       ') + chalk.dim('Show this help message\n\n') +
     
     chalk.bold.cyan('Examples:\n') +
     chalk.white('  node benchmark.js                ') + chalk.dim('# Basic benchmark\n') +
     chalk.white('  node benchmark.js full           ') + chalk.dim('# Full benchmark with I/O tests\n') +
     chalk.white('  node benchmark.js basic --keep-file  ') + chalk.dim('# Keep test file after\n') +
+    chalk.white('  node benchmark.js full --size 1GB    ') + chalk.dim('# Smaller test file\n') +
     chalk.white('  npm run benchmark                ') + chalk.dim('# Using npm script\n') +
-    chalk.white('  npm run benchmark:full           ') + chalk.dim('# Full benchmark via npm\n\n') +
+    chalk.white('  npm run benchmark:full           ') + chalk.dim('# Full benchmark via npm\n') +
+    chalk.white('  node benchmark.js full --save-baseline node20  ') + chalk.dim('# Record a baseline\n') +
+    chalk.white('  node benchmark.js full --baseline node20       ') + chalk.dim('# Gate on regressions\n\n') +
     
     chalk.bold.yellow('What gets tested:\n') +
     chalk.white('• ') + chalk.cyan('Built-in crypto algorithms (SHA, MD5, BLAKE2)') + '\n' +
     chalk.white('• ') + chalk.magenta('External hash libraries (xxHash, CRC32)') + '\n' +
-    chalk.white('• ') + chalk.green('Streaming hash performance (10GB file)') + '\n' +
+    chalk.white('• ') + chalk.green(`Streaming hash performance (${testFile.sizeName} file)`) + '\n' +
     chalk.white('• ') + chalk.blue('Pure I/O performance (full benchmark only)') + '\n\n' +
     
     chalk.bold.green('Tips:\n') +
     chalk.dim('• Use "full" for comprehensive I/O analysis\n') +
     chalk.dim('• Use --keep-file to run multiple tests on same file\n') +
-    chalk.dim('• Ensure you have at least 15GB free disk space');
+    chalk.dim(`• Ensure you have at least ${formatSize(Math.ceil(testFile.size * 1.5))} free disk space\n`) +
+    chalk.dim('• --size / --file fall back to $HASH_TEST_SIZE / $HASH_TEST_FILE');
 
   console.log(boxen(helpText, { 
     padding: 1, 
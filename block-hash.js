@@ -0,0 +1,191 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const { parseArgs } = require('util');
+const chalk = require('chalk');
+const ora = require('ora');
+const boxen = require('boxen');
+const Table = require('cli-table3');
+const { ALGORITHMS, getAlgorithm, loadAlgorithm } = require('./algorithms');
+const { parseSize, formatSize } = require('./units');
+const { DEFAULT_BLOCK_SIZE, createBlockList, writeBlockList, readBlockList, diffBlockList } = require('./block-list');
+
+const DEFAULT_ALGORITHM = 'xxh3-64';
+
+// Changed ranges printed by diff before the rest are summarized
+const MAX_RANGES_SHOWN = 50;
+
+function parseCliArgs() {
+  const { values, positionals } = parseArgs({
+    options: {
+      algo: { type: 'string' },
+      'block-size': { type: 'string' },
+      output: { type: 'string', short: 'o' },
+      help: { type: 'boolean' }
+    },
+    allowPositionals: true
+  });
+
+  const [command, ...paths] = positionals;
+  return {
+    command,
+    paths,
+    algo: values.algo ? getAlgorithm(values.algo) : null,
+    blockSize: values['block-size'] ? parseSize(values['block-size']) : DEFAULT_BLOCK_SIZE,
+    output: values.output,
+    help: Boolean(values.help)
+  };
+}
+
+function elapsedSince(startTime) {
+  return Number(process.hrtime.bigint() - startTime) / 1_000_000_000;
+}
+
+function formatRate(bytes, seconds) {
+  return seconds > 0 ? chalk.dim(` (${(bytes / (1024 * 1024 * 1024) / seconds).toFixed(2)} GB/s)`) : '';
+}
+
+function listCommand(options) {
+  const [file] = options.paths;
+  const algoName = (options.algo || getAlgorithm(DEFAULT_ALGORITHM)).name;
+  const output = options.output || `${file}.blocks`;
+
+  const spinner = ora(`Hashing ${file} in ${formatSize(options.blockSize)} blocks with ${algoName}...`).start();
+  const startTime = process.hrtime.bigint();
+  const list = createBlockList(file, loadAlgorithm(algoName), options.blockSize);
+  const elapsed = elapsedSince(startTime);
+  writeBlockList(output, list);
+  spinner.stop();
+
+  console.log(boxen(
+    chalk.green(`✅ Wrote ${list.digests.length} ${algoName} block digests to ${output}\n`) +
+    chalk.blue('📊 Hashed: ') + chalk.white(`${formatSize(list.fileSize)} in ${elapsed.toFixed(2)}s`) +
+    formatRate(list.fileSize, elapsed) + '\n' +
+    chalk.blue('🧱 Block size: ') + chalk.white(formatSize(list.blockSize)) + '\n' +
+    chalk.dim('Compare later with: ') + chalk.white(`node block-hash.js diff ${file} ${output}`),
+    { padding: 1, margin: 1, borderStyle: 'round', borderColor: 'green' }
+  ));
+}
+
+function diffCommand(options) {
+  const [file, listFile = `${file}.blocks`] = options.paths;
+  const list = readBlockList(listFile);
+  if (options.algo && options.algo.name !== list.algorithm) {
+    throw new Error(`${listFile} was written with ${list.algorithm}, not ${options.algo.name}`);
+  }
+
+  const spinner = ora(`Comparing ${file} with ${listFile} (${list.algorithm}, ${formatSize(list.blockSize)} blocks)...`).start();
+  const startTime = process.hrtime.bigint();
+  const result = diffBlockList(file, list, loadAlgorithm(list.algorithm));
+  const elapsed = elapsedSince(startTime);
+  spinner.stop();
+
+  if (result.ranges.length > 0) {
+    const table = new Table({
+      head: [chalk.bold.white('Start'), chalk.bold.white('End'), chalk.bold.yellow('Length'), chalk.bold.cyan('Blocks')],
+      colWidths: [18, 18, 12, 16],
+      style: {
+        head: [],
+        border: ['yellow']
+      }
+    });
+    for (const { start, end } of result.ranges.slice(0, MAX_RANGES_SHOWN)) {
+      const first = start / list.blockSize;
+      const last = Math.ceil(end / list.blockSize) - 1;
+      table.push([
+        chalk.white(start),
+        chalk.white(end),
+        chalk.white(formatSize(end - start)),
+        chalk.dim(first === last ? `${first}` : `${first}-${last}`)
+      ]);
+    }
+    console.log(table.toString());
+    if (result.ranges.length > MAX_RANGES_SHOWN) {
+      console.log(chalk.dim(`... and ${result.ranges.length - MAX_RANGES_SHOWN} more range(s)`));
+    }
+  }
+
+  const changedBytes = result.ranges.reduce((sum, { start, end }) => sum + end - start, 0);
+  const unchanged = result.ranges.length === 0;
+  console.log(boxen(
+    (unchanged ? chalk.green('✅ No changed blocks\n\n') : chalk.yellow(`⚠️  ${result.ranges.length} changed range(s)\n\n`)) +
+    chalk.blue('Changed: ') + chalk.white(`${result.changedBlocks} of ${result.blocks} blocks, ${formatSize(changedBytes)}`) + '\n' +
+    (result.fileSize !== result.listFileSize
+      ? chalk.yellow('Size: ') + chalk.white(`${result.listFileSize} → ${result.fileSize} bytes`) + '\n'
+      : '') +
+    chalk.blue('Read: ') + chalk.white(`${formatSize(result.fileSize)} in ${elapsed.toFixed(2)}s`) + formatRate(result.fileSize, elapsed),
+    { padding: 1, margin: 1, borderStyle: 'round', borderColor: unchanged ? 'green' : 'yellow', title: 'Diff' }
+  ));
+
+  // Like cmp and diff: 1 when the file differs
+  if (!unchanged) process.exitCode = 1;
+}
+
+function showHelp() {
+  const helpText =
+    chalk.bold.cyan('Usage:\n') +
+    chalk.white('  node block-hash.js list [options] <file>\n') +
+    chalk.white('  node block-hash.js diff <file> [<list>]\n\n') +
+
+    chalk.bold.cyan('Options:\n') +
+    chalk.yellow('  --algo <name>       ') + chalk.dim(`list: block hash algorithm (default ${DEFAULT_ALGORITHM})\n`) +
+    chalk.yellow('  --block-size <size> ') + chalk.dim(`list: block size (default ${formatSize(DEFAULT_BLOCK_SIZE)})\n`) +
+    chalk.yellow('  -o, --output <f>    ') + chalk.dim('list: where to write the list (default <file>.blocks)\n') +
+    chalk.yellow('  --help              ') + chalk.dim('Show this help\n\n') +
+
+    chalk.bold.cyan('Algorithms:\n') +
+    chalk.white('  ' + ALGORITHMS.map(a => a.name).join(', ') + '\n\n') +
+
+    chalk.bold.cyan('Examples:\n') +
+    chalk.white('  node block-hash.js list disk.img                     ') + chalk.dim('# writes disk.img.blocks\n') +
+    chalk.white('  node block-hash.js list --block-size 64KB big.db -o big.blocks\n') +
+    chalk.white('  node block-hash.js diff disk.img                     ') + chalk.dim('# changed byte ranges\n\n') +
+
+    chalk.bold.yellow('💡 Tips:\n') +
+    chalk.dim('• diff only reads the current file; the list stands in for the old version\n') +
+    chalk.dim('• diff uses the algorithm and block size stored in the list\n') +
+    chalk.dim('• Smaller blocks locate changes more precisely but make longer lists\n') +
+    chalk.dim('• Exit code 1 when any block changed, 2 on errors, as with cmp');
+
+  console.log(boxen(helpText, {
+    padding: 1,
+    margin: 1,
+    borderStyle: 'round',
+    borderColor: 'cyan',
+    title: 'block-hash.js'
+  }));
+}
+
+function main() {
+  let options;
+  try {
+    options = parseCliArgs();
+  } catch (error) {
+    console.error(chalk.red('❌ ' + error.message));
+    process.exit(2);
+  }
+
+  if (options.help || !options.command) {
+    showHelp();
+    return;
+  }
+
+  try {
+    if (!['list', 'diff'].includes(options.command)) {
+      throw new Error(`Unknown command: ${options.command} (expected list or diff)`);
+    }
+    if (options.paths.length === 0) {
+      throw new Error(`${options.command} needs a file`);
+    }
+    if (!fs.existsSync(options.paths[0])) {
+      throw new Error(`${options.paths[0]}: no such file`);
+    }
+    if (options.command === 'list') listCommand(options);
+    else diffCommand(options);
+  } catch (error) {
+    console.error(chalk.red('❌ ' + error.message));
+    process.exit(2);
+  }
+}
+
+main();
@@ -0,0 +1,196 @@
+// Per-block hash lists and changed-range detection (block-hash.js, delta suite)
+//
+// A block list stores one digest per fixed-size block of a file, rsync-style, so a later
+// version of the file can be compared against it by reading only that version: every
+// block whose digest differs is reported, and adjacent changed blocks are merged into
+// byte ranges. Blocks past the end of the shorter version count as changed.
+//
+// File format (text, one digest per line after the header):
+//   # block hash list v1
+//   algorithm xxh3-64
+//   block-size 1048576
+//   file-size 10737418240
+//   <hex digest of block 0>
+//   <hex digest of block 1>
+//   ...
+
+const fs = require('fs');
+const { createSeededStream } = require('./seeded-random');
+
+const BLOCK_LIST_HEADER = '# block hash list v1';
+const DEFAULT_BLOCK_SIZE = 1024 * 1024;
+
+// Blocks are read through one buffer of at least this size, so small blocks do not
+// cost one read call each
+const MIN_READ_SIZE = 4 * 1024 * 1024;
+
+// Call fn(block, index) for each blockSize block of the file (the last one may be shorter).
+// transform(block, offset), when given, may modify a block after it is read and before
+// fn sees it; the delta suite uses it to inject changes without writing the test file.
+function forEachBlock(filename, blockSize, fn, transform = null) {
+  const blocksPerRead = Math.max(1, Math.floor(MIN_READ_SIZE / blockSize));
+  const buffer = Buffer.allocUnsafe(blocksPerRead * blockSize);
+  const fd = fs.openSync(filename, 'r');
+  let index = 0;
+  try {
+    let bytesRead;
+    while ((bytesRead = fs.readSync(fd, buffer, 0, buffer.length, null)) > 0) {
+      for (let start = 0; start < bytesRead; start += blockSize) {
+        const block = buffer.subarray(start, Math.min(start + blockSize, bytesRead));
+        if (transform) transform(block, index * blockSize);
+        fn(block, index++);
+      }
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// Block list of a file for a loaded algorithm (see loadAlgorithm)
+function createBlockList(filename, impl, blockSize = DEFAULT_BLOCK_SIZE, transform = null) {
+  const digests = [];
+  forEachBlock(filename, blockSize, (block) => {
+    digests.push(impl.toHex(impl.oneShot(block)));
+  }, transform);
+  return {
+    algorithm: impl.name,
+    blockSize,
+    fileSize: fs.statSync(filename).size,
+    digests
+  };
+}
+
+function formatBlockList(list) {
+  return [
+    BLOCK_LIST_HEADER,
+    `algorithm ${list.algorithm}`,
+    `block-size ${list.blockSize}`,
+    `file-size ${list.fileSize}`,
+    ...list.digests
+  ].join('\n') + '\n';
+}
+
+function parseBlockList(text) {
+  const lines = text.split('\n');
+  if (lines[0] !== BLOCK_LIST_HEADER) {
+    throw new Error('not a block hash list (missing header)');
+  }
+
+  const fields = {};
+  let i = 1;
+  for (; i < lines.length && /^[a-z-]+ /.test(lines[i]); i++) {
+    const [key, value] = lines[i].split(' ');
+    fields[key] = value;
+  }
+  const blockSize = Number(fields['block-size']);
+  const fileSize = Number(fields['file-size']);
+  if (!fields.algorithm || !(blockSize > 0) || !Number.isInteger(fileSize)) {
+    throw new Error('block hash list header needs algorithm, block-size and file-size');
+  }
+
+  const digests = lines.slice(i).filter(Boolean);
+  const expected = Math.ceil(fileSize / blockSize);
+  if (digests.length !== expected) {
+    throw new Error(`block hash list has ${digests.length} digests, expected ${expected} for ${fileSize} bytes`);
+  }
+  return { algorithm: fields.algorithm, blockSize, fileSize, digests };
+}
+
+function writeBlockList(file, list) {
+  fs.writeFileSync(file, formatBlockList(list));
+}
+
+function readBlockList(file) {
+  try {
+    return parseBlockList(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`${file}: ${error.message}`);
+  }
+}
+
+// Merge sorted changed block indexes into [start, end) byte ranges, clipped to fileSize
+function blocksToRanges(blocks, blockSize, fileSize) {
+  const ranges = [];
+  for (const index of blocks) {
+    const start = index * blockSize;
+    const end = Math.min(start + blockSize, fileSize);
+    const last = ranges[ranges.length - 1];
+    if (last && last.end === start) last.end = end;
+    else ranges.push({ start, end });
+  }
+  return ranges;
+}
+
+// Compare a file with a block list made by the same algorithm; only the file is read.
+// Returns the changed byte ranges of the file (a range past the end of the shorter
+// version covers the bytes added or removed) and the changed block count.
+function diffBlockList(filename, list, impl, transform = null) {
+  if (impl.name !== list.algorithm) {
+    throw new Error(`block list uses ${list.algorithm}, not ${impl.name}`);
+  }
+  const fileSize = fs.statSync(filename).size;
+  const changed = [];
+  let blocks = 0;
+
+  forEachBlock(filename, list.blockSize, (block, index) => {
+    blocks++;
+    if (impl.toHex(impl.oneShot(block)) !== list.digests[index]) changed.push(index);
+  }, transform);
+
+  // Blocks the file no longer has
+  for (let index = blocks; index < list.digests.length; index++) changed.push(index);
+
+  return {
+    ranges: blocksToRanges(changed, list.blockSize, Math.max(fileSize, list.fileSize)),
+    changedBlocks: changed.length,
+    blocks: Math.max(blocks, list.digests.length),
+    fileSize,
+    listFileSize: list.fileSize
+  };
+}
+
+// Delta suite: `count` reproducible in-place modifications of 1 byte to maxLength bytes
+// at seeded offsets, sorted by offset. Each modified byte is inverted, so it always changes.
+function generateModifications(fileSize, count, maxLength, seed) {
+  const random = createSeededStream(`${seed}/modifications`).next(Buffer.alloc(count * 8));
+  const modifications = [];
+  for (let i = 0; i < count; i++) {
+    const length = 1 + random.readUInt32BE(i * 8) % Math.min(maxLength, fileSize);
+    const offset = Math.floor(random.readUInt32BE(i * 8 + 4) / 0x100000000 * (fileSize - length + 1));
+    modifications.push({ offset, length });
+  }
+  return modifications.sort((a, b) => a.offset - b.offset);
+}
+
+// transform for forEachBlock that applies the modifications to the blocks as they are read
+function modificationTransform(modifications) {
+  return (block, offset) => {
+    const end = offset + block.length;
+    for (const modification of modifications) {
+      const from = Math.max(modification.offset, offset);
+      const to = Math.min(modification.offset + modification.length, end);
+      for (let i = from; i < to; i++) block[i - offset] ^= 0xff;
+    }
+  };
+}
+
+// Byte ranges a block list comparison should report for the modifications
+function expectedRanges(modifications, blockSize, fileSize) {
+  const blocks = new Set();
+  for (const { offset, length } of modifications) {
+    const last = Math.floor((offset + length - 1) / blockSize);
+    for (let index = Math.floor(offset / blockSize); index <= last; index++) blocks.add(index);
+  }
+  return blocksToRanges([...blocks].sort((a, b) => a - b), blockSize, fileSize);
+}
+
+module.exports = {
+  DEFAULT_BLOCK_SIZE,
+  createBlockList,
+  writeBlockList,
+  readBlockList,
+  diffBlockList,
+  generateModifications,
+  modificationTransform,
+  expectedRanges
+};
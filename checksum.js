@@ -0,0 +1,271 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const chalk = require('chalk');
+const ora = require('ora');
+const boxen = require('boxen');
+const { ALGORITHMS, getAlgorithm, loadAlgorithm } = require('./algorithms');
+const { formatSize } = require('./units');
+const { streamHash } = require('./stream-hash');
+const { algorithmForTag, algorithmForManifestFile, formatEntry, parseManifest } = require('./manifest');
+
+const DEFAULT_ALGORITHM = 'sha256';
+const READ_BUFFER_SIZE = 4 * 1024 * 1024;
+
+function parseCliArgs() {
+  const { values, positionals } = parseArgs({
+    options: {
+      algo: { type: 'string' },
+      output: { type: 'string', short: 'o' },
+      tag: { type: 'boolean' },
+      quiet: { type: 'boolean' },
+      help: { type: 'boolean' }
+    },
+    allowPositionals: true
+  });
+
+  const [command, ...paths] = positionals;
+  return {
+    command,
+    paths,
+    algo: values.algo ? getAlgorithm(values.algo) : null,
+    output: values.output,
+    tag: Boolean(values.tag),
+    quiet: Boolean(values.quiet),
+    help: Boolean(values.help)
+  };
+}
+
+// Files below dir in sorted order (symlinks are not followed)
+function listFiles(dir) {
+  const files = [];
+  const entries = fs.readdirSync(dir, { withFileTypes: true })
+    .sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+
+  for (const entry of entries) {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) files.push(...listFiles(full));
+    else if (entry.isFile()) files.push(full);
+  }
+  return files;
+}
+
+// Expand the command line paths into files, leaving out the manifest being written
+function collectFiles(paths, output) {
+  const skip = output ? path.resolve(output) : null;
+  const files = [];
+  for (const target of paths) {
+    const found = fs.statSync(target).isDirectory() ? listFiles(target) : [target];
+    files.push(...found.filter(file => path.resolve(file) !== skip));
+  }
+  return files;
+}
+
+async function hashCommand(options) {
+  const algoName = (options.algo || getAlgorithm(DEFAULT_ALGORITHM)).name;
+  const impl = loadAlgorithm(algoName);
+  const files = collectFiles(options.paths, options.output);
+  const lines = [];
+  let failures = 0;
+  let totalBytes = 0;
+
+  const spinner = options.output ? ora(`Hashing ${files.length} files with ${algoName}...`).start() : null;
+  const startTime = process.hrtime.bigint();
+
+  for (let i = 0; i < files.length; i++) {
+    const file = files[i];
+    if (spinner) spinner.text = `Hashing with ${algoName} (${i + 1}/${files.length}): ${file}`;
+    try {
+      const digest = await streamHash(file, impl, READ_BUFFER_SIZE);
+      totalBytes += fs.statSync(file).size;
+      const line = formatEntry(algoName, digest, file, { tag: options.tag });
+      if (options.output) lines.push(line);
+      else console.log(line);
+    } catch (error) {
+      failures++;
+      if (spinner) spinner.clear();
+      console.error(chalk.red(`checksum.js: ${file}: ${error.message}`));
+    }
+  }
+
+  const elapsed = Number(process.hrtime.bigint() - startTime) / 1_000_000_000;
+
+  if (options.output) {
+    fs.writeFileSync(options.output, lines.map(line => line + '\n').join(''));
+    spinner.stop();
+    console.log(boxen(
+      chalk.green(`✅ Wrote ${lines.length} ${algoName} checksums to ${options.output}\n`) +
+      chalk.blue('📊 Hashed: ') + chalk.white(`${formatSize(totalBytes)} in ${elapsed.toFixed(2)}s`) +
+      (elapsed > 0 ? chalk.dim(` (${(totalBytes / (1024 * 1024 * 1024) / elapsed).toFixed(2)} GB/s)`) : '') + '\n' +
+      (failures > 0 ? chalk.red(`❌ ${failures} file(s) could not be read\n`) : '') +
+      chalk.dim('Verify with: ') + chalk.white(`node checksum.js verify ${options.output}`),
+      { padding: 1, margin: 1, borderStyle: 'round', borderColor: failures > 0 ? 'yellow' : 'green' }
+    ));
+  }
+
+  if (failures > 0) process.exitCode = 1;
+}
+
+// Pick the algorithm of a manifest entry: --algo, the line's tag, the manifest file name,
+// then the first registry algorithm with that digest width
+function resolveEntryAlgorithm(entry, manifestFile, forced) {
+  if (forced) return { name: forced.name, guessed: false };
+
+  const names = ALGORITHMS.map(a => a.name);
+  if (entry.tag) {
+    const name = algorithmForTag(entry.tag, names);
+    if (!name) throw new Error(`unknown algorithm tag ${entry.tag}`);
+    return { name, guessed: false };
+  }
+
+  const fromFile = algorithmForManifestFile(manifestFile);
+  if (fromFile) return { name: fromFile, guessed: false };
+
+  const byWidth = ALGORITHMS.find(a => a.outputBits / 4 === entry.digest.length);
+  if (!byWidth) throw new Error(`no algorithm produces ${entry.digest.length}-digit digests`);
+  return { name: byWidth.name, guessed: true };
+}
+
+async function verifyManifest(manifestFile, options, counts) {
+  const { entries, invalid } = parseManifest(fs.readFileSync(manifestFile, 'utf8'));
+  const guessed = new Set();
+  counts.invalid += invalid.length;
+
+  if (invalid.length > 0) {
+    console.log(chalk.yellow(`⚠️  ${manifestFile}: ${invalid.length} improperly formatted line(s) (line ${invalid.join(', ')})`));
+  }
+
+  for (const entry of entries) {
+    let algorithm;
+    let impl;
+    try {
+      algorithm = resolveEntryAlgorithm(entry, manifestFile, options.algo);
+      impl = loadAlgorithm(algorithm.name);
+      if (algorithm.guessed) guessed.add(algorithm.name);
+      if (impl.outputBits / 4 !== entry.digest.length) {
+        throw new Error(`${entry.digest.length}-digit digest does not fit ${algorithm.name}`);
+      }
+    } catch (error) {
+      counts.invalid++;
+      console.log(chalk.yellow(`${entry.file}: line ${entry.line}: ${error.message}`));
+      continue;
+    }
+
+    if (!fs.existsSync(entry.file)) {
+      counts.missing++;
+      console.log(chalk.red(`${entry.file}: FAILED open or read`) + chalk.dim(' (missing)'));
+      continue;
+    }
+
+    let digest;
+    try {
+      digest = await streamHash(entry.file, impl, READ_BUFFER_SIZE);
+    } catch (error) {
+      counts.missing++;
+      console.log(chalk.red(`${entry.file}: FAILED open or read`) + chalk.dim(` (${error.message})`));
+      continue;
+    }
+
+    if (digest === entry.digest) {
+      counts.ok++;
+      if (!options.quiet) console.log(chalk.green(`${entry.file}: OK`));
+    } else {
+      counts.failed++;
+      console.log(chalk.red(`${entry.file}: FAILED`) + chalk.dim(` (${algorithm.name})`));
+    }
+  }
+
+  for (const name of guessed) {
+    console.log(chalk.dim(`ℹ️  ${manifestFile}: assumed ${name} from the digest length; pass --algo to choose`));
+  }
+}
+
+async function verifyCommand(options) {
+  const counts = { ok: 0, failed: 0, missing: 0, invalid: 0 };
+
+  for (const manifestFile of options.paths) {
+    await verifyManifest(manifestFile, options, counts);
+  }
+
+  const passed = counts.failed === 0 && counts.missing === 0;
+  console.log(boxen(
+    (passed ? chalk.green('✅ All checksums match\n\n') : chalk.red('❌ Verification failed\n\n')) +
+    chalk.green('OK: ') + chalk.white(counts.ok) + '\n' +
+    chalk.red('FAILED: ') + chalk.white(counts.failed) + '\n' +
+    chalk.yellow('Missing / unreadable: ') + chalk.white(counts.missing) +
+    (counts.invalid > 0 ? '\n' + chalk.dim(`Skipped lines: ${counts.invalid}`) : ''),
+    { padding: 1, margin: 1, borderStyle: 'round', borderColor: passed ? 'green' : 'red', title: 'Verify' }
+  ));
+
+  if (!passed) process.exitCode = 1;
+}
+
+function showHelp() {
+  const helpText =
+    chalk.bold.cyan('Usage:\n') +
+    chalk.white('  node checksum.js hash [options] <file|dir>...\n') +
+    chalk.white('  node checksum.js verify [options] <manifest>...\n\n') +
+
+    chalk.bold.cyan('Options:\n') +
+    chalk.yellow('  --algo <name>    ') + chalk.dim(`Algorithm (default ${DEFAULT_ALGORITHM}; verify: detected per line)\n`) +
+    chalk.yellow('  -o, --output <f> ') + chalk.dim('hash: write the manifest to a file instead of stdout\n') +
+    chalk.yellow('  --tag            ') + chalk.dim('hash: BSD-style lines, e.g. SHA256 (file) = ...\n') +
+    chalk.yellow('  --quiet          ') + chalk.dim('verify: only print entries that did not match\n') +
+    chalk.yellow('  --help           ') + chalk.dim('Show this help\n\n') +
+
+    chalk.bold.cyan('Algorithms:\n') +
+    chalk.white('  ' + ALGORITHMS.map(a => a.name).join(', ') + '\n\n') +
+
+    chalk.bold.cyan('Examples:\n') +
+    chalk.white('  node checksum.js hash src -o SHA256SUMS              ') + chalk.dim('# sha256sum -c compatible\n') +
+    chalk.white('  node checksum.js hash --algo blake2b512 big.iso      ') + chalk.dim('# same output as b2sum\n') +
+    chalk.white('  node checksum.js hash --algo xxh3-64 data -o data.xxh3 ') + chalk.dim('# xxhsum -H3 format\n') +
+    chalk.white('  node checksum.js verify SHA256SUMS                   ') + chalk.dim('# OK / FAILED per file\n\n') +
+
+    chalk.bold.yellow('💡 Tips:\n') +
+    chalk.dim('• Paths are stored as given and resolved from the current directory on verify\n') +
+    chalk.dim('• verify picks the algorithm from --algo, the line tag, the manifest name\n') +
+    chalk.dim('  (SHA256SUMS, *.b2, *.xxh3, ...) or the digest length, in that order\n') +
+    chalk.dim('• Exit code 1 when any file fails, is missing or cannot be read');
+
+  console.log(boxen(helpText, {
+    padding: 1,
+    margin: 1,
+    borderStyle: 'round',
+    borderColor: 'cyan',
+    title: 'checksum.js'
+  }));
+}
+
+async function main() {
+  let options;
+  try {
+    options = parseCliArgs();
+  } catch (error) {
+    console.error(chalk.red('❌ ' + error.message));
+    process.exit(1);
+  }
+
+  if (options.help || !options.command) {
+    showHelp();
+    return;
+  }
+
+  try {
+    if (!['hash', 'verify'].includes(options.command)) {
+      throw new Error(`Unknown command: ${options.command} (expected hash or verify)`);
+    }
+    if (options.paths.length === 0) {
+      throw new Error(`${options.command} needs at least one ${options.command === 'hash' ? 'file or directory' : 'manifest'}`);
+    }
+    if (options.command === 'hash') await hashCommand(options);
+    else await verifyCommand(options);
+  } catch (error) {
+    console.error(chalk.red('❌ ' + error.message));
+    process.exit(1);
+  }
+}
+
+main();
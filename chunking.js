@@ -0,0 +1,246 @@
+// Content-defined chunkers for the chunking suite (--chunkers, --chunk-sizes)
+//
+// A chunker cuts a byte stream where a rolling hash of the most recent bytes matches a
+// mask, so boundaries move with the content and an insertion only changes the chunks
+// around it. Chunks are at least min and at most max bytes long (max forces a cut), and
+// the mask is sized so the average chunk lands near avg:
+//   rabin    Rabin-Karp polynomial rolling hash over a RABIN_WINDOW-byte window (the
+//            multiplicative form modulo 2^32, not LBFS's GF(2) Rabin fingerprint), cut
+//            when its top bits are zero, one chance in avg - min per byte after min
+//   gear     Gear hash, hash = (hash << 1) + GEAR[byte]: bit k depends on the last k + 1
+//            bytes, so the top bits are tested the same way
+//   fastcdc  FastCDC: the Gear hash with cut-point skipping (the first min bytes of a
+//            chunk are not hashed) and normalized chunking, a mask two bits harder below
+//            avg and two bits easier above it, which narrows the size distribution
+//
+// createChunker(name, sizes) returns { next(buffer, start) }: next scans the buffer from
+// start and returns the offset just past the next boundary, or -1 when the buffer ends
+// first. The state carries over to the next buffer, so the boundaries do not depend on
+// how the stream is split into reads.
+
+const fs = require('fs');
+const { createSeededStream } = require('./seeded-random');
+const { parseSize, sizeLabel } = require('./units');
+
+const CHUNKERS = ['rabin', 'gear', 'fastcdc'];
+const DEFAULT_CHUNK_SIZES = '2KB/8KB/64KB';
+
+const RABIN_WINDOW = 48;
+const RABIN_BASE = 0x01000193;
+
+// 32-bit Gear values, reproducible from a fixed seed
+const GEAR = (() => {
+  const random = createSeededStream('gear').next(Buffer.alloc(256 * 4));
+  return Int32Array.from({ length: 256 }, (_, i) => random.readInt32LE(i * 4));
+})();
+
+// b * RABIN_BASE^RABIN_WINDOW, the contribution of the byte leaving the window
+const RABIN_OUT = (() => {
+  let power = 1;
+  for (let i = 0; i < RABIN_WINDOW; i++) power = Math.imul(power, RABIN_BASE);
+  return Int32Array.from({ length: 256 }, (_, b) => Math.imul(b, power));
+})();
+
+// Parse "min/avg/max", e.g. 2KB/8KB/64KB
+function parseChunkSizes(text) {
+  const parts = String(text).split('/');
+  if (parts.length !== 3) {
+    throw new Error(`Invalid chunk sizes "${text}" (expected min/avg/max, e.g. ${DEFAULT_CHUNK_SIZES})`);
+  }
+  const [min, avg, max] = parts.map(parseSize);
+  if (!(min < avg && avg < max)) {
+    throw new Error(`Invalid chunk sizes "${text}" (expected min < avg < max)`);
+  }
+  return { min, avg, max, name: [min, avg, max].map(sizeLabel).join('/') };
+}
+
+function parseChunkerList(text) {
+  const names = String(text).split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
+  for (const name of names) {
+    if (!CHUNKERS.includes(name)) {
+      throw new Error(`Unknown chunker: ${name} (available: ${CHUNKERS.join(', ')})`);
+    }
+  }
+  return CHUNKERS.filter(name => names.includes(name));
+}
+
+// Mask of the top `bits` bits of a 32-bit hash
+function topBits(bits) {
+  const clamped = Math.min(31, Math.max(1, bits));
+  return (~0 << (32 - clamped)) | 0;
+}
+
+function rabinChunker({ min, avg, max }) {
+  const mask = topBits(Math.round(Math.log2(avg - min)));
+  const window = new Uint8Array(RABIN_WINDOW);
+  let position = 0;
+  let hash = 0;
+  let length = 0;
+
+  return {
+    next(buffer, start) {
+      for (let i = start; i < buffer.length; i++) {
+        const byte = buffer[i];
+        hash = (Math.imul(hash, RABIN_BASE) + byte - RABIN_OUT[window[position]]) | 0;
+        window[position] = byte;
+        position = position === RABIN_WINDOW - 1 ? 0 : position + 1;
+        if (++length >= min && ((hash & mask) === 0 || length >= max)) {
+          length = 0;
+          return i + 1;
+        }
+      }
+      return -1;
+    }
+  };
+}
+
+function gearChunker({ min, avg, max }) {
+  const mask = topBits(Math.round(Math.log2(avg - min)));
+  let hash = 0;
+  let length = 0;
+
+  return {
+    next(buffer, start) {
+      for (let i = start; i < buffer.length; i++) {
+        hash = ((hash << 1) + GEAR[buffer[i]]) | 0;
+        if (++length >= min && ((hash & mask) === 0 || length >= max)) {
+          length = 0;
+          return i + 1;
+        }
+      }
+      return -1;
+    }
+  };
+}
+
+function fastCdcChunker({ min, avg, max }) {
+  const bits = Math.round(Math.log2(avg));
+  const maskSmall = topBits(bits + 2);
+  const maskLarge = topBits(bits - 2);
+  let hash = 0;
+  let length = 0;
+
+  return {
+    next(buffer, start) {
+      let i = start;
+      while (length < max) {
+        if (i === buffer.length) return -1;
+        if (length < min) {
+          // Cut-point skipping
+          const skip = Math.min(min - length, buffer.length - i);
+          i += skip;
+          length += skip;
+          continue;
+        }
+        hash = ((hash << 1) + GEAR[buffer[i++]]) | 0;
+        length++;
+        if ((hash & (length < avg ? maskSmall : maskLarge)) === 0) break;
+      }
+      hash = 0;
+      length = 0;
+      return i;
+    }
+  };
+}
+
+const FACTORIES = {
+  rabin: rabinChunker,
+  gear: gearChunker,
+  fastcdc: fastCdcChunker
+};
+
+function createChunker(name, sizes) {
+  return FACTORIES[name](sizes);
+}
+
+// Read a file with fs.readSync into one bufferSize buffer and cut it into chunks. With
+// createHasher, every chunk is also fingerprinted (incrementally, as a chunk can span
+// reads) and looked up in a fingerprint index, as a deduplicating backup would.
+// Returns the chunk lengths and, when fingerprinting, the unique chunk count and bytes.
+function chunkFile(filename, chunker, bufferSize, createHasher = null) {
+  const lengths = [];
+  const index = createHasher ? new Map() : null;
+  let uniqueBytes = 0;
+  let hasher = createHasher ? createHasher() : null;
+  let length = 0;
+
+  const endChunk = () => {
+    lengths.push(length);
+    if (hasher) {
+      const fingerprint = hasher.digest();
+      if (!index.has(fingerprint)) {
+        index.set(fingerprint, length);
+        uniqueBytes += length;
+      }
+      hasher = createHasher();
+    }
+    length = 0;
+  };
+
+  const fd = fs.openSync(filename, 'r');
+  try {
+    const buffer = Buffer.allocUnsafe(bufferSize);
+    let bytesRead;
+    while ((bytesRead = fs.readSync(fd, buffer, 0, bufferSize, null)) > 0) {
+      const data = bytesRead === bufferSize ? buffer : buffer.subarray(0, bytesRead);
+      let start = 0;
+      while (start < data.length) {
+        const end = chunker.next(data, start);
+        const stop = end === -1 ? data.length : end;
+        if (hasher) hasher.update(data.subarray(start, stop));
+        length += stop - start;
+        if (end === -1) break;
+        endChunk();
+        start = end;
+      }
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+  // The tail of the stream is the last chunk, whatever its length
+  if (length > 0) endChunk();
+
+  return {
+    lengths,
+    uniqueChunks: index ? index.size : null,
+    uniqueBytes: index ? uniqueBytes : null
+  };
+}
+
+function percentile(sorted, p) {
+  return sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+}
+
+// Chunk size distribution: count, mean, standard deviation, p10/p50/p90, extremes and
+// the share of chunks cut at max (no content boundary found). An empty file has no
+// chunks: zero count, mean, deviation and share, null sizes.
+function summarizeChunkSizes(lengths, { max }) {
+  const sorted = Float64Array.from(lengths).sort();
+  const count = sorted.length;
+  if (count === 0) {
+    return { count, mean: 0, stddev: 0, p10: null, p50: null, p90: null, smallest: null, largest: null, atMax: 0 };
+  }
+  const mean = sorted.reduce((sum, length) => sum + length, 0) / count;
+  const variance = sorted.reduce((sum, length) => sum + (length - mean) ** 2, 0) / count;
+  return {
+    count,
+    mean,
+    stddev: Math.sqrt(variance),
+    p10: percentile(sorted, 0.1),
+    p50: percentile(sorted, 0.5),
+    p90: percentile(sorted, 0.9),
+    smallest: sorted[0],
+    largest: sorted[count - 1],
+    atMax: lengths.filter(length => length === max).length / count
+  };
+}
+
+module.exports = {
+  CHUNKERS,
+  DEFAULT_CHUNK_SIZES,
+  parseChunkSizes,
+  parseChunkerList,
+  createChunker,
+  chunkFile,
+  summarizeChunkSizes
+};
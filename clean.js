@@ -4,18 +4,28 @@ const fs = require('fs');
 const chalk = require('chalk');
 const ora = require('ora');
 const boxen = require('boxen');
+const { resolveTestFile } = require('./test-file');
+const { formatSize } = require('./units');
+const { sidecarPath, removeSidecar } = require('./random-file');
 
-const FILENAME = 'temp_10GB_file';
+let testFile;
+try {
+  testFile = resolveTestFile();
+} catch (error) {
+  console.error(chalk.red('❌ ' + error.message));
+  process.exit(1);
+}
+
+const FILENAME = testFile.filename;
 
 
 async function cleanTestFile() {
   try {
     if (fs.existsSync(FILENAME)) {
       const stats = fs.statSync(FILENAME);
-      const sizeGB = (stats.size / 1024 / 1024 / 1024).toFixed(2);
 
       const spinner = ora({
-        text: chalk.yellow(`Removing ${FILENAME} (${sizeGB}GB)...`),
+        text: chalk.yellow(`Removing ${FILENAME} (${formatSize(stats.size)})...`),
         spinner: 'dots'
       }).start();
       
@@ -23,13 +33,15 @@ async function cleanTestFile() {
       await new Promise(resolve => setTimeout(resolve, 500));
       
       fs.unlinkSync(FILENAME);
+      const hadSidecar = fs.existsSync(sidecarPath(FILENAME));
+      removeSidecar(FILENAME);
       
-      spinner.succeed(chalk.green('Test file removed successfully'));
+      spinner.succeed(chalk.green('Test file removed successfully' + (hadSidecar ? ` (with ${sidecarPath(FILENAME)})` : '')));
 
     } else {
       console.log(boxen(
         chalk.blue('ℹ️  No cleanup needed\n\n') +
-        chalk.white('The test file was not found.\n') +
+        chalk.white(`The test file ${FILENAME} was not found.\n`) +
         chalk.dim('Nothing to clean up.'),
         { padding: 1, margin: 1, borderStyle: 'round', borderColor: 'blue', title: 'Info' }
       ));
@@ -0,0 +1,64 @@
+// CRC combination: compute CRC(A || B) from CRC(A), CRC(B) and the length of B
+//
+// Port of zlib's crc32_combine() for reflected CRC-32 variants. Appending len2 zero
+// bytes to A is applied as a GF(2) matrix power, so the cost is O(log len2).
+
+const CRC32_POLY = 0xedb88320; // IEEE 802.3, reflected
+const CRC32C_POLY = 0x82f63b78; // Castagnoli, reflected
+
+function gf2MatrixTimes(mat, vec) {
+  let sum = 0;
+  let i = 0;
+  while (vec) {
+    if (vec & 1) sum ^= mat[i];
+    vec >>>= 1;
+    i++;
+  }
+  return sum >>> 0;
+}
+
+function gf2MatrixSquare(square, mat) {
+  for (let n = 0; n < 32; n++) {
+    square[n] = gf2MatrixTimes(mat, mat[n]);
+  }
+}
+
+function crcCombine(poly, crc1, crc2, len2) {
+  if (len2 <= 0) return crc1 >>> 0;
+
+  const even = new Array(32);
+  const odd = new Array(32);
+
+  // Operator for one zero bit
+  odd[0] = poly;
+  let row = 1;
+  for (let n = 1; n < 32; n++) {
+    odd[n] = row;
+    row = (row << 1) >>> 0;
+  }
+
+  gf2MatrixSquare(even, odd); // two zero bits
+  gf2MatrixSquare(odd, even); // four zero bits
+
+  // Apply len2 zero bytes to crc1; lengths may exceed 2^32 so halve arithmetically
+  let remaining = len2;
+  crc1 >>>= 0;
+  do {
+    gf2MatrixSquare(even, odd);
+    if (remaining % 2 === 1) crc1 = gf2MatrixTimes(even, crc1);
+    remaining = Math.floor(remaining / 2);
+    if (remaining === 0) break;
+
+    gf2MatrixSquare(odd, even);
+    if (remaining % 2 === 1) crc1 = gf2MatrixTimes(odd, crc1);
+    remaining = Math.floor(remaining / 2);
+  } while (remaining !== 0);
+
+  return (crc1 ^ crc2) >>> 0;
+}
+
+module.exports = {
+  CRC32_POLY,
+  CRC32C_POLY,
+  crcCombine
+};
@@ -1,21 +1,46 @@
 #!/usr/bin/env node
 
 const fs = require('fs');
+const os = require('os');
 const { spawn } = require('child_process');
 const chalk = require('chalk');
 const cliProgress = require('cli-progress');
 const ora = require('ora');
 const boxen = require('boxen');
+const { resolveTestFile, positionalArgs } = require('./test-file');
+const { formatSize } = require('./units');
+const { randomSeed } = require('./seeded-random');
+const { sidecarPath, readSidecar, removeSidecar, generateRandomFile } = require('./random-file');
 
-const FILENAME = 'temp_10GB_file';
-const SIZE_GB = 10;
-const SIZE_BYTES = SIZE_GB * 1024 * 1024 * 1024;
+// Value following `flag` on the command line, or null
+function optionValue(args, flag) {
+  const index = args.indexOf(flag);
+  return index !== -1 && args[index + 1] !== undefined ? args[index + 1] : null;
+}
 
+let testFile;
+let SEED;
+let WORKERS;
+try {
+  testFile = resolveTestFile();
+  SEED = optionValue(testFile.args, '--seed');
+  WORKERS = Number(optionValue(testFile.args, '--workers') || os.availableParallelism());
+  if (!Number.isInteger(WORKERS) || WORKERS < 1) {
+    throw new Error(`--workers must be a positive integer (got "${optionValue(testFile.args, '--workers')}")`);
+  }
+} catch (error) {
+  console.error(chalk.red('❌ ' + error.message));
+  process.exit(1);
+}
 
+const FILENAME = testFile.filename;
+const SIZE_BYTES = testFile.size;
+const SIZE_NAME = testFile.sizeName;
+const MB = 1024 * 1024;
 
 async function createSparseFile() {
   const spinner = ora({
-    text: chalk.blue('Creating 10GB sparse test file...'),
+    text: chalk.blue(`Creating ${SIZE_NAME} sparse test file...`),
     spinner: 'dots'
   }).start();
   
@@ -24,7 +49,7 @@ async function createSparseFile() {
     fs.writeSync(fd, Buffer.alloc(1, 0), 0, 1, SIZE_BYTES - 1);
     fs.closeSync(fd);
     
-    spinner.succeed(chalk.green(`Created ${FILENAME} (${SIZE_GB}GB sparse file)`));
+    spinner.succeed(chalk.green(`Created ${FILENAME} (${SIZE_NAME} sparse file)`));
     return true;
   } catch (error) {
     spinner.fail(chalk.red('Sparse file creation failed: ' + error.message));
@@ -62,7 +87,7 @@ async function createRealFile() {
     fs.closeSync(fd);
     progressBar.stop();
     
-    console.log(chalk.green(`✅ Created ${FILENAME} (${SIZE_GB}GB real file with data)`));
+    console.log(chalk.green(`✅ Created ${FILENAME} (${SIZE_NAME} real file with data)`));
     return true;
   } catch (error) {
     progressBar.stop();
@@ -72,48 +97,40 @@ async function createRealFile() {
 }
 
 async function createRandomDataFile() {
-  console.log(chalk.yellow('⚠️  Creating file with random data - this will take the longest!'));
+  const seed = SEED !== null ? SEED : randomSeed();
+  console.log(chalk.yellow(`🎲 Creating file with seeded random data (seed ${seed}, ${WORKERS} writer threads)`));
   console.log();
   
   const progressBar = new cliProgress.SingleBar({
-    format: chalk.magenta('Random Data') + ' |' + chalk.magenta('{bar}') + '| {percentage}% | {value}/{total} chunks | Speed: {speed} MB/s',
+    format: chalk.magenta('Random Data') + ' |' + chalk.magenta('{bar}') + '| {percentage}% | {value}/{total} MB | Speed: {speed} MB/s',
     barCompleteChar: '\u2588',
     barIncompleteChar: '\u2591',
     hideCursor: true
   }, cliProgress.Presets.shades_classic);
   
   try {
-    const fd = fs.openSync(FILENAME, 'w');
-    const chunkSize = 16 * 1024 * 1024; // 16MB chunks for random data
-    const totalChunks = Math.ceil(SIZE_BYTES / chunkSize);
-    
-    progressBar.start(totalChunks, 0, { speed: '0' });
+    const totalMB = Math.ceil(SIZE_BYTES / MB);
+    progressBar.start(totalMB, 0, { speed: '0' });
     const startTime = Date.now();
     
-    for (let i = 0; i < totalChunks; i++) {
-      const remainingBytes = SIZE_BYTES - (i * chunkSize);
-      const bytesToWrite = Math.min(chunkSize, remainingBytes);
-      
-      // Generate random data
-      const chunk = Buffer.alloc(bytesToWrite);
-      for (let j = 0; j < bytesToWrite; j++) {
-        chunk[j] = Math.floor(Math.random() * 256);
+    const sidecar = await generateRandomFile(FILENAME, SIZE_BYTES, {
+      seed,
+      workers: WORKERS,
+      onProgress: (bytesWritten) => {
+        const elapsed = (Date.now() - startTime) / 1000;
+        const speed = elapsed > 0 ? Math.round((bytesWritten / MB) / elapsed) : 0;
+        progressBar.update(Math.floor(bytesWritten / MB), { speed: speed.toString() });
       }
-      
-      fs.writeSync(fd, chunk, 0, bytesToWrite);
-      
-      // Calculate speed
-      const elapsed = (Date.now() - startTime) / 1000;
-      const bytesWritten = (i + 1) * chunkSize;
-      const speed = Math.round((bytesWritten / 1024 / 1024) / elapsed);
-      
-      progressBar.update(i + 1, { speed: speed.toString() });
-    }
+    });
     
-    fs.closeSync(fd);
+    progressBar.update(totalMB);
     progressBar.stop();
     
-    console.log(chalk.green(`✅ Created ${FILENAME} (${SIZE_GB}GB file with random data)`));
+    console.log(chalk.green(`✅ Created ${FILENAME} (${SIZE_NAME} file with random data)`));
+    console.log(chalk.blue('🔑 Seed: ') + chalk.white(sidecar.seed) + chalk.dim(` (saved to ${sidecarPath(FILENAME)})`));
+    for (const [name, digest] of Object.entries(sidecar.digests)) {
+      console.log(chalk.blue(`   ${name}: `) + chalk.white(digest));
+    }
     return true;
   } catch (error) {
     progressBar.stop();
@@ -129,7 +146,7 @@ async function createWithSystemCommand(forceReal = false) {
     if (process.platform === 'win32') {
       if (forceReal) {
         command = 'powershell';
-        args = ['-Command', `$data = [byte[]]::new(1048576); for($i=0; $i -lt 10240; $i++){ [System.IO.File]::WriteAllBytes('${FILENAME}_temp$i', $data) }; Get-Content '${FILENAME}_temp*' -Raw | Set-Content '${FILENAME}' -NoNewline; Remove-Item '${FILENAME}_temp*'`];
+        args = ['-Command', `$data = [byte[]]::new(1048576); for($i=0; $i -lt ${Math.ceil(SIZE_BYTES / MB)}; $i++){ [System.IO.File]::WriteAllBytes('${FILENAME}_temp$i', $data) }; Get-Content '${FILENAME}_temp*' -Raw | Set-Content '${FILENAME}' -NoNewline; Remove-Item '${FILENAME}_temp*'`];
         description = 'Windows PowerShell (real data)';
         color = 'blue';
       } else {
@@ -141,12 +158,12 @@ async function createWithSystemCommand(forceReal = false) {
     } else {
       if (forceReal) {
         command = 'dd';
-        args = ['if=/dev/zero', `of=${FILENAME}`, 'bs=1M', `count=${SIZE_GB * 1024}`, 'oflag=dsync'];
+        args = ['if=/dev/zero', `of=${FILENAME}`, 'bs=1M', `count=${Math.ceil(SIZE_BYTES / MB)}`, 'oflag=dsync'];
         description = 'Unix dd with real data';
         color = 'blue';
       } else {
         command = 'dd';
-        args = ['if=/dev/zero', `of=${FILENAME}`, 'bs=1M', `count=${SIZE_GB * 1024}`];
+        args = ['if=/dev/zero', `of=${FILENAME}`, 'bs=1M', `count=${Math.ceil(SIZE_BYTES / MB)}`];
         description = 'Unix dd';
         color = 'cyan';
       }
@@ -181,24 +198,28 @@ async function createWithSystemCommand(forceReal = false) {
 }
 
 async function main() {  
-  const method = process.argv[2] || 'auto';
+  const method = positionalArgs(testFile.args, ['--seed', '--workers'])[0] || 'auto';
   
   // Check if file already exists
   if (fs.existsSync(FILENAME)) {
     const stats = fs.statSync(FILENAME);
-    const sizeGB = (stats.size / 1024 / 1024 / 1024).toFixed(2);
+    const sidecar = readSidecar(FILENAME);
+    // A random file asked for with a specific seed only counts if it was made from that seed
+    const seedMismatch = method === 'random' && SEED !== null && (!sidecar || sidecar.seed !== SEED);
     
     console.log(boxen(
-      chalk.yellow(`⚠️  File ${FILENAME} already exists (${sizeGB}GB)\n`) +
-      (stats.size === SIZE_BYTES 
-        ? chalk.green('✅ File is correct size, no need to recreate\n') +
-          chalk.dim('💡 Use --force to recreate anyway')
-        : chalk.red('❌ File size incorrect, will recreate')
+      chalk.yellow(`⚠️  File ${FILENAME} already exists (${formatSize(stats.size)})\n`) +
+      (stats.size !== SIZE_BYTES
+        ? chalk.red('❌ File size incorrect, will recreate')
+        : seedMismatch
+          ? chalk.red(`❌ File was not generated from seed ${SEED}, will recreate`)
+          : chalk.green('✅ File is correct size, no need to recreate\n') +
+            chalk.dim('💡 Use --force to recreate anyway')
       ),
       { padding: 1, margin: 1, borderStyle: 'round', borderColor: 'yellow' }
     ));
     
-    if (stats.size === SIZE_BYTES && !process.argv.includes('--force')) {
+    if (stats.size === SIZE_BYTES && !seedMismatch && !process.argv.includes('--force')) {
       return;
     }
     
@@ -207,6 +228,9 @@ async function main() {
     spinner.succeed('Removed existing file');
   }
   
+  // The sidecar only describes files made by the random method, which writes a new one
+  removeSidecar(FILENAME);
+  
   let success = false;
   
   console.log(chalk.bold(`📁 Creating file using method: ${chalk.cyan(method)}`));
@@ -249,13 +273,12 @@ async function main() {
     // Verify file was created correctly
     try {
       const stats = fs.statSync(FILENAME);
-      const actualSizeGB = (stats.size / 1024 / 1024 / 1024).toFixed(2);
       
       let fileTypeInfo = '';
       let boxColor = 'green';
       
       if (stats.size !== SIZE_BYTES) {
-        fileTypeInfo = chalk.yellow(`⚠️  Warning: Expected ${SIZE_GB}GB but got ${actualSizeGB}GB\n`);
+        fileTypeInfo = chalk.yellow(`⚠️  Warning: Expected ${SIZE_NAME} but got ${formatSize(stats.size)}\n`);
         boxColor = 'yellow';
       }
       
@@ -277,7 +300,7 @@ async function main() {
       console.log();
       console.log(boxen(
         chalk.green(`✅ File created successfully!\n`) +
-        chalk.blue(`📊 Final size: `) + chalk.white(`${actualSizeGB}GB\n`) +
+        chalk.blue(`📊 Final size: `) + chalk.white(`${formatSize(stats.size)}\n`) +
         (fileTypeInfo || ''),
         { padding: 1, margin: 1, borderStyle: 'round', borderColor: boxColor }
       ));
@@ -307,12 +330,16 @@ function showHelp() {
     chalk.green('  auto         ') + chalk.dim('Try sparse first, fallback to system (default)\n') +
     chalk.green('  sparse       ') + chalk.dim('Create sparse file (fast, minimal disk usage)\n') +
     chalk.green('  real         ') + chalk.dim('Create file with actual zeros (slower, realistic I/O)\n') +
-    chalk.green('  random       ') + chalk.dim('Create file with random data (slowest, most realistic)\n') +
+    chalk.green('  random       ') + chalk.dim('Create file with seeded random data (most realistic, multi-threaded)\n') +
     chalk.green('  system       ') + chalk.dim('Use system command (dd/fsutil)\n') +
     chalk.green('  system-real  ') + chalk.dim('Use system command with real data\n\n') +
     
     chalk.bold.cyan('Options:\n') +
     chalk.yellow('  --force      ') + chalk.dim('Recreate file even if it exists\n') +
+    chalk.yellow('  --size <size>') + chalk.dim(' File size, e.g. 512MB, 50GB (default 10GB, or $HASH_TEST_SIZE)\n') +
+    chalk.yellow('  --file <path>') + chalk.dim(' File name (default temp_<size>_file, or $HASH_TEST_FILE)\n') +
+    chalk.yellow('  --seed <seed>') + chalk.dim(' Seed for random; the same seed gives a byte-identical file\n') +
+    chalk.yellow('  --workers <n>') + chalk.dim(' Writer threads for random (default: available cores)\n') +
     chalk.yellow('  --help       ') + chalk.dim('Show this help\n\n') +
     
     chalk.bold.cyan('Examples:\n') +
@@ -320,11 +347,14 @@ function showHelp() {
     chalk.white('  node create-testfile.js sparse             ') + chalk.dim('# Fast sparse file\n') +
     chalk.white('  node create-testfile.js real               ') + chalk.dim('# Real data (better for I/O testing)\n') +
     chalk.white('  node create-testfile.js random             ') + chalk.dim('# Random data (most realistic)\n') +
-    chalk.white('  node create-testfile.js real --force       ') + chalk.dim('# Force recreate with real data\n\n') +
+    chalk.white('  node create-testfile.js random --seed 42   ') + chalk.dim('# Reproducible random data\n') +
+    chalk.white('  node create-testfile.js real --force       ') + chalk.dim('# Force recreate with real data\n') +
+    chalk.white('  node create-testfile.js real --size 1GB    ') + chalk.dim('# 1GB file (temp_1GB_file)\n\n') +
     
     chalk.bold.yellow('💡 Tips:\n') +
     chalk.dim('• For hash performance testing, "real" or "random" gives more accurate results\n') +
-    chalk.dim('• Sparse files may show unrealistically fast I/O performance');
+    chalk.dim('• Sparse files may show unrealistically fast I/O performance\n') +
+    chalk.dim('• random writes the seed and expected digests to <file>.seed.json');
 
   console.log(boxen(helpText, { 
     padding: 1, 
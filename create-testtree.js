@@ -0,0 +1,158 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const { parseArgs } = require('util');
+const chalk = require('chalk');
+const cliProgress = require('cli-progress');
+const boxen = require('boxen');
+const ora = require('ora');
+const { formatSize } = require('./units');
+const {
+  DEFAULT_TREE_FILES,
+  DEFAULT_TREE_SIZES,
+  DEFAULT_TREE_SEED,
+  parseSizeRange,
+  readTreeManifest,
+  manifestMatches,
+  generateFileTree,
+  removeFileTree
+} = require('./file-tree');
+
+const DEFAULT_DIR = 'temp_tree';
+
+function parseCliArgs() {
+  const { values } = parseArgs({
+    options: {
+      dir: { type: 'string', default: DEFAULT_DIR },
+      files: { type: 'string', default: String(DEFAULT_TREE_FILES) },
+      sizes: { type: 'string', default: DEFAULT_TREE_SIZES },
+      seed: { type: 'string', default: DEFAULT_TREE_SEED },
+      force: { type: 'boolean' },
+      clean: { type: 'boolean' },
+      help: { type: 'boolean' }
+    }
+  });
+
+  const files = Number(values.files);
+  if (!Number.isInteger(files) || files < 1) {
+    throw new Error(`--files must be a positive integer (got "${values.files}")`);
+  }
+
+  return {
+    dir: values.dir,
+    files,
+    sizes: parseSizeRange(values.sizes),
+    seed: values.seed,
+    force: Boolean(values.force),
+    clean: Boolean(values.clean),
+    help: Boolean(values.help)
+  };
+}
+
+function cleanTree(dir) {
+  if (!fs.existsSync(dir)) {
+    console.log(chalk.blue(`ℹ️  ${dir} does not exist, nothing to clean up`));
+    return;
+  }
+  const spinner = ora(chalk.yellow(`Removing ${dir}...`)).start();
+  try {
+    removeFileTree(dir);
+  } catch (error) {
+    spinner.stop();
+    throw error;
+  }
+  spinner.succeed(chalk.green(`Removed ${dir}`));
+}
+
+function createTree(options) {
+  const { dir, files, sizes, seed } = options;
+  const existing = readTreeManifest(dir);
+
+  if (manifestMatches(existing, options) && !options.force) {
+    console.log(boxen(
+      chalk.yellow(`⚠️  Tree ${dir} already exists (${existing.files} files, ${formatSize(existing.totalBytes)})\n`) +
+      chalk.green('✅ Generated with the same settings, no need to recreate\n') +
+      chalk.dim('💡 Use --force to recreate anyway'),
+      { padding: 1, margin: 1, borderStyle: 'round', borderColor: 'yellow' }
+    ));
+    return;
+  }
+
+  console.log(chalk.bold(`🌳 Creating ${files} files (${sizes.name}, seed ${seed}) in ${chalk.cyan(dir)}`));
+  console.log();
+
+  const progressBar = new cliProgress.SingleBar({
+    format: chalk.green('Files') + ' |' + chalk.green('{bar}') + '| {percentage}% | {value}/{total} files',
+    barCompleteChar: '\u2588',
+    barIncompleteChar: '\u2591',
+    hideCursor: true
+  });
+
+  progressBar.start(files, 0);
+  const startTime = Date.now();
+  let manifest;
+  try {
+    manifest = generateFileTree(dir, { files, sizes, seed }, (written) => {
+      if (written % 100 === 0 || written === files) progressBar.update(written);
+    });
+  } finally {
+    progressBar.stop();
+  }
+  const elapsed = (Date.now() - startTime) / 1000;
+
+  console.log(boxen(
+    chalk.green('✅ Tree created successfully!\n') +
+    chalk.blue('📁 Directory: ') + chalk.white(dir) + '\n' +
+    chalk.blue('📄 Files: ') + chalk.white(manifest.files) + '\n' +
+    chalk.blue('📊 Total size: ') + chalk.white(formatSize(manifest.totalBytes)) +
+    chalk.dim(` (average ${formatSize(Math.round(manifest.totalBytes / manifest.files))})\n`) +
+    chalk.blue('⏱️  Time: ') + chalk.white(`${elapsed.toFixed(1)}s`) + '\n\n' +
+    chalk.dim('Benchmark it with: ') + chalk.white(`node index.js --suite small-files --tree ${dir}`),
+    { padding: 1, margin: 1, borderStyle: 'round', borderColor: 'green' }
+  ));
+}
+
+function showHelp() {
+  const helpText =
+    chalk.bold.cyan('Usage:\n') +
+    chalk.white('  node create-testtree.js [options]\n\n') +
+
+    chalk.bold.cyan('Options:\n') +
+    chalk.yellow('  --dir <path>     ') + chalk.dim(`Tree directory (default ${DEFAULT_DIR})\n`) +
+    chalk.yellow('  --files <n>      ') + chalk.dim(`Number of files (default ${DEFAULT_TREE_FILES})\n`) +
+    chalk.yellow('  --sizes <range>  ') + chalk.dim(`File sizes, log-uniform: 512B-64KB, or 4KB for all (default ${DEFAULT_TREE_SIZES})\n`) +
+    chalk.yellow('  --seed <seed>    ') + chalk.dim(`Seed for sizes and content (default ${DEFAULT_TREE_SEED})\n`) +
+    chalk.yellow('  --force          ') + chalk.dim('Recreate the tree even if it matches\n') +
+    chalk.yellow('  --clean          ') + chalk.dim('Remove the tree\n') +
+    chalk.yellow('  --help           ') + chalk.dim('Show this help\n\n') +
+
+    chalk.bold.cyan('Examples:\n') +
+    chalk.white('  node create-testtree.js                           ') + chalk.dim('# 10000 files, 512B-64KB\n') +
+    chalk.white('  node create-testtree.js --files 50000 --sizes 4KB ') + chalk.dim('# 50000 files of 4KB\n') +
+    chalk.white('  node create-testtree.js --clean                   ') + chalk.dim('# Remove temp_tree\n\n') +
+
+    chalk.bold.yellow('💡 Tips:\n') +
+    chalk.dim('• The same --files, --sizes and --seed always give a byte-identical tree\n') +
+    chalk.dim('• Settings are kept in <dir>/.tree.json; only such directories are ever removed');
+
+  console.log(boxen(helpText, {
+    padding: 1,
+    margin: 1,
+    borderStyle: 'round',
+    borderColor: 'cyan'
+  }));
+}
+
+function main() {
+  try {
+    const options = parseCliArgs();
+    if (options.help) showHelp();
+    else if (options.clean) cleanTree(options.dir);
+    else createTree(options);
+  } catch (error) {
+    console.log(chalk.red('❌ ' + error.message));
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,121 @@
+// Input data patterns for the in-memory benchmarks (--patterns)
+//
+//   zero      all 0x00 bytes
+//   constant  repeated 'A' (the original test data)
+//   random    crypto-random bytes (incompressible)
+//   text      low-entropy English-like text from a small vocabulary
+//   json      JSON-like records, one per line
+//
+// text and json are generated from a fixed seed into a 1MB block that is tiled to the
+// requested size, so every run hashes the same bytes and large sizes stay cheap to build.
+
+const crypto = require('crypto');
+
+const BLOCK_SIZE = 1024 * 1024;
+const SEED = 0x9e3779b9;
+
+const WORDS = [
+  'the', 'of', 'and', 'to', 'in', 'is', 'that', 'for', 'it', 'as', 'with', 'was', 'on',
+  'file', 'hash', 'data', 'block', 'stream', 'buffer', 'read', 'write', 'cache', 'disk',
+  'speed', 'test', 'value', 'result', 'time', 'node', 'worker', 'memory', 'checksum'
+];
+
+const STATUSES = ['active', 'pending', 'archived', 'deleted'];
+
+// xorshift32, enough for reproducible filler content (not for anything security related)
+function createRandom(seed = SEED) {
+  let state = seed >>> 0 || 1;
+  return (limit) => {
+    state ^= state << 13;
+    state ^= state >>> 17;
+    state ^= state << 5;
+    state >>>= 0;
+    return state % limit;
+  };
+}
+
+function textBlock() {
+  const random = createRandom();
+  const parts = [];
+  let length = 0;
+  while (length < BLOCK_SIZE) {
+    const sentence = Array.from({ length: 6 + random(10) }, () => WORDS[random(WORDS.length)]).join(' ');
+    const line = sentence.charAt(0).toUpperCase() + sentence.slice(1) + (random(4) === 0 ? '.\n' : '. ');
+    parts.push(line);
+    length += line.length;
+  }
+  return Buffer.from(parts.join('')).subarray(0, BLOCK_SIZE);
+}
+
+function jsonBlock() {
+  const random = createRandom(SEED ^ 0x5bd1e995);
+  const parts = [];
+  let length = 0;
+  for (let id = 1; length < BLOCK_SIZE; id++) {
+    const line = JSON.stringify({
+      id,
+      user: `user_${random(100000)}`,
+      email: `user${random(100000)}@example.com`,
+      status: STATUSES[random(STATUSES.length)],
+      score: random(10000) / 100,
+      tags: Array.from({ length: random(4) }, () => WORDS[random(WORDS.length)]),
+      updatedAt: new Date(1700000000000 + random(1e9) * 1000).toISOString()
+    }) + '\n';
+    parts.push(line);
+    length += line.length;
+  }
+  return Buffer.from(parts.join('')).subarray(0, BLOCK_SIZE);
+}
+
+function tile(block, size) {
+  const data = Buffer.allocUnsafe(size);
+  for (let offset = 0; offset < size; offset += block.length) {
+    block.copy(data, offset, 0, Math.min(block.length, size - offset));
+  }
+  return data;
+}
+
+const blocks = new Map();
+
+function cachedBlock(name, build) {
+  if (!blocks.has(name)) blocks.set(name, build());
+  return blocks.get(name);
+}
+
+const PATTERNS = [
+  { name: 'zero', label: 'All-zero', generate: (size) => Buffer.alloc(size, 0) },
+  { name: 'constant', label: "Constant 'A'", generate: (size) => Buffer.alloc(size, 'A') },
+  { name: 'random', label: 'Crypto-random', generate: (size) => crypto.randomFillSync(Buffer.allocUnsafe(size)) },
+  { name: 'text', label: 'Low-entropy text', generate: (size) => tile(cachedBlock('text', textBlock), size) },
+  { name: 'json', label: 'JSON records', generate: (size) => tile(cachedBlock('json', jsonBlock), size) }
+];
+
+const DEFAULT_PATTERN = 'constant';
+
+function getPattern(name) {
+  const pattern = PATTERNS.find(p => p.name === name);
+  if (!pattern) {
+    throw new Error(`Unknown data pattern: ${name} (available: ${PATTERNS.map(p => p.name).join(', ')})`);
+  }
+  return pattern;
+}
+
+// Parse "random,json" or "all" into pattern entries, in the canonical order
+function parsePatternList(text) {
+  const names = String(text).split(',').map(part => part.trim()).filter(Boolean);
+  if (names.includes('all')) return PATTERNS;
+  names.forEach(getPattern);
+  return PATTERNS.filter(p => names.includes(p.name));
+}
+
+function generatePattern(name, size) {
+  return getPattern(name).generate(size);
+}
+
+module.exports = {
+  PATTERNS,
+  DEFAULT_PATTERN,
+  getPattern,
+  parsePatternList,
+  generatePattern
+};
@@ -0,0 +1,132 @@
+// Reproducible directory trees of many small files (create-testtree.js, small-files suite)
+//
+// File i is <dir>/dNNN/fNNNNNNN.bin, FILES_PER_DIR files per directory. Its size is drawn
+// log-uniformly from the size range (e.g. 512B-64KB, or a single size for equal files)
+// and its content is the seeded stream for "<seed>/<i>" (seeded-random.js), so the same
+// count, range and seed give a byte-identical tree on any machine. The settings and
+// total size are kept in <dir>/.tree.json, which also marks the directory as generated
+// (removeFileTree refuses to delete anything else). Dotfiles are skipped when walking.
+
+const fs = require('fs');
+const path = require('path');
+const { parseSize, sizeLabel } = require('./units');
+const { createSeededStream } = require('./seeded-random');
+
+const MANIFEST = '.tree.json';
+const FILES_PER_DIR = 256;
+const DEFAULT_TREE_FILES = 10000;
+const DEFAULT_TREE_SIZES = '512B-64KB';
+const DEFAULT_TREE_SEED = 'tree';
+
+// Parse "4KB" (every file the same size) or "512B-64KB" into { min, max, name }
+function parseSizeRange(text) {
+  const parts = String(text).split('-');
+  if (parts.length > 2) {
+    throw new Error(`Invalid size range "${text}" (expected e.g. 4KB or 512B-64KB)`);
+  }
+  const min = parseSize(parts[0]);
+  const max = parts.length === 2 ? parseSize(parts[1]) : min;
+  if (max < min) {
+    throw new Error(`Invalid size range "${text}" (maximum is below minimum)`);
+  }
+  return { min, max, name: min === max ? sizeLabel(min) : `${sizeLabel(min)}-${sizeLabel(max)}` };
+}
+
+function treeFilePath(dir, index) {
+  const subdir = `d${String(Math.floor(index / FILES_PER_DIR)).padStart(3, '0')}`;
+  return path.join(dir, subdir, `f${String(index).padStart(7, '0')}.bin`);
+}
+
+// Sizes of all files: log-uniform in [min, max] from the seeded stream for "<seed>/sizes"
+function treeFileSizes(count, { min, max }, seed) {
+  const random = createSeededStream(`${seed}/sizes`).next(Buffer.alloc(count * 4));
+  const span = Math.log(max / min);
+  return Array.from({ length: count }, (_, i) =>
+    Math.min(max, Math.round(min * Math.exp(span * random.readUInt32BE(i * 4) / 0x100000000))));
+}
+
+// Manifest of a generated tree, or null when dir is not one
+function readTreeManifest(dir) {
+  const file = path.join(dir, MANIFEST);
+  if (!fs.existsSync(file)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read ${file}: ${error.message}`);
+  }
+}
+
+// Whether an existing manifest was generated with these settings
+function manifestMatches(manifest, { files, sizes, seed }) {
+  return Boolean(manifest) && manifest.files === files && manifest.minSize === sizes.min &&
+    manifest.maxSize === sizes.max && manifest.seed === seed;
+}
+
+// Write the tree into dir (which must be empty, missing, or a previously generated tree);
+// onProgress(filesWritten) is called per file. Returns the manifest.
+function generateFileTree(dir, { files, sizes, seed }, onProgress = null) {
+  if (fs.existsSync(dir) && fs.readdirSync(dir).length > 0) {
+    if (!readTreeManifest(dir)) {
+      throw new Error(`${dir} is not empty and was not generated by create-testtree.js`);
+    }
+    removeFileTree(dir);
+  }
+
+  const fileSizes = treeFileSizes(files, sizes, seed);
+  const zeros = Buffer.alloc(sizes.max);
+  let totalBytes = 0;
+
+  for (let i = 0; i < files; i++) {
+    const file = treeFilePath(dir, i);
+    if (i % FILES_PER_DIR === 0) fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, createSeededStream(`${seed}/${i}`).next(zeros.subarray(0, fileSizes[i])));
+    totalBytes += fileSizes[i];
+    if (onProgress) onProgress(i + 1);
+  }
+
+  const manifest = {
+    files,
+    totalBytes,
+    minSize: sizes.min,
+    maxSize: sizes.max,
+    distribution: 'log-uniform',
+    seed,
+    createdAt: new Date().toISOString()
+  };
+  fs.writeFileSync(path.join(dir, MANIFEST), JSON.stringify(manifest, null, 2) + '\n');
+  return manifest;
+}
+
+function removeFileTree(dir) {
+  if (!readTreeManifest(dir)) {
+    throw new Error(`Refusing to remove ${dir}: it was not generated by create-testtree.js`);
+  }
+  fs.rmSync(dir, { recursive: true, force: true });
+}
+
+// Every regular file below dir (dotfiles skipped), in a stable order
+async function listTreeFiles(dir) {
+  const files = [];
+  const entries = await fs.promises.readdir(dir, { withFileTypes: true });
+  entries.sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+
+  for (const entry of entries) {
+    if (entry.name.startsWith('.')) continue;
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) files.push(...await listTreeFiles(full));
+    else if (entry.isFile()) files.push(full);
+  }
+  return files;
+}
+
+module.exports = {
+  DEFAULT_TREE_FILES,
+  DEFAULT_TREE_SIZES,
+  DEFAULT_TREE_SEED,
+  parseSizeRange,
+  readTreeManifest,
+  manifestMatches,
+  generateFileTree,
+  removeFileTree,
+  listTreeFiles
+};
@@ -0,0 +1,204 @@
+// Hash quality measures for the quality suite, a lightweight take on SMHasher's avalanche,
+// bias, distribution and collision tests. Every algorithm hashes the same generated keys:
+//   avalanche   AVALANCHE_KEYS pseudo-random 16-byte keys, each hashed again with every
+//               input bit flipped: the share of output bits that change (ideally 50%), and
+//               the strict avalanche criterion (SAC), the worst bias |2p - 1| over every
+//               (input bit, output bit) pair, p being how often that output bit flips
+//   bit bias    worst |2p - 1| over the output bits, p being the share of ones across the
+//               sequential and sparse keys
+//   chi-squared uniformity of the low BUCKET_BITS digest bits (the bits a power-of-two
+//               hash table or shard count indexes with) per key set, as a z-score
+//   collisions  identical full digests per key set, against the birthday-bound expectation
+//
+// Key sets: sequential = 64-bit little-endian counters 0..65535, sparse = every 32-byte key
+// with at most two bits set. The digest is read as a big-endian number (the hex digest),
+// so the low bits of numeric hashes are its last bytes.
+//
+// Limits are set from what an ideal random function gives for the same number of samples:
+// a measure fails above sigmaLimit(cells) standard deviations, cells being how many values
+// the reported worst case is the maximum of. With a few thousand keys this only flags
+// structural weaknesses (linear CRCs, weak final mixing), not subtle ones.
+
+const { createSeededStream } = require('./seeded-random');
+
+const AVALANCHE_KEYS = 2000;
+const AVALANCHE_KEY_BYTES = 16;
+const SEQUENTIAL_KEYS = 65536;
+const SPARSE_KEY_BYTES = 32;
+const BUCKET_BITS = 12;
+const KEY_SEED = 'hash-quality';
+
+const POPCOUNT = Uint8Array.from({ length: 256 }, (_, byte) => {
+  let count = 0;
+  for (let b = byte; b; b &= b - 1) count++;
+  return count;
+});
+
+// Standard deviations an ideal hash stays within for the worst of `cells` values
+function sigmaLimit(cells) {
+  return Math.sqrt(2 * Math.log(cells)) + 4;
+}
+
+function sequentialKeys() {
+  return Array.from({ length: SEQUENTIAL_KEYS }, (_, i) => {
+    const key = Buffer.alloc(8);
+    key.writeUInt32LE(i, 0);
+    return key;
+  });
+}
+
+function sparseKeys() {
+  const bits = SPARSE_KEY_BYTES * 8;
+  const keys = [Buffer.alloc(SPARSE_KEY_BYTES)];
+  for (let a = 0; a < bits; a++) {
+    const single = Buffer.alloc(SPARSE_KEY_BYTES);
+    single[a >> 3] |= 1 << (a & 7);
+    keys.push(single);
+    for (let b = a + 1; b < bits; b++) {
+      const pair = Buffer.from(single);
+      pair[b >> 3] |= 1 << (b & 7);
+      keys.push(pair);
+    }
+  }
+  return keys;
+}
+
+// Generated once and shared by every algorithm
+let keySets = null;
+
+function getKeySets() {
+  if (!keySets) {
+    keySets = [
+      { name: 'sequential', label: 'Sequential', keys: sequentialKeys() },
+      { name: 'sparse', label: 'Sparse', keys: sparseKeys() }
+    ];
+  }
+  return keySets;
+}
+
+function avalancheKeys() {
+  const random = createSeededStream(KEY_SEED).next(Buffer.alloc(AVALANCHE_KEYS * AVALANCHE_KEY_BYTES));
+  return Array.from({ length: AVALANCHE_KEYS }, (_, i) =>
+    Buffer.from(random.subarray(i * AVALANCHE_KEY_BYTES, (i + 1) * AVALANCHE_KEY_BYTES)));
+}
+
+function measureAvalanche(digest) {
+  const inputBits = AVALANCHE_KEY_BYTES * 8;
+  let counts = null;
+  let outputBits = 0;
+  let flipped = 0;
+
+  for (const key of avalancheKeys()) {
+    const base = digest(key);
+    if (!counts) {
+      outputBits = base.length * 8;
+      counts = new Uint32Array(inputBits * outputBits);
+    }
+    for (let bit = 0; bit < inputBits; bit++) {
+      key[bit >> 3] ^= 1 << (bit & 7);
+      const changed = digest(key);
+      key[bit >> 3] ^= 1 << (bit & 7);
+
+      const row = bit * outputBits;
+      for (let j = 0; j < base.length; j++) {
+        let diff = changed[j] ^ base[j];
+        flipped += POPCOUNT[diff];
+        for (let b = 0; diff; b++, diff >>= 1) {
+          if (diff & 1) counts[row + j * 8 + b]++;
+        }
+      }
+    }
+  }
+
+  let worst = 0;
+  for (const count of counts) {
+    worst = Math.max(worst, Math.abs(2 * count / AVALANCHE_KEYS - 1));
+  }
+  const samples = AVALANCHE_KEYS * inputBits * outputBits;
+  return {
+    outputBits,
+    avalanche: {
+      name: 'avalanche',
+      rate: flipped / samples,
+      value: Math.abs(flipped / samples - 0.5),
+      limit: sigmaLimit(1) * 0.5 / Math.sqrt(samples)
+    },
+    sac: {
+      name: 'sac',
+      value: worst,
+      limit: sigmaLimit(counts.length) / Math.sqrt(AVALANCHE_KEYS)
+    }
+  };
+}
+
+// Chi-squared of the low BUCKET_BITS bits as a z-score (0 = as uniform as random)
+function chiSquaredZ(digests) {
+  const buckets = new Float64Array(1 << BUCKET_BITS);
+  const mask = buckets.length - 1;
+  for (const d of digests) {
+    buckets[((d[d.length - 2] << 8) | d[d.length - 1]) & mask]++;
+  }
+  const expected = digests.length / buckets.length;
+  let chiSquared = 0;
+  for (const count of buckets) chiSquared += (count - expected) ** 2 / expected;
+  const df = buckets.length - 1;
+  return (chiSquared - df) / Math.sqrt(2 * df);
+}
+
+function countCollisions(digests) {
+  const seen = new Set();
+  for (const d of digests) seen.add(d.toString('latin1'));
+  return digests.length - seen.size;
+}
+
+// Run every measure on one loaded algorithm (see loadAlgorithm); returns the output width
+// and a list of { name, keySet, value, limit, ok } measures in table order. A measure fails
+// when value is above limit; for avalanche, value is the distance of the flip rate from 50%.
+function measureQuality(impl) {
+  const digest = (key) => {
+    const value = impl.oneShot(key);
+    return Buffer.isBuffer(value) ? value : Buffer.from(impl.toHex(value), 'hex');
+  };
+
+  const { outputBits, avalanche, sac } = measureAvalanche(digest);
+  const measures = [
+    { ...avalanche, ok: avalanche.value <= avalanche.limit },
+    { ...sac, ok: sac.value <= sac.limit }
+  ];
+
+  const ones = new Float64Array(outputBits);
+  let samples = 0;
+  for (const { name, keys } of getKeySets()) {
+    const digests = keys.map(digest);
+    for (const d of digests) {
+      for (let j = 0; j < d.length; j++) {
+        for (let b = 0, byte = d[j]; byte; b++, byte >>= 1) {
+          if (byte & 1) ones[j * 8 + b]++;
+        }
+      }
+    }
+    samples += digests.length;
+
+    const z = chiSquaredZ(digests);
+    measures.push({ name: 'chi-squared', keySet: name, value: z, limit: sigmaLimit(1), ok: z <= sigmaLimit(1) });
+
+    const collisions = countCollisions(digests);
+    const expected = digests.length * (digests.length - 1) / 2 / 2 ** outputBits;
+    const limit = expected + sigmaLimit(1) * Math.sqrt(expected) + 1;
+    measures.push({ name: 'collisions', keySet: name, value: collisions, expected, limit, ok: collisions <= limit });
+  }
+
+  const bias = Math.max(...Array.from(ones, count => Math.abs(2 * count / samples - 1)));
+  const biasLimit = sigmaLimit(outputBits) / Math.sqrt(samples);
+  measures.splice(2, 0, { name: 'bit-bias', value: bias, limit: biasLimit, ok: bias <= biasLimit });
+
+  return { outputBits, measures };
+}
+
+module.exports = {
+  AVALANCHE_KEYS,
+  AVALANCHE_KEY_BYTES,
+  BUCKET_BITS,
+  getKeySets,
+  measureQuality
+};
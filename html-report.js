@@ -0,0 +1,258 @@
+// Self-contained HTML report of an index.js run (--html)
+//
+// One offline file: inline CSS and SVG, no scripts or external assets. Built from the
+// same result records as --json / --csv (see results-export.js), with charts for
+//   - in-memory throughput vs input size (one line per algorithm)
+//   - pure I/O throughput vs buffer size (one line per read method)
+//   - hash vs I/O efficiency (bars, one per streaming configuration)
+// plus the run environment and a table of every record.
+
+const fs = require('fs');
+const { formatSize } = require('./units');
+const { SCHEMA_VERSION } = require('./results-export');
+
+const PALETTE = [
+  '#2563eb', '#dc2626', '#16a34a', '#d97706', '#7c3aed', '#0891b2', '#db2777',
+  '#65a30d', '#ea580c', '#4f46e5', '#0d9488', '#9333ea', '#ca8a04', '#475569'
+];
+
+const CHART_WIDTH = 760;
+const CHART_HEIGHT = 340;
+const MARGIN = { top: 20, right: 190, bottom: 50, left: 60 };
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function formatGbps(gbps) {
+  return gbps === null || gbps === undefined ? '-' : `${gbps.toFixed(2)} GB/s`;
+}
+
+// Round up to 1, 2 or 5 times a power of ten so axis ticks land on readable values
+function niceMax(value) {
+  if (!(value > 0)) return 1;
+  const magnitude = 10 ** Math.floor(Math.log10(value));
+  const step = [1, 2, 5, 10].find(m => m * magnitude >= value);
+  return step * magnitude;
+}
+
+// Line chart with a log2 x axis; series: [{ name, points: [{ x, y, note }] }]
+function lineChart({ xLabel, yLabel, series }) {
+  const plotWidth = CHART_WIDTH - MARGIN.left - MARGIN.right;
+  const plotHeight = CHART_HEIGHT - MARGIN.top - MARGIN.bottom;
+
+  const xs = [...new Set(series.flatMap(s => s.points.map(p => p.x)))].sort((a, b) => a - b);
+  const yMax = niceMax(Math.max(...series.flatMap(s => s.points.map(p => p.y))));
+  const logMin = Math.log2(xs[0]);
+  const logSpan = Math.log2(xs[xs.length - 1]) - logMin;
+
+  const xPos = x => MARGIN.left + (logSpan === 0 ? plotWidth / 2 : (Math.log2(x) - logMin) / logSpan * plotWidth);
+  const yPos = y => MARGIN.top + plotHeight - y / yMax * plotHeight;
+
+  const parts = [];
+
+  for (let i = 0; i <= 5; i++) {
+    const value = yMax * i / 5;
+    const y = yPos(value);
+    parts.push(`<line class="grid" x1="${MARGIN.left}" x2="${MARGIN.left + plotWidth}" y1="${y}" y2="${y}"/>`);
+    parts.push(`<text class="tick" x="${MARGIN.left - 8}" y="${y + 4}" text-anchor="end">${Number(value.toFixed(2))}</text>`);
+  }
+  for (const x of xs) {
+    parts.push(`<text class="tick" x="${xPos(x)}" y="${MARGIN.top + plotHeight + 18}" text-anchor="middle">${escapeHtml(formatSize(x))}</text>`);
+  }
+  parts.push(`<line class="axis" x1="${MARGIN.left}" x2="${MARGIN.left + plotWidth}" y1="${MARGIN.top + plotHeight}" y2="${MARGIN.top + plotHeight}"/>`);
+  parts.push(`<line class="axis" x1="${MARGIN.left}" x2="${MARGIN.left}" y1="${MARGIN.top}" y2="${MARGIN.top + plotHeight}"/>`);
+  parts.push(`<text class="label" x="${MARGIN.left + plotWidth / 2}" y="${CHART_HEIGHT - 8}" text-anchor="middle">${escapeHtml(xLabel)}</text>`);
+  parts.push(`<text class="label" transform="translate(16 ${MARGIN.top + plotHeight / 2}) rotate(-90)" text-anchor="middle">${escapeHtml(yLabel)}</text>`);
+
+  series.forEach((s, index) => {
+    const color = PALETTE[index % PALETTE.length];
+    const points = [...s.points].sort((a, b) => a.x - b.x);
+
+    if (points.length > 1) {
+      const path = points.map(p => `${xPos(p.x).toFixed(1)},${yPos(p.y).toFixed(1)}`).join(' ');
+      parts.push(`<polyline fill="none" stroke="${color}" stroke-width="2" points="${path}"/>`);
+    }
+    for (const p of points) {
+      parts.push(`<circle cx="${xPos(p.x).toFixed(1)}" cy="${yPos(p.y).toFixed(1)}" r="3.5" fill="${color}">` +
+        `<title>${escapeHtml(`${s.name} @ ${formatSize(p.x)}: ${formatGbps(p.y)}${p.note ? ` (${p.note})` : ''}`)}</title></circle>`);
+    }
+
+    const legendY = MARGIN.top + 6 + index * 18;
+    const legendX = MARGIN.left + plotWidth + 16;
+    parts.push(`<rect x="${legendX}" y="${legendY - 8}" width="10" height="10" fill="${color}"/>`);
+    parts.push(`<text class="legend" x="${legendX + 16}" y="${legendY + 1}">${escapeHtml(s.name)}</text>`);
+  });
+
+  return `<svg viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}" width="${CHART_WIDTH}" height="${CHART_HEIGHT}" role="img">${parts.join('')}</svg>`;
+}
+
+// Horizontal bar chart of percentages; bars: [{ label, value, detail }]
+function barChart({ bars }) {
+  const rowHeight = 26;
+  const labelWidth = 260;
+  const plotWidth = CHART_WIDTH - labelWidth - 70;
+  const height = bars.length * rowHeight + 30;
+  const max = Math.max(100, niceMax(Math.max(...bars.map(b => b.value))));
+  const parts = [];
+
+  for (const value of [0, 25, 50, 75, 100].filter(v => v <= max)) {
+    const x = labelWidth + value / max * plotWidth;
+    parts.push(`<line class="grid" x1="${x}" x2="${x}" y1="0" y2="${height - 24}"/>`);
+    parts.push(`<text class="tick" x="${x}" y="${height - 8}" text-anchor="middle">${value}%</text>`);
+  }
+
+  bars.forEach((bar, index) => {
+    const y = index * rowHeight + 4;
+    const width = Math.max(1, bar.value / max * plotWidth);
+    const color = bar.value >= 80 ? '#16a34a' : bar.value >= 50 ? '#d97706' : '#dc2626';
+    parts.push(`<text class="legend" x="${labelWidth - 8}" y="${y + 14}" text-anchor="end">${escapeHtml(bar.label)}</text>`);
+    parts.push(`<rect x="${labelWidth}" y="${y}" width="${width.toFixed(1)}" height="${rowHeight - 8}" fill="${color}">` +
+      `<title>${escapeHtml(`${bar.label}: ${bar.value.toFixed(1)}% (${bar.detail})`)}</title></rect>`);
+    parts.push(`<text class="tick" x="${labelWidth + width + 6}" y="${y + 14}">${bar.value.toFixed(1)}%</text>`);
+  });
+
+  return `<svg viewBox="0 0 ${CHART_WIDTH} ${height}" width="${CHART_WIDTH}" height="${height}" role="img">${parts.join('')}</svg>`;
+}
+
+// Group records into named series; the cache state is only named when the run had several
+function buildSeries(records, nameOf, xOf) {
+  const multipleCaches = new Set(records.map(r => r.cache)).size > 1;
+  const byName = new Map();
+
+  for (const record of records) {
+    const x = xOf(record);
+    if (record.status !== 'ok' || !(record.gbps > 0) || !(x > 0)) continue;
+    const name = nameOf(record) + (multipleCaches && record.cache ? ` (${record.cache})` : '');
+    if (!byName.has(name)) byName.set(name, []);
+    byName.get(name).push({ x, y: record.gbps });
+  }
+
+  return [...byName].map(([name, points]) => ({ name, points }));
+}
+
+function chartSection(title, description, chart) {
+  return `<section><h2>${escapeHtml(title)}</h2><p class="note">${escapeHtml(description)}</p>` +
+    (chart || '<p class="empty">No data: this suite was not run or produced no successful results.</p>') +
+    '</section>';
+}
+
+function environmentSection(run, config) {
+  const rows = [
+    ['File', run.file ? `${run.file} (${formatSize(run.fileSize)})` : 'none'],
+    ...config.map(({ label, value }) => [label, value]),
+    ['Trials', `${run.warmup} warmup + ${run.iterations} measured`],
+    ['Node', `${run.node} (V8 ${run.v8})`],
+    ['Platform', `${run.platform} ${run.arch}`],
+    ['CPU', `${run.cpuModel || 'unknown'} × ${run.cpuCount}`],
+    ['Memory', formatSize(run.totalMemory)],
+    ['Time', run.timestamp]
+  ];
+  return '<section><h2>Test Configuration</h2><table class="env">' +
+    rows.map(([label, value]) => `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`).join('') +
+    '</table></section>';
+}
+
+function resultsSection(records) {
+  const head = ['Suite', 'Algorithm', 'Method', 'Input', 'Buffer', 'Pattern', 'Cache', 'Median', '95% CI', 'CPU s/GB', 'Peak RSS', 'Status'];
+  const rows = records.map(r => [
+    r.suite,
+    r.algorithm || '-',
+    r.method || '-',
+    formatSize(r.inputSize),
+    formatSize(r.bufferSize),
+    r.pattern || '-',
+    r.cache || '-',
+    r.efficiencyPct !== null ? `${formatGbps(r.gbps)} (${r.efficiencyPct.toFixed(1)}%)` :
+    r.suite === 'small-files' && r.opsPerSec !== null ? `${formatGbps(r.gbps)} (${Math.round(r.opsPerSec).toLocaleString('en-US')} files/s)` :
+    r.opsPerSec !== null ? `${Math.round(r.opsPerSec).toLocaleString('en-US')} ops/s (${r.nsPerOp.toFixed(0)} ns/op)` :
+    r.qualityScore !== null ? `${+r.qualityScore.toFixed(4)} (limit ${+r.qualityLimit.toFixed(4)})` :
+    formatGbps(r.gbps),
+    r.gbpsCiLow !== null && r.trials > 1 ? `${r.gbpsCiLow.toFixed(2)}–${r.gbpsCiHigh.toFixed(2)}` : '-',
+    r.cpuSecondsPerGb !== null ? `${r.cpuSecondsPerGb.toFixed(2)} (${(r.cpuUtilization * 100).toFixed(0)}% CPU)` : '-',
+    formatSize(r.peakRss),
+    r.status === 'ok' ? 'ok' : `${r.status}: ${r.error}`
+  ]);
+
+  return `<section><h2>All Results (${records.length})</h2><table class="results"><thead><tr>` +
+    head.map(h => `<th>${h}</th>`).join('') + '</tr></thead><tbody>' +
+    rows.map((row, i) => `<tr class="${records[i].status}">` + row.map(cell => `<td>${escapeHtml(cell)}</td>`).join('') + '</tr>').join('') +
+    '</tbody></table></section>';
+}
+
+function renderHtmlReport(run, records, config = []) {
+  // One in-memory chart per data pattern, so each stays readable; subtle.digest rows get
+  // their own series, named as in the terminal table
+  const inMemoryRecords = records.filter(r => r.suite === 'in-memory');
+  const inMemorySeriesName = r => r.method === 'subtle.digest' ? `${r.algorithm} subtle` : r.algorithm;
+  const inMemoryCharts = [...new Set(inMemoryRecords.map(r => r.pattern))].map(pattern => ({
+    pattern,
+    series: buildSeries(inMemoryRecords.filter(r => r.pattern === pattern), inMemorySeriesName, r => r.inputSize)
+  })).filter(chart => chart.series.length > 0);
+  const pureIO = buildSeries(records.filter(r => r.suite === 'pure-io'), r => r.method, r => r.bufferSize);
+  const multipleCaches = new Set(records.filter(r => r.suite === 'efficiency').map(r => r.cache)).size > 1;
+  const efficiency = records
+    .filter(r => r.suite === 'efficiency' && r.status === 'ok' && r.efficiencyPct !== null)
+    .map(r => ({
+      label: `${r.algorithm} ${formatSize(r.bufferSize)}${multipleCaches && r.cache ? ` (${r.cache})` : ''}`,
+      value: r.efficiencyPct,
+      detail: formatGbps(r.gbps)
+    }))
+    .sort((a, b) => b.value - a.value);
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Hash performance report – ${escapeHtml(run.timestamp)}</title>
+<style>
+  body { font-family: -apple-system, "Segoe UI", Roboto, sans-serif; margin: 2rem auto; max-width: 1100px; color: #1e293b; padding: 0 1rem; }
+  h1 { font-size: 1.6rem; margin-bottom: 0.2rem; }
+  h3 { font-size: 1rem; color: #334155; margin-bottom: 0; }
+  h2 { font-size: 1.2rem; border-bottom: 1px solid #e2e8f0; padding-bottom: 0.3rem; margin-top: 2rem; }
+  .note { color: #64748b; font-size: 0.9rem; }
+  .empty { color: #94a3b8; font-style: italic; }
+  table { border-collapse: collapse; font-size: 0.85rem; }
+  th, td { padding: 0.3rem 0.6rem; border-bottom: 1px solid #e2e8f0; text-align: left; vertical-align: top; }
+  table.env th { color: #2563eb; font-weight: 600; }
+  table.results th { background: #f1f5f9; position: sticky; top: 0; }
+  tr.error td, tr.failed td { color: #dc2626; }
+  tr.skipped td { color: #94a3b8; }
+  svg { max-width: 100%; height: auto; }
+  svg .grid { stroke: #e2e8f0; }
+  svg .axis { stroke: #64748b; }
+  svg .tick { font-size: 11px; fill: #64748b; }
+  svg .label { font-size: 12px; fill: #334155; }
+  svg .legend { font-size: 12px; fill: #1e293b; }
+</style>
+</head>
+<body>
+<h1>Hash performance report</h1>
+<p class="note">Generated ${escapeHtml(run.timestamp)} · schema version ${SCHEMA_VERSION} · GB/s = GiB per second, median of the measured trials</p>
+${environmentSection(run, config)}
+${chartSection('In-Memory Throughput vs Input Size', 'One-shot hashing of in-memory buffers (testAllHashAlgorithms), one chart per data pattern.',
+  inMemoryCharts.map(({ pattern, series }) => `<h3>${escapeHtml(pattern || 'unknown')} data</h3>` +
+    lineChart({ xLabel: 'Input size', yLabel: 'GB/s', series })).join(''))}
+${chartSection('Pure I/O Throughput vs Buffer Size', 'Reading the test file without hashing (testPureIOPerformance); single points are fixed-buffer methods.',
+  pureIO.length > 0 ? lineChart({ xLabel: 'Buffer size', yLabel: 'GB/s', series: pureIO }) : null)}
+${chartSection('Hash vs I/O Efficiency', 'Streaming hash throughput as a percentage of the fastest pure I/O method (showEfficiencyComparison).',
+  efficiency.length > 0 ? barChart({ bars: efficiency }) : null)}
+${resultsSection(records)}
+</body>
+</html>
+`;
+}
+
+// config: [{ label, value }] lines from the run's configuration box
+function writeHtmlReport(file, run, records, config = []) {
+  fs.writeFileSync(file, renderHtmlReport(run, records, config));
+}
+
+module.exports = {
+  renderHtmlReport,
+  writeHtmlReport
+};
@@ -1,7 +1,8 @@
 #!/usr/bin/env node
 
-const crypto = require('crypto');
 const fs = require('fs');
+const crypto = require('crypto');
+const os = require('os');
 const chalk = require('chalk');
 const Table = require('cli-table3');
 const ora = require('ora');
@@ -9,80 +10,285 @@ const boxen = require('boxen');
 const cliProgress = require('cli-progress');
 const { Worker } = require('worker_threads');
 const path = require('path');
+const { parseArgs } = require('util');
+const { throughputSummary, rateSummary } = require('./stats');
+const { buildRunMetadata, createRecord, writeJsonReport, writeCsvReport } = require('./results-export');
+const { writeHtmlReport } = require('./html-report');
+const { DEFAULT_THRESHOLD_PCT, saveBaseline, loadBaseline, compareToBaseline } = require('./baseline');
+const { ALGORITHMS, getAlgorithm, isAvailable, loadAlgorithm } = require('./algorithms');
+const { parseSizeList, formatSize } = require('./units');
+const { runKnownAnswerTests } = require('./known-answers');
+const { createRingBuffer, resetRingBuffer } = require('./ring-buffer');
+const { DEFAULT_PATTERN, getPattern, parsePatternList, generatePattern, PATTERNS } = require('./data-patterns');
+const { createEvictor, warmFile } = require('./page-cache');
+const { READ_APIS, streamHash } = require('./stream-hash');
+const { subtleDigester } = require('./webcrypto');
+const {
+  CHUNKERS,
+  DEFAULT_CHUNK_SIZES,
+  parseChunkSizes,
+  parseChunkerList,
+  createChunker,
+  chunkFile,
+  summarizeChunkSizes
+} = require('./chunking');
+const {
+  DEFAULT_BLOCK_SIZE,
+  createBlockList,
+  diffBlockList,
+  generateModifications,
+  modificationTransform,
+  expectedRanges
+} = require('./block-list');
+const { AVALANCHE_KEYS, AVALANCHE_KEY_BYTES, BUCKET_BITS, getKeySets, measureQuality } = require('./hash-quality');
+const { startTrial, endTrial, reportWorkerMemory, summarizeUsage } = require('./resource-usage');
+const { TREE_LEAF_SIZE, parallelMode, effectiveWorkers, hashFileParallel, treeDigestSerial } = require('./parallel-hash');
+const {
+  DEFAULT_TREE_FILES,
+  DEFAULT_TREE_SIZES,
+  DEFAULT_TREE_SEED,
+  parseSizeRange,
+  readTreeManifest,
+  generateFileTree,
+  removeFileTree,
+  listTreeFiles
+} = require('./file-tree');
 
-async function testWorkerSharedHashPerformance(filename) {
-  const fileSizeGB = fs.statSync(filename).size / (1024 * 1024 * 1024);
+// Warmup and measured trial counts applied to every suite (overridable via --warmup / --iterations)
+const trialConfig = {
+  warmup: 1,
+  iterations: 5
+};
 
-  const algorithms = [
-    { name: 'sha256', type: 'native' },
-    { name: 'xxh64', type: 'external', module: '@node-rs/xxhash' },
-    { name: 'xxh3-64', type: 'external', module: '@node-rs/xxhash' },
-    { name: 'crc32c', type: 'external', module: '@node-rs/crc32' }
-  ];
+const SUITES = ['in-memory', 'small-input', 'quality', 'streaming', 'pure-io', 'worker', 'parallel', 'chunking', 'delta', 'small-files'];
+const FILE_SUITES = ['streaming', 'pure-io', 'worker', 'parallel', 'chunking', 'delta'];
+
+// Suites run when --suite is not given; parallel is opt-in since it repeats every
+// algorithm once per worker count, chunking since it reads the file once per chunker,
+// size and fingerprint, delta twice per algorithm and block size, small-files since it
+// has to generate a file tree
+const DEFAULT_SUITES = ['in-memory', 'small-input', 'quality', 'streaming', 'pure-io', 'worker'];
+
+const DEFAULT_MEMORY_SIZES = [
+  { size: 1 * 1024 * 1024, name: '1MB' },
+  { size: 10 * 1024 * 1024, name: '10MB' },
+  { size: 100 * 1024 * 1024, name: '100MB' },
+  { size: 1024 * 1024 * 1024, name: '1GB' }
+];
+
+// How worker-reader.js fills the ring buffer slots (--reader)
+const READER_MODES = {
+  stream: { name: 'stream', methodSuffix: '' },
+  direct: { name: 'readSync', methodSuffix: ' readSync' }
+};
+
+// Small-input suite: key/cache-entry sized messages (--message-sizes), a pool of
+// distinct inputs per size, and the target duration of one trial
+const DEFAULT_MESSAGE_SIZES = parseSizeList('16B,64B,256B,1KB,4KB');
+const SMALL_INPUT_POOL = 1024;
+const SMALL_INPUT_TRIAL_SECONDS = 0.1;
+
+// Last digest of the small-input loops, kept so the calls cannot be optimized away
+let smallInputSink = null;
+
+// Small-files suite: files hashed at once (--concurrency). fs calls run on the libuv
+// threadpool, so more than UV_THREADPOOL_SIZE (default 4) only deepens its queue.
+const DEFAULT_CONCURRENCY = [1, 4, 16, 64];
+
+// Chunking suite: read size without --buffer-sizes, and the chunk fingerprint when
+// --chunk-hash is not given (SHA-256, as deduplicating backup tools commonly use)
+const CHUNK_READ_SIZE = { size: 4 * 1024 * 1024, name: '4MB' };
+const DEFAULT_CHUNK_HASH = 'sha256';
+
+// Delta suite: block sizes without --block-sizes, and the modifications injected into the
+// test file (count, largest length in bytes, seed of their offsets and lengths)
+const DEFAULT_BLOCK_SIZES = parseSizeList(`64KB,${formatSize(DEFAULT_BLOCK_SIZE)}`);
+const DELTA_MODIFICATIONS = 16;
+const DELTA_MAX_LENGTH = 4096;
+const DELTA_SEED = 'delta';
+
+// Which suites, algorithms, sizes and data patterns to run (--suite / --algo / --sizes /
+// --patterns / --message-sizes / --buffer-sizes / --workers / --slots / --reader /
+// --tree / --tree-files / --tree-sizes / --concurrency / --chunkers / --chunk-sizes /
+// --chunk-hash / --block-sizes / --read-apis). A null list means each suite
+// uses its own defaults; a null tree means the small-files suite generates a temporary one.
+// readApis adds the alternative read APIs (stream-hash.js) to the streaming suite.
+const selection = {
+  suites: DEFAULT_SUITES,
+  algorithms: null,
+  sizes: null,
+  patterns: [getPattern(DEFAULT_PATTERN)],
+  messageSizes: DEFAULT_MESSAGE_SIZES,
+  bufferSizes: null,
+  workerCounts: null,
+  slotCounts: [1, 2, 4, 8],
+  readModes: Object.keys(READER_MODES),
+  tree: null,
+  treeFiles: DEFAULT_TREE_FILES,
+  treeSizes: parseSizeRange(DEFAULT_TREE_SIZES),
+  concurrency: DEFAULT_CONCURRENCY,
+  chunkers: CHUNKERS,
+  chunkSizes: [parseChunkSizes(DEFAULT_CHUNK_SIZES)],
+  chunkHashes: [getAlgorithm(DEFAULT_CHUNK_HASH)],
+  blockSizes: DEFAULT_BLOCK_SIZES,
+  readApis: false
+};
+
+// Algorithms a suite runs: the --algo list, else the whole registry for the suites over
+// small inputs. Unless --algo names them, the in-memory suite (up to 1GB inputs) leaves
+// out the pure-JavaScript entries and the file suites also the entries that hash
+// incrementally in JavaScript (hasherType), as they run at a fraction of native speed
+// and would dominate a default run
+const SMALL_INPUT_SUITES = ['small-input', 'quality', 'known-answer'];
+
+function suiteAlgorithms(suite) {
+  if (selection.algorithms) return selection.algorithms;
+  if (SMALL_INPUT_SUITES.includes(suite)) return ALGORITHMS;
+  if (suite === 'in-memory') return ALGORITHMS.filter(a => a.type !== 'javascript');
+  return ALGORITHMS.filter(a => (a.hasherType || a.type) !== 'javascript');
+}
+
+// Page cache state the file suites run under (--cache). Each mode is a separate pass
+// over the file suites; current is the pass in progress (null outside file suites).
+const CACHE_MODES = ['cold', 'warm'];
+const cacheControl = {
+  modes: ['warm'],
+  current: null,
+  evictor: null
+};
+
+// Files up to this size are hashed whole in memory for the --verify reference digest;
+// larger files use a positional fs.readSync loop instead, which feeds the same incremental
+// hasher the streaming paths use, so their matches are reported as not cross-checked
+const IN_MEMORY_VERIFY_LIMIT = 1024 * 1024 * 1024;
+
+// Digest verification state (--verify): reference digest per algorithm for the test
+// file, and every digest observed by the streaming and worker paths
+const verification = {
+  enabled: false,
+  references: new Map(),
+  observed: []
+};
+
+// Machine-readable result records collected from every suite for --json / --csv.
+// measurePerformance leaves the CPU/memory summary of its measured trials in
+// lastMeasurementUsage, which the record of that measurement picks up.
+const resultRecords = [];
+let lastMeasurementError = null;
+let lastMeasurementUsage = null;
+
+function recordResult(fields) {
+  if (!fields.summary && !fields.status && fields.gbps === undefined) {
+    fields = { ...fields, error: fields.error || lastMeasurementError };
+  }
+  if (fields.summary && fields.usage === undefined) {
+    fields = { ...fields, usage: lastMeasurementUsage };
+  }
+  resultRecords.push(createRecord({ cache: cacheControl.current, ...fields }));
+}
+
+async function testWorkerSharedHashPerformance(filename) {
+  const fileSize = fs.statSync(filename).size;
+  const fileSizeGB = fileSize / (1024 * 1024 * 1024);
 
   console.log(boxen(
-    chalk.bold.magenta('🧵 SHAREDARRAYBUFFER HASH TEST'),
+    chalk.bold.magenta('🧵 SHAREDARRAYBUFFER HASH TEST\n\n') +
+    chalk.white(`Reader → hasher ring buffer, ${selection.slotCounts.join('/')} slots\n`) +
+    chalk.dim('1 slot = lock-step handoff; more slots let reading overlap hashing\n') +
+    chalk.dim('stream = read stream + copy into the slot; readSync = fs.readSync straight into the slot'),
     { padding: 1, margin: 1, borderStyle: 'round', borderColor: 'magenta' }
   ));
 
   const table = new Table({
     head: [
       chalk.bold.white('Hash Algorithm'),
+      chalk.bold.blue('Reader'),
+      chalk.bold.blue('Slots'),
       chalk.bold.cyan(`Performance (${fileSizeGB.toFixed(1)}GB)`),
+      chalk.bold.yellow('vs 1 slot'),
+      chalk.bold.yellow('vs stream'),
+      chalk.bold.red('CPU s/GB'),
+      chalk.bold.blue('Peak RSS'),
       chalk.bold.green('Status')
     ],
-    colWidths: [20, 25, 12],
+    colWidths: [22, 10, 7, 28, 11, 11, 13, 11, 12],
     style: {
       head: [],
       border: ['magenta']
     }
   });
 
-  for (const algo of algorithms) {
-    const spinner = ora(`Worker SharedBuffer: ${algo.name}`).start();
+  // Ring buffer slots of 4MB unless --buffer-sizes asks for others, at every --slots count
+  const slotSizes = selection.bufferSizes || [{ size: 4 * 1024 * 1024, name: '4MB' }];
+  const workerTests = [];
+  for (const algo of suiteAlgorithms('worker')) {
+    for (const { size, name } of slotSizes) {
+      const label = slotSizes.length > 1 ? `${algo.name}: ${name}` : algo.name;
+      for (const slotCount of selection.slotCounts) {
+        for (const readMode of selection.readModes) {
+          workerTests.push({ algo, slotSize: size, slotCount, readMode, label });
+        }
+      }
+    }
+  }
+
+  // Single-slot throughput per label and reader, the no-overlap reference for the other
+  // slot counts; stream reader throughput per label and slot count, the extra-copy reference
+  const singleSlot = new Map();
+  const streamed = new Map();
+
+  for (const { algo, slotSize, slotCount, readMode, label } of workerTests) {
+    const { name: readerName, methodSuffix } = READER_MODES[readMode];
+    const nameCell = `${chalk.magenta(label)}\n${formatVariant(algo, true)}`;
+    const method = `SharedArrayBuffer ring x${slotCount}${methodSuffix}`;
+    const spinner = ora(`Worker ring buffer: ${label} (${slotCount}-slot ring, ${readerName})`).start();
 
     // Skip if module missing
-    if (algo.module) {
-      try {
-        require.resolve(algo.module);
-      } catch (err) {
-        spinner.warn(`${algo.name} skipped (missing ${algo.module})`);
-        table.push([
-          chalk.magenta(algo.name),
-          chalk.gray('N/A'),
-          chalk.yellow('✗')
-        ]);
-        continue;
-      }
+    if (!isAvailable(algo)) {
+      spinner.warn(`${label} skipped (missing ${algo.package})`);
+      recordResult({
+        suite: 'worker',
+        algorithm: algo.name,
+        method,
+        type: algo.type,
+        inputSize: fileSize,
+        bufferSize: slotSize,
+        status: 'skipped',
+        error: `missing ${algo.package}`
+      });
+      table.push([
+        nameCell,
+        chalk.blue(readerName),
+        chalk.blue(slotCount),
+        chalk.gray('N/A'),
+        '',
+        '',
+        '',
+        '',
+        chalk.yellow('✗')
+      ]);
+      continue;
     }
 
-    const CHUNK_SIZE = 4 * 1024 * 1024;
-    const sharedBuffer = new SharedArrayBuffer(CHUNK_SIZE);
-    const sharedFlag = new SharedArrayBuffer(8); // status + length
-    
-    // Initialize shared flags
-    const flagView = new Int32Array(sharedFlag);
-    Atomics.store(flagView, 0, 0); // status = ready for data
-    Atomics.store(flagView, 1, 0); // length = 0
+    const ring = createRingBuffer(slotCount, slotSize);
 
     try {
-      const duration = await measurePerformance(`Worker-${algo.name}`, async () => {
+      const digests = [];
+      const durations = await measurePerformance(`Worker-${label}`, async () => {
         let hasher, reader;
         let hasherExitPromise, readerExitPromise;
         let timeoutId;
+
+        // Reset head/tail and slot lengths before every trial
+        resetRingBuffer(ring);
         
         try {
           hasher = new Worker(path.join(__dirname, 'worker-hasher.js'), {
-            workerData: { buffer: sharedBuffer, flags: sharedFlag, algo: algo.name }
+            workerData: { ring, algo: algo.name }
           });
 
           reader = new Worker(path.join(__dirname, 'worker-reader.js'), {
-            workerData: {
-              file: filename,
-              buffer: sharedBuffer,
-              flags: sharedFlag,
-              chunkSize: CHUNK_SIZE
-            }
+            workerData: { file: filename, ring, readMode }
           });
 
           // Create exit promises before setting up error handlers
@@ -100,12 +306,21 @@ async function testWorkerSharedHashPerformance(filename) {
             });
           });
 
+          hasher.on('message', (message) => {
+            if (message && message.digest) digests.push(message.digest);
+            if (message) reportWorkerMemory(message.memory);
+          });
+
           // Handle worker errors with proper cleanup
           hasher.on('error', (err) => {
             console.error('Hasher worker error:', err);
             if (reader) reader.terminate();
           });
           
+          reader.on('message', (message) => {
+            if (message) reportWorkerMemory(message.memory);
+          });
+
           reader.on('error', (err) => {
             console.error('Reader worker error:', err);
             if (hasher) hasher.terminate();
@@ -144,21 +359,93 @@ async function testWorkerSharedHashPerformance(filename) {
         }
       }, spinner);
 
-      const gbps = fileSizeGB / duration;
-      const coloredResult = gbps > 3 ? chalk.green(`${gbps.toFixed(2)} GB/s`) :
-                           gbps > 1.5 ? chalk.yellow(`${gbps.toFixed(2)} GB/s`) :
-                           chalk.red(`${gbps.toFixed(2)} GB/s`);
+      const summary = throughputSummary(fileSizeGB, durations);
+      const check = summary ? checkDigests('worker', `${label} x${slotCount} ${readerName}`, algo.name, digests) : null;
+      const slotKey = `${label}|${readMode}`;
+      const copyKey = `${label}|${slotCount}`;
+      if (summary && slotCount === 1) singleSlot.set(slotKey, summary.median);
+      if (summary && readMode === 'stream') streamed.set(copyKey, summary.median);
+      const relative = (reference) => reference
+        ? chalk.white(`${(summary.median / reference).toFixed(2)}x`)
+        : chalk.dim('-');
+      const overlapGain = summary && relative(slotCount !== 1 && singleSlot.get(slotKey));
+      const copyGain = summary && relative(readMode !== 'stream' && streamed.get(copyKey));
+      recordResult({
+        suite: 'worker',
+        algorithm: algo.name,
+        method,
+        type: algo.type,
+        inputSize: fileSize,
+        bufferSize: slotSize,
+        summary,
+        digest: digests[0],
+        ...(check && check.status === 'failed' ? check : {})
+      });
+      if (!summary) {
+        table.push([
+          nameCell,
+          chalk.blue(readerName),
+          chalk.blue(slotCount),
+          chalk.gray('err'),
+          '',
+          '',
+          '',
+          '',
+          chalk.red('✗')
+        ]);
+        continue;
+      }
+
+      if (check && check.status === 'failed') {
+        table.push([
+          nameCell,
+          chalk.blue(readerName),
+          chalk.blue(slotCount),
+          formatThroughput(summary, chalk.gray),
+          overlapGain,
+          copyGain,
+          ...formatUsage(summary),
+          chalk.red('✗ digest')
+        ]);
+        continue;
+      }
+
+      const gbps = summary.median;
+      const paint = gbps > 3 ? chalk.green :
+                   gbps > 1.5 ? chalk.yellow :
+                   chalk.red;
 
       table.push([
-        chalk.magenta(algo.name),
-        coloredResult,
-        chalk.green('✓')
+        nameCell,
+        chalk.blue(readerName),
+        chalk.blue(slotCount),
+        formatThroughput(summary, paint),
+        overlapGain,
+        copyGain,
+        ...formatUsage(summary),
+        chalk.green(check ? '✓ verified' : '✓')
       ]);
     } catch (err) {
       spinner.fail(err.message);
+      recordResult({
+        suite: 'worker',
+        algorithm: algo.name,
+        method,
+        type: algo.type,
+        inputSize: fileSize,
+        bufferSize: slotSize,
+        status: 'error',
+        error: err.message
+      });
       table.push([
-        chalk.magenta(algo.name),
+        nameCell,
+        chalk.blue(readerName),
+        chalk.blue(slotCount),
         chalk.gray('err'),
+        '',
+        '',
+        '',
+        '',
         chalk.red('✗')
       ]);
     }
@@ -169,108 +456,559 @@ async function testWorkerSharedHashPerformance(filename) {
 }
 
 
+// Default worker counts for the parallel suite: powers of two up to the available
+// parallelism, plus the available parallelism itself
+function defaultWorkerCounts() {
+  const max = os.availableParallelism();
+  const counts = [];
+  for (let n = 1; n < max; n *= 2) counts.push(n);
+  counts.push(max);
+  return counts;
+}
+
+async function testParallelHashPerformance(filename) {
+  const fileSize = fs.statSync(filename).size;
+  const fileSizeGB = fileSize / (1024 * 1024 * 1024);
+  const workerCounts = selection.workerCounts || defaultWorkerCounts();
+
+  console.log(boxen(
+    chalk.bold.magenta('🧶 PARALLEL RANGE HASH TEST\n\n') +
+    chalk.white(`Workers: ${workerCounts.join(', ')} (available parallelism ${os.availableParallelism()})\n`) +
+    chalk.dim(`combine = merged whole-file checksum, tree = ${formatSize(TREE_LEAF_SIZE)}-leaf tree digest (see parallel-hash.js)`),
+    { padding: 1, margin: 1, borderStyle: 'round', borderColor: 'magenta' }
+  ));
+
+  const table = new Table({
+    head: [
+      chalk.bold.white('Hash Algorithm'),
+      chalk.bold.blue('Mode'),
+      chalk.bold.white('Workers'),
+      chalk.bold.cyan(`Performance (${fileSizeGB.toFixed(1)}GB)`),
+      chalk.bold.yellow('Speedup'),
+      chalk.bold.magenta('Efficiency'),
+      chalk.bold.red('CPU s/GB'),
+      chalk.bold.blue('Peak RSS'),
+      chalk.bold.green('Status')
+    ],
+    colWidths: [21, 10, 9, 28, 9, 12, 13, 11, 12],
+    style: {
+      head: [],
+      border: ['magenta']
+    }
+  });
+
+  for (const algo of suiteAlgorithms('parallel')) {
+    const mode = parallelMode(algo);
+    const nameCell = `${chalk.magenta(algo.name)}\n${formatVariant(algo, true)}`;
+
+    if (!isAvailable(algo)) {
+      recordResult({
+        suite: 'parallel',
+        algorithm: algo.name,
+        method: `parallel ${mode}`,
+        type: algo.type,
+        inputSize: fileSize,
+        status: 'skipped',
+        error: `missing ${algo.package}`
+      });
+      table.push([nameCell, chalk.blue(mode), chalk.gray('-'), chalk.gray('N/A'), '', '', '', '', chalk.yellow('✗')]);
+      continue;
+    }
+
+    // Tree digests are checked against a single-threaded tree, combined checksums
+    // against the ordinary reference digest
+    let reference;
+    if (verification.enabled && mode === 'tree') {
+      reference = { digest: treeDigestSerial(filename, algo.name), method: 'serial tree', crossChecked: true };
+    }
+
+    // Counts that collapse to the same effective worker count (e.g. more workers
+    // than tree leaves) would only repeat a measurement
+    const counts = [...new Set(workerCounts.map(n => effectiveWorkers(algo, fileSize, n)))];
+    let base = null;
+
+    for (const workers of counts) {
+      const label = `${algo.name} x${workers}`;
+      const method = `parallel ${mode} x${workers}`;
+      const spinner = ora(`Parallel ${mode}: ${label}`).start();
+      const digests = [];
+
+      const durations = await measurePerformance(`Parallel-${label}`, async () => {
+        const result = await hashFileParallel(filename, algo.name, { workers });
+        digests.push(result.digest);
+      }, spinner);
+
+      const summary = throughputSummary(fileSizeGB, durations);
+      const check = summary ? checkDigests('parallel', label, algo.name, digests, reference) : null;
+
+      // Scaling relative to the smallest worker count measured for this algorithm
+      if (summary && !base) base = { workers, gbps: summary.median };
+      const speedup = summary && base ? summary.median / base.gbps : null;
+      const efficiencyPct = speedup !== null ? speedup / (workers / base.workers) * 100 : null;
+
+      recordResult({
+        suite: 'parallel',
+        algorithm: algo.name,
+        method,
+        type: algo.type,
+        inputSize: fileSize,
+        summary,
+        efficiencyPct,
+        digest: digests[0],
+        ...(check && check.status === 'failed' ? check : {})
+      });
+
+      if (!summary) {
+        table.push([nameCell, chalk.blue(mode), chalk.white(workers), chalk.gray('err'), '', '', '', '', chalk.red('✗')]);
+        continue;
+      }
+
+      const paint = efficiencyPct >= 80 ? chalk.green :
+                    efficiencyPct >= 50 ? chalk.yellow :
+                    chalk.red;
+
+      table.push([
+        nameCell,
+        chalk.blue(mode),
+        chalk.white(workers),
+        formatThroughput(summary, check && check.status === 'failed' ? chalk.gray : chalk.cyan),
+        chalk.white(`${speedup.toFixed(2)}x`),
+        paint(`${efficiencyPct.toFixed(0)}%`),
+        ...formatUsage(summary),
+        check && check.status === 'failed' ? chalk.red('✗ digest') : chalk.green(check ? '✓ verified' : '✓')
+      ]);
+    }
+  }
+
+  console.log(table.toString());
+  console.log(chalk.dim('Speedup and efficiency are relative to the smallest worker count; efficiency = speedup / worker ratio'));
+  console.log();
+}
+
+// Content-defined chunking: each chunker cuts the test file on its own (chunking GB/s and
+// the chunk size distribution), then again while fingerprinting every chunk with each
+// --chunk-hash algorithm and indexing the fingerprints (end-to-end dedup throughput)
+async function testChunkingPerformance(filename) {
+  const fileSize = fs.statSync(filename).size;
+  const fileSizeGB = fileSize / (1024 * 1024 * 1024);
+  const bufferSizes = selection.bufferSizes || [CHUNK_READ_SIZE];
+  const hashes = selection.chunkHashes;
+
+  console.log(boxen(
+    chalk.bold.yellow('✂️  CONTENT-DEFINED CHUNKING\n\n') +
+    chalk.white(`Chunkers: ${selection.chunkers.join(', ')}; min/avg/max: ${selection.chunkSizes.map(s => s.name).join(', ')}\n`) +
+    chalk.dim(`Fingerprints: ${hashes.map(a => a.name).join(', ')}, indexed per chunk (see chunking.js)`),
+    { padding: 1, margin: 1, borderStyle: 'round', borderColor: 'yellow' }
+  ));
+
+  const table = new Table({
+    head: [
+      chalk.bold.white('Chunker'),
+      chalk.bold.blue('min/avg/max'),
+      chalk.bold.cyan('Chunking'),
+      chalk.bold.yellow('Chunk sizes'),
+      ...hashes.map(algo => chalk.bold.green(`+ ${algo.name}`))
+    ],
+    colWidths: [10, 17, 22, 26, ...hashes.map(() => 22)],
+    style: {
+      head: [],
+      border: ['yellow']
+    }
+  });
+
+  const paint = gbps => (gbps > 1 ? chalk.green : gbps > 0.3 ? chalk.yellow : chalk.red);
+
+  for (const chunker of selection.chunkers) {
+    for (const sizes of selection.chunkSizes) {
+      for (const { size: bufferSize, name: bufferName } of bufferSizes) {
+        const method = `${chunker} ${sizes.name}`;
+        const row = [chalk.cyan(chunker), `${chalk.white(sizes.name)}\n${chalk.dim(`${bufferName} reads`)}`];
+
+        let lengths = null;
+        const spinner = ora(`Chunking: ${method}`).start();
+        const durations = await measurePerformance(`Chunking ${method} (${bufferName})`, async () => {
+          lengths = chunkFile(filename, createChunker(chunker, sizes), bufferSize).lengths;
+        }, spinner);
+        const summary = throughputSummary(fileSizeGB, durations);
+        const distribution = summary ? summarizeChunkSizes(lengths, sizes) : null;
+        recordResult({
+          suite: 'chunking',
+          method,
+          inputSize: fileSize,
+          bufferSize,
+          summary,
+          chunkCount: distribution ? distribution.count : null,
+          chunkSizeMean: distribution ? distribution.mean : null
+        });
+
+        if (summary) {
+          row.push(
+            [formatThroughput(summary, paint(summary.median)), formatUsageLine(summary)].join('\n'),
+            [
+              chalk.white(`${distribution.count.toLocaleString('en-US')} chunks, mean ${formatSize(Math.round(distribution.mean))}`),
+              chalk.dim(`p10 ${formatSize(distribution.p10)} p50 ${formatSize(distribution.p50)}`),
+              chalk.dim(`p90 ${formatSize(distribution.p90)} σ ${formatSize(Math.round(distribution.stddev))}`),
+              chalk.dim(`${(distribution.atMax * 100).toFixed(1)}% cut at max`)
+            ].join('\n')
+          );
+        } else {
+          row.push(chalk.gray('err'), chalk.gray('-'));
+        }
+
+        for (const algo of hashes) {
+          if (!isAvailable(algo)) {
+            recordResult({
+              suite: 'chunking',
+              algorithm: algo.name,
+              method,
+              type: algo.type,
+              inputSize: fileSize,
+              bufferSize,
+              status: 'skipped',
+              error: `missing ${algo.package}`
+            });
+            row.push(chalk.dim(`npm install ${algo.package}`));
+            continue;
+          }
+
+          const impl = loadAlgorithm(algo);
+          let result = null;
+          const hashSpinner = ora(`Chunking + ${algo.name}: ${method}`).start();
+          const hashDurations = await measurePerformance(`Chunking ${method} + ${algo.name} (${bufferName})`, async () => {
+            result = chunkFile(filename, createChunker(chunker, sizes), bufferSize, impl.createHasher);
+          }, hashSpinner);
+          const hashSummary = throughputSummary(fileSizeGB, hashDurations);
+          recordResult({
+            suite: 'chunking',
+            algorithm: algo.name,
+            method,
+            type: algo.type,
+            inputSize: fileSize,
+            bufferSize,
+            summary: hashSummary,
+            chunkCount: hashSummary ? result.lengths.length : null,
+            chunkSizeMean: hashSummary ? (result.lengths.length > 0 ? fileSize / result.lengths.length : 0) : null,
+            uniqueChunks: hashSummary ? result.uniqueChunks : null
+          });
+
+          if (!hashSummary) {
+            row.push(chalk.gray('err'));
+            continue;
+          }
+          const streaming = singleFileGbps(algo.name);
+          row.push([
+            formatThroughput(hashSummary, paint(hashSummary.median)),
+            chalk.dim(result.uniqueBytes > 0 ? `dedup ${(fileSize / result.uniqueBytes).toFixed(2)}x` : 'dedup -'),
+            streaming !== null ? chalk.dim(`${(hashSummary.median / streaming).toFixed(2)}x streaming`) : ''
+          ].filter(Boolean).join('\n'));
+        }
+
+        table.push(row);
+      }
+    }
+  }
+
+  console.log(table.toString());
+  console.log(chalk.dim('Chunking: read + chunk boundaries only; + <hash>: read + chunk + fingerprint every chunk + fingerprint index lookup'));
+  console.log(chalk.dim('dedup: file size / bytes of unique chunks; streaming: relative to the best whole-file streaming speed of the same hash in this run'));
+  console.log();
+}
+
+// Block-level delta detection (block-hash.js): write the block list of the test file, then
+// compare the file with injected modifications against it. The modifications are applied
+// to the blocks as they are read (see block-list.js), so the test file stays untouched.
+async function testDeltaPerformance(filename) {
+  const fileSize = fs.statSync(filename).size;
+  const fileSizeGB = fileSize / (1024 * 1024 * 1024);
+  const modifications = generateModifications(fileSize, DELTA_MODIFICATIONS, DELTA_MAX_LENGTH, DELTA_SEED);
+  const modifiedBytes = modifications.reduce((sum, { length }) => sum + length, 0);
+  const transform = modificationTransform(modifications);
+
+  console.log(boxen(
+    chalk.bold.yellow('🧱 BLOCK HASH LIST DELTA DETECTION\n\n') +
+    chalk.white(`Block sizes: ${selection.blockSizes.map(s => s.name).join(', ')}\n`) +
+    chalk.dim(`${modifications.length} injected modifications of up to ${formatSize(DELTA_MAX_LENGTH)} (${formatSize(modifiedBytes)} in total)`),
+    { padding: 1, margin: 1, borderStyle: 'round', borderColor: 'yellow' }
+  ));
+
+  const table = new Table({
+    head: [
+      chalk.bold.white('Hash Algorithm'),
+      chalk.bold.blue('Block'),
+      chalk.bold.cyan('Block list'),
+      chalk.bold.cyan('Diff'),
+      chalk.bold.yellow('Ranges'),
+      chalk.bold.magenta('Flagged'),
+      chalk.bold.green('Status')
+    ],
+    colWidths: [21, 8, 22, 22, 10, 18, 12],
+    style: {
+      head: [],
+      border: ['yellow']
+    }
+  });
+
+  const paint = gbps => (gbps > 3 ? chalk.green : gbps > 1 ? chalk.yellow : chalk.red);
+
+  for (const algo of suiteAlgorithms('delta')) {
+    const nameCell = `${chalk.magenta(algo.name)}\n${formatVariant(algo)}`;
+
+    for (const { size: blockSize, name: blockName } of selection.blockSizes) {
+      if (!isAvailable(algo)) {
+        for (const method of ['block list', 'block diff']) {
+          recordResult({
+            suite: 'delta',
+            algorithm: algo.name,
+            method,
+            type: algo.type,
+            inputSize: fileSize,
+            bufferSize: blockSize,
+            status: 'skipped',
+            error: `missing ${algo.package}`
+          });
+        }
+        table.push([nameCell, chalk.white(blockName), chalk.gray('N/A'), chalk.gray('N/A'), '', '', chalk.yellow('✗')]);
+        continue;
+      }
+
+      const impl = loadAlgorithm(algo);
+      const label = `${algo.name} ${blockName}`;
+
+      let list = null;
+      const listSpinner = ora(`Block list: ${label}`).start();
+      const listDurations = await measurePerformance(`Block list ${label}`, async () => {
+        list = createBlockList(filename, impl, blockSize);
+      }, listSpinner);
+      const listSummary = throughputSummary(fileSizeGB, listDurations);
+      recordResult({
+        suite: 'delta',
+        algorithm: algo.name,
+        method: 'block list',
+        type: algo.type,
+        inputSize: fileSize,
+        bufferSize: blockSize,
+        summary: listSummary
+      });
+      const listCell = listSummary
+        ? [formatThroughput(listSummary, paint(listSummary.median)), formatUsageLine(listSummary)].join('\n')
+        : chalk.gray('err');
+
+      if (!listSummary) {
+        table.push([nameCell, chalk.white(blockName), listCell, chalk.gray('-'), '', '', chalk.red('✗')]);
+        continue;
+      }
+
+      let result = null;
+      const diffSpinner = ora(`Block diff: ${label}`).start();
+      const diffDurations = await measurePerformance(`Block diff ${label}`, async () => {
+        result = diffBlockList(filename, list, impl, transform);
+      }, diffSpinner);
+      const diffSummary = throughputSummary(fileSizeGB, diffDurations);
+
+      // The detected ranges must be exactly the blocks the modifications touched
+      const expected = expectedRanges(modifications, blockSize, fileSize);
+      const exact = result !== null && result.ranges.length === expected.length &&
+        result.ranges.every((range, i) => range.start === expected[i].start && range.end === expected[i].end);
+      const flaggedBytes = result ? result.ranges.reduce((sum, { start, end }) => sum + end - start, 0) : 0;
+
+      recordResult({
+        suite: 'delta',
+        algorithm: algo.name,
+        method: 'block diff',
+        type: algo.type,
+        inputSize: fileSize,
+        bufferSize: blockSize,
+        summary: diffSummary,
+        ...(diffSummary && !exact && {
+          status: 'failed',
+          error: `found ${result.ranges.length} changed ranges, expected ${expected.length}`
+        })
+      });
+
+      table.push([
+        nameCell,
+        chalk.white(blockName),
+        listCell,
+        diffSummary
+          ? [formatThroughput(diffSummary, paint(diffSummary.median)), formatUsageLine(diffSummary)].join('\n')
+          : chalk.gray('err'),
+        diffSummary ? chalk.white(`${result.ranges.length}/${expected.length}`) : '',
+        diffSummary
+          ? chalk.white(formatSize(flaggedBytes)) + '\n' + chalk.dim(`${(flaggedBytes / modifiedBytes).toFixed(1)}x modified`)
+          : '',
+        !diffSummary ? chalk.red('✗') : exact ? chalk.green('✓ exact') : chalk.red('✗ ranges')
+      ]);
+    }
+  }
+
+  console.log(table.toString());
+  console.log(chalk.dim('Block list: read + hash every block; Diff: read + hash + compare with the list; Ranges: found/expected changed ranges'));
+  console.log(chalk.dim('Flagged: bytes in changed blocks, what an rsync-style transfer would resend, relative to the bytes actually modified'));
+  console.log();
+}
+
 
-// Helper to measure performance and return duration in seconds
+// Helper to measure performance: runs the warmup trials, then returns the
+// measured trial durations in seconds (null on failure). In a cold-cache pass the
+// test file is evicted before every trial, outside the timed section. CPU time and
+// memory of the measured trials end up in lastMeasurementUsage.
 async function measurePerformance(name, testFunc, spinner = null) {
+  const evictIfCold = () => {
+    if (cacheControl.current === 'cold') cacheControl.evictor.evict();
+  };
+
+  lastMeasurementUsage = null;
+  let trial = null;
   try {
-    const startTime = process.hrtime.bigint();
-    await testFunc();
-    const endTime = process.hrtime.bigint();
-    const durationSeconds = Number(endTime - startTime) / 1_000_000_000;
+    for (let i = 0; i < trialConfig.warmup; i++) {
+      if (spinner) spinner.text = `${name} (warmup ${i + 1}/${trialConfig.warmup})`;
+      evictIfCold();
+      await testFunc();
+    }
+
+    const durations = [];
+    const usage = [];
+    for (let i = 0; i < trialConfig.iterations; i++) {
+      if (spinner) spinner.text = `${name} (trial ${i + 1}/${trialConfig.iterations})`;
+      evictIfCold();
+      trial = startTrial();
+      const startTime = process.hrtime.bigint();
+      await testFunc();
+      const endTime = process.hrtime.bigint();
+      usage.push(endTrial(trial));
+      trial = null;
+      durations.push(Number(endTime - startTime) / 1_000_000_000);
+    }
+
+    lastMeasurementUsage = summarizeUsage(usage, durations);
     if (spinner) spinner.succeed(chalk.green(`${name} completed`));
-    return durationSeconds;
+    return durations;
   } catch (error) {
+    if (trial) endTrial(trial);
+    lastMeasurementError = error.message;
     if (spinner) spinner.fail(chalk.red(`${name} failed: ${error.message}`));
     return null;
   }
 }
 
+// Colored type label and name color of a registry entry (native, external, javascript)
+const TYPE_LABELS = {
+  native: chalk.blue('Native'),
+  external: chalk.yellow('External'),
+  javascript: chalk.green('JavaScript')
+};
+const NAME_COLORS = { native: 'cyan', external: 'magenta', javascript: 'green' };
+
+function formatType(type) {
+  return TYPE_LABELS[type];
+}
+
+function paintName(type) {
+  return chalk[NAME_COLORS[type]];
+}
+
+// Output width and seed/key of a registry entry, e.g. "128-bit seeded"; with incremental,
+// "(JS)" marks entries whose createHasher() is pure JavaScript (hasherType)
+function formatVariant(algo, incremental = false) {
+  const parts = [`${algo.outputBits}-bit`];
+  if (algo.seed != null) parts.push('seeded');
+  if (algo.key) parts.push('keyed');
+  if (incremental && algo.hasherType === 'javascript') parts.push('(JS)');
+  return chalk.dim(parts.join(' '));
+}
+
+// Format a throughput summary as a table cell: median on the first line,
+// then stddev, min-max range and 95% confidence interval when there are several trials
+function formatThroughput(summary, paint) {
+  const lines = [paint(`${summary.median.toFixed(2)} GB/s`)];
+
+  if (summary.n > 1) {
+    lines.push(chalk.dim(`σ ${summary.stddev.toFixed(2)} [${summary.min.toFixed(2)}-${summary.max.toFixed(2)}]`));
+    lines.push(chalk.dim(`CI ${summary.ciLow.toFixed(2)}-${summary.ciHigh.toFixed(2)}`));
+  }
+
+  return lines.join('\n');
+}
+
+// CPU seconds per GB (with CPU utilization, 100% = one core) and peak RSS of the
+// measurement just taken, as two table cells
+function formatUsage(summary, usage = lastMeasurementUsage) {
+  if (!summary || !usage) return [chalk.gray('-'), chalk.gray('-')];
+  const cpuPerGb = usage.cpuUtilization / summary.median;
+  return [
+    chalk.white(cpuPerGb.toFixed(2)) + chalk.dim(` ${(usage.cpuUtilization * 100).toFixed(0)}%`),
+    chalk.white(formatSize(usage.peakRss))
+  ];
+}
+
+// The same as one short dim line (CPU s/GB and peak RSS) for matrix cells
+function formatUsageLine(summary, usage = lastMeasurementUsage) {
+  if (!summary || !usage) return '';
+  return chalk.dim(`${(usage.cpuUtilization / summary.median).toFixed(2)}s/GB ${formatSize(usage.peakRss)}`);
+}
+
 async function testAllHashAlgorithms() {
   console.log(boxen(
     chalk.bold.cyan('🔐 IN-MEMORY HASH ALGORITHM PERFORMANCE COMPARISON'),
     { padding: 1, margin: 1, borderStyle: 'round', borderColor: 'cyan' }
   ));
   
-  const sizes = [
-    { size: 1 * 1024 * 1024, name: '1MB' },
-    { size: 10 * 1024 * 1024, name: '10MB' },
-    { size: 100 * 1024 * 1024, name: '100MB' },
-    { size: 1024 * 1024 * 1024, name: '1GB' }
-  ];
+  const sizes = selection.sizes || DEFAULT_MEMORY_SIZES;
+  const patterns = selection.patterns;
+  const headColors = [chalk.bold.green, chalk.bold.yellow, chalk.bold.cyan, chalk.bold.red];
   
   const table = new Table({
     head: [
       chalk.bold.white('Algorithm'),
       chalk.bold.blue('Type'),
-      chalk.bold.green('1MB'),
-      chalk.bold.yellow('10MB'),
-      chalk.bold.cyan('100MB'),
-      chalk.bold.red('1GB')
+      chalk.bold.white('Pattern'),
+      ...sizes.map(({ name }, i) => headColors[i % headColors.length](name))
     ],
-    colWidths: [18, 10, 12, 12, 12, 12],
+    colWidths: [18, 12, 18, ...sizes.map(() => 19)],
     style: {
       head: [],
       border: ['cyan']
     }
   });
   
-  // Native algorithms
-  const nativeAlgorithms = [
-    'sha256', 'sha1', 'md5', 'blake2b512', 'blake2s256', 
-    'sha3-256', 'sha512', 'shake256'
-  ];
-  
-  // External libraries
-  const externalLibraries = [
-    {
-      name: '@node-rs/xxhash',
-      tests: [
-        { name: 'xxh32', fn: (lib, data) => lib.xxh32(data) },
-        { name: 'xxh64', fn: (lib, data) => lib.xxh64(data) },
-        { name: 'xxh3-64', fn: (lib, data) => lib.xxh3.xxh64(data) }
-      ]
-    },
-    {
-      name: '@node-rs/crc32',
-      tests: [
-        { name: 'crc32', fn: (lib, data) => lib.crc32(data) },
-        { name: 'crc32c', fn: (lib, data) => lib.crc32c(data) }
-      ]
-    }
-  ];
-  
   const allTests = [];
   
-  // Add native algorithms
-  for (const algo of nativeAlgorithms) {
+  for (const algo of suiteAlgorithms('in-memory')) {
+    if (!isAvailable(algo)) {
+      // Library not installed - add placeholder entry
+      allTests.push({
+        name: algo.name,
+        type: algo.type,
+        variant: formatVariant(algo),
+        testFn: null,
+        notInstalled: algo.package
+      });
+      continue;
+    }
+
+    const impl = loadAlgorithm(algo);
     allTests.push({
-      name: algo,
-      type: 'native',
-      testFn: (data) => crypto.createHash(algo).update(data).digest('hex')
+      name: algo.name,
+      algorithm: algo.name,
+      method: 'one-shot',
+      type: algo.type,
+      variant: formatVariant(algo),
+      reference: algo.reference || null,
+      testFn: impl.oneShot
     });
-  }
-  
-  // Add external algorithms
-  for (const library of externalLibraries) {
-    try {
-      const lib = require(library.name);
-      for (const test of library.tests) {
-        allTests.push({
-          name: test.name,
-          type: 'external',
-          testFn: (data) => test.fn(lib, data)
-        });
-      }
-    } catch (error) {
-      // Library not installed - add placeholder entries
-      for (const test of library.tests) {
-        allTests.push({
-          name: test.name,
-          type: 'external',
-          testFn: null,
-          notInstalled: library.name
-        });
-      }
+
+    // The promise-based WebCrypto equivalent, where there is one
+    const subtleDigest = subtleDigester(algo.name);
+    if (subtleDigest) {
+      allTests.push({
+        name: `${algo.name} subtle`,
+        algorithm: algo.name,
+        method: 'subtle.digest',
+        type: algo.type,
+        variant: formatVariant(algo),
+        testFn: subtleDigest,
+        webCrypto: true
+      });
     }
   }
   
@@ -281,99 +1019,149 @@ async function testAllHashAlgorithms() {
     hideCursor: true
   });
   
-  progressBar.start(allTests.length, 0, { algorithm: 'Starting...' });
+  progressBar.start(allTests.length * patterns.length, 0, { algorithm: 'Starting...' });
   
-  // Collect performance data for analysis
+  // Collect performance data for analysis, per algorithm and pattern
   const performanceData = [];
+  // Median GB/s per algorithm|method|size for the WebCrypto and JavaScript comparisons
+  // (first pattern)
+  const medians = new Map();
   
-  for (let i = 0; i < allTests.length; i++) {
-    const test = allTests[i];
-    progressBar.update(i, { algorithm: test.name });
-    
-    const algorithmColor = test.type === 'native' ? chalk.cyan(test.name) : chalk.magenta(test.name);
-    const typeColor = test.type === 'native' ? chalk.blue('Native') : chalk.yellow('External');
-    const row = [algorithmColor, typeColor];
-    
-    if (test.notInstalled) {
-      // Library not installed
-      const installMsg = chalk.dim(`npm install ${test.notInstalled}`);
-      row.push(installMsg, installMsg, installMsg, installMsg);
-      table.push(row);
-      continue;
-    }
+  for (const [p, pattern] of patterns.entries()) {
+    // Generate each input once per pattern and share it between the algorithms
+    const inputs = sizes.map(({ size }) => generatePattern(pattern.name, size));
     
-    if (!test.testFn) {
-      // Test function not available
-      row.push(
-        chalk.gray('N/A'),
-        chalk.gray('N/A'),
-        chalk.gray('N/A'),
-        chalk.gray('N/A')
-      );
-      table.push(row);
-      continue;
-    }
-    
-    // Collect performance data for top performers analysis
-    const testResults = [];
-    
-    for (const { size, name } of sizes) {
-      const data = Buffer.alloc(size, 'A');
-      const sizeGB = size / (1024 * 1024 * 1024);
+    for (let i = 0; i < allTests.length; i++) {
+      const test = allTests[i];
+      progressBar.update(p * allTests.length + i, { algorithm: `${test.name} (${pattern.name})` });
       
-      try {
-        const duration = await measurePerformance(`${test.name} ${name}`, async () => {
-          test.testFn(data);
-        });
-        
-        if (duration) {
-          const gbps = sizeGB / duration;
-          testResults.push(gbps);
-          
-          const coloredResult = gbps > 15 ? chalk.green(`${gbps.toFixed(2)} GB/s`) :
-                               gbps > 8 ? chalk.yellow(`${gbps.toFixed(2)} GB/s`) :
-                               gbps > 3 ? chalk.cyan(`${gbps.toFixed(2)} GB/s`) :
-                               chalk.red(`${gbps.toFixed(2)} GB/s`);
-          row.push(coloredResult);
-        } else {
-          row.push(chalk.gray('err'));
-        }
-      } catch (error) {
-        row.push(chalk.gray('N/A'));
+      const algorithmColor = `${paintName(test.type)(test.name)}\n${test.variant}`;
+      const typeColor = test.webCrypto ? chalk.blue('WebCrypto') : formatType(test.type);
+      const row = [algorithmColor, typeColor, chalk.white(pattern.label)];
+      
+      if (test.notInstalled) {
+        // Library not installed
+        const installMsg = chalk.dim(`npm install ${test.notInstalled}`);
+        row.push(...sizes.map(() => installMsg));
+        for (const { size } of sizes) {
+          recordResult({
+            suite: 'in-memory',
+            algorithm: test.name,
+            method: 'one-shot',
+            type: test.type,
+            inputSize: size,
+            pattern: pattern.name,
+            status: 'skipped',
+            error: `missing ${test.notInstalled}`
+          });
+        }
+        table.push(row);
+        continue;
       }
+      
+      if (!test.testFn) {
+        // Test function not available
+        row.push(...sizes.map(() => chalk.gray('N/A')));
+        table.push(row);
+        continue;
+      }
+      
+      // Collect performance data for top performers analysis
+      const testResults = [];
+      
+      for (const [s, { size, name }] of sizes.entries()) {
+        const data = inputs[s];
+        const sizeGB = size / (1024 * 1024 * 1024);
+        
+        try {
+          const durations = await measurePerformance(`${test.name} ${name} ${pattern.name}`, async () => {
+            await test.testFn(data);
+          });
+          const summary = throughputSummary(sizeGB, durations);
+          recordResult({
+            suite: 'in-memory',
+            algorithm: test.algorithm,
+            method: test.method,
+            type: test.type,
+            inputSize: size,
+            pattern: pattern.name,
+            summary
+          });
+          
+          if (summary) {
+            const gbps = summary.median;
+            testResults.push(gbps);
+            if (p === 0) medians.set(`${test.algorithm}|${test.method}|${size}`, gbps);
+            
+            const paint = gbps > 15 ? chalk.green :
+                         gbps > 8 ? chalk.yellow :
+                         gbps > 3 ? chalk.cyan :
+                         chalk.red;
+            row.push([formatThroughput(summary, paint), formatUsageLine(summary)].join('\n'));
+          } else {
+            row.push(chalk.gray('err'));
+          }
+        } catch (error) {
+          row.push(chalk.gray('N/A'));
+        }
+      }
+      
+      // Store performance data for later analysis
+      if (testResults.length > 0) {
+        const avgPerformance = testResults.reduce((a, b) => a + b) / testResults.length;
+        performanceData.push({
+          name: test.name,
+          type: test.type,
+          webCrypto: Boolean(test.webCrypto),
+          pattern: pattern.name,
+          avgGbps: avgPerformance,
+          maxGbps: Math.max(...testResults),
+          results: testResults
+        });
+      }
+      
+      table.push(row);
     }
-    
-    // Store performance data for later analysis
-    if (testResults.length > 0) {
-      const avgPerformance = testResults.reduce((a, b) => a + b) / testResults.length;
-      performanceData.push({
-        name: test.name,
-        type: test.type,
-        avgGbps: avgPerformance,
-        maxGbps: Math.max(...testResults),
-        results: testResults
-      });
-    }
-    
-    table.push(row);
   }
   
-  progressBar.update(allTests.length, { algorithm: 'Complete!' });
+  progressBar.update(allTests.length * patterns.length, { algorithm: 'Complete!' });
   progressBar.stop();
   
   console.log(table.toString());
+  console.log(chalk.dim('Below each result: CPU seconds per GB hashed and peak RSS of the measured trials'));
+  
+  const lookupMedian = (algorithm, method, size) => medians.get(`${algorithm}|${method}|${size}`);
+  const formatGbps = (gbps) => `${gbps.toFixed(2)} GB/s`;
+  showComparison(
+    COMPARISON_STYLES.webCrypto,
+    `subtle.digest vs createHash, GB/s (${patterns[0].label} data)`,
+    comparisonRows(webCryptoPairs(allTests.filter(t => t.webCrypto).map(t => t.algorithm)), sizes, lookupMedian),
+    formatGbps,
+    (subtle, sync) => subtle / sync
+  );
+  showComparison(
+    COMPARISON_STYLES.javascript,
+    `JavaScript vs native/external implementations, GB/s (${patterns[0].label} data)`,
+    comparisonRows(javascriptPairs(allTests), sizes, lookupMedian),
+    formatGbps,
+    (js, reference) => js / reference
+  );
+  
+  if (patterns.length > 1) {
+    showPatternRanking(patterns, performanceData);
+  }
   
   // Show top performers
   if (performanceData.length > 0) {
     const topPerformers = performanceData.sort((a, b) => b.avgGbps - a.avgGbps).slice(0, 5);
     
     console.log(boxen(
-      chalk.bold.green('🏆 TOP IN-MEMORY PERFORMERS (Average Speed)\n\n') +
+      chalk.bold.green('🏆 TOP IN-MEMORY PERFORMERS (Average of Medians)\n\n') +
       topPerformers.map((result, i) => {
         const medal = i === 0 ? '🥇' : i === 1 ? '🥈' : i === 2 ? '🥉' : `${i + 1}.`;
-        const nameColor = result.type === 'native' ? 'cyan' : 'magenta';
-        const typeText = result.type === 'native' ? chalk.blue('Native') : chalk.yellow('External');
-        return `${medal} ${chalk[nameColor](result.name)} ${typeText}: ${chalk.white(result.avgGbps.toFixed(2))} GB/s avg, ${chalk.green(result.maxGbps.toFixed(2))} GB/s peak`;
+        const typeText = result.webCrypto ? chalk.blue('WebCrypto') : formatType(result.type);
+        const patternText = patterns.length > 1 ? chalk.dim(` [${result.pattern}]`) : '';
+        return `${medal} ${paintName(result.type)(result.name)}${patternText} ${typeText}: ${chalk.white(result.avgGbps.toFixed(2))} GB/s avg, ${chalk.green(result.maxGbps.toFixed(2))} GB/s peak`;
       }).join('\n'),
       { padding: 1, margin: 1, borderStyle: 'round', borderColor: 'green', title: 'Champions' }
     ));
@@ -387,13 +1175,776 @@ async function testAllHashAlgorithms() {
     chalk.white('🔵 ') + chalk.cyan('3-8 GB/s: ') + chalk.white('Good - Standard performance\n') +
     chalk.white('🔴 ') + chalk.red('<3 GB/s: ') + chalk.white('Slow - Complex algorithms or poor optimization\n\n') +
     chalk.blue('Native: ') + chalk.white('Built into Node.js crypto module\n') +
-    chalk.yellow('External: ') + chalk.white('Third-party libraries (often faster)'),
+    chalk.blue('WebCrypto: ') + chalk.white('crypto.webcrypto.subtle.digest, async (thread pool round trip)\n') +
+    chalk.yellow('External: ') + chalk.white('Third-party libraries (often faster)\n') +
+    chalk.green('JavaScript: ') + chalk.white('Pure-JavaScript fallbacks (js-hashes.js), no native code'),
     { padding: 1, margin: 1, borderStyle: 'round', borderColor: 'green', title: 'Legend' }
   ));
   
   console.log();
 }
 
+// Rank the algorithms by average throughput within each data pattern, so a ranking
+// that depends on the data content stands out
+function showPatternRanking(patterns, performanceData) {
+  const table = new Table({
+    head: [
+      chalk.bold.white('Algorithm'),
+      ...patterns.map(({ name }) => chalk.bold.cyan(name)),
+      chalk.bold.green('Ranking')
+    ],
+    colWidths: [18, ...patterns.map(() => 14), 14],
+    style: {
+      head: [],
+      border: ['green']
+    }
+  });
+
+  const ranks = new Map();
+  for (const { name: pattern } of patterns) {
+    const ranked = performanceData
+      .filter(result => result.pattern === pattern)
+      .sort((a, b) => b.avgGbps - a.avgGbps);
+    ranked.forEach((result, i) => {
+      if (!ranks.has(result.name)) ranks.set(result.name, new Map());
+      ranks.get(result.name).set(pattern, { rank: i + 1, gbps: result.avgGbps });
+    });
+  }
+
+  let unstable = 0;
+  for (const [name, byPattern] of ranks) {
+    const values = [...byPattern.values()].map(entry => entry.rank);
+    const spread = Math.max(...values) - Math.min(...values);
+    if (spread > 0) unstable++;
+
+    table.push([
+      chalk.cyan(name),
+      ...patterns.map(({ name: pattern }) => {
+        const entry = byPattern.get(pattern);
+        return entry ? `#${entry.rank} ${chalk.dim(`${entry.gbps.toFixed(2)}`)}` : chalk.gray('-');
+      }),
+      spread === 0 ? chalk.green('✓ stable') : chalk.yellow(`⚠ ±${spread}`)
+    ]);
+  }
+
+  console.log(chalk.bold.green('\n📐 Ranking by data pattern (average GB/s across sizes)'));
+  console.log(table.toString());
+  console.log(unstable === 0
+    ? chalk.green('✓ Algorithm ranking is the same for every data pattern\n')
+    : chalk.yellow(`⚠ ${unstable} algorithm(s) change rank with the data pattern (adjacent ranks may just be noise)\n`));
+}
+
+// Pair the measurements of two ways of computing the same digest at each size;
+// pairs are { label, base: [algorithm, method], other: [algorithm, method] } and
+// lookup(algorithm, method, size) returns the measured value or undefined
+function comparisonRows(pairs, sizes, lookup) {
+  const rows = [];
+  for (const { label, base, other } of pairs) {
+    for (const { size, name } of sizes) {
+      const baseValue = lookup(...base, size);
+      const otherValue = lookup(...other, size);
+      if (baseValue !== undefined && otherValue !== undefined) {
+        rows.push({ label, sizeName: name, base: baseValue, other: otherValue });
+      }
+    }
+  }
+  return rows;
+}
+
+// createHash one-shot against subtle.digest for each algorithm with a WebCrypto counterpart
+function webCryptoPairs(algorithms) {
+  return algorithms.map(algorithm => ({
+    label: algorithm,
+    base: [algorithm, 'one-shot'],
+    other: [algorithm, 'subtle.digest']
+  }));
+}
+
+// Each pure-JavaScript registry entry against the native or external algorithm it reimplements
+function javascriptPairs(algorithms) {
+  return algorithms.filter(a => a.reference).map(a => ({
+    label: `${a.name} vs ${a.reference}`,
+    base: [a.reference, 'one-shot'],
+    other: [a.name, 'one-shot']
+  }));
+}
+
+// WebCrypto and JavaScript comparison table styles
+const COMPARISON_STYLES = {
+  webCrypto: { icon: '🌐', color: 'blue', base: 'createHash', other: 'subtle.digest', speed: 'subtle speed' },
+  javascript: { icon: '🧩', color: 'green', base: 'Reference', other: 'JavaScript', speed: 'JS speed' }
+};
+
+// Table of one variant against the other (see COMPARISON_STYLES); speed(other, base)
+// is the relative speed of the other variant (above 1 = faster)
+function showComparison(style, title, rows, format, speed) {
+  if (rows.length === 0) return;
+
+  const table = new Table({
+    head: [
+      chalk.bold.white('Algorithm'),
+      chalk.bold.white('Size'),
+      chalk.bold.cyan(style.base),
+      chalk.bold[style.color](style.other),
+      chalk.bold.yellow(style.speed)
+    ],
+    colWidths: [Math.max(12, ...rows.map(row => row.label.length + 2)), 9, 16, 16, 14],
+    style: {
+      head: [],
+      border: [style.color]
+    }
+  });
+
+  for (const row of rows) {
+    const relative = speed(row.other, row.base);
+    const paint = relative >= 0.95 ? chalk.green :
+                  relative >= 0.5 ? chalk.yellow :
+                  chalk.red;
+    table.push([
+      chalk.cyan(row.label),
+      chalk.white(row.sizeName),
+      chalk.white(format(row.base)),
+      chalk.white(format(row.other)),
+      paint(`${relative.toFixed(2)}x`)
+    ]);
+  }
+
+  console.log(chalk.bold[style.color](`${style.icon} ${title}`));
+  console.log(table.toString());
+  console.log();
+}
+
+// Format a call rate compactly, e.g. 12.3M ops/s
+function formatOps(opsPerSec) {
+  if (opsPerSec >= 1e6) return `${(opsPerSec / 1e6).toFixed(1)}M`;
+  if (opsPerSec >= 1e3) return `${(opsPerSec / 1e3).toFixed(1)}k`;
+  return opsPerSec.toFixed(0);
+}
+
+// Call fn ops times over the input pool. Async functions (subtle.digest) are awaited
+// one call at a time, so their rate is the inverse of the per-call latency; the
+// synchronous loop stays free of awaits.
+async function runSmallInput(fn, inputs, ops, isAsync) {
+  if (!isAsync) {
+    for (let i = 0; i < ops; i++) smallInputSink = fn(inputs[i % inputs.length]);
+    return;
+  }
+  for (let i = 0; i < ops; i++) smallInputSink = await fn(inputs[i % inputs.length]);
+}
+
+// Run fn over the input pool until one trial takes about SMALL_INPUT_TRIAL_SECONDS;
+// returns the number of calls per trial
+async function calibrateSmallInput(fn, inputs, isAsync) {
+  let ops = 1000;
+  for (;;) {
+    const startTime = process.hrtime.bigint();
+    await runSmallInput(fn, inputs, ops, isAsync);
+    const elapsed = Number(process.hrtime.bigint() - startTime) / 1_000_000_000;
+
+    if (elapsed >= SMALL_INPUT_TRIAL_SECONDS / 10) {
+      return Math.max(ops, Math.ceil(ops * SMALL_INPUT_TRIAL_SECONDS / elapsed));
+    }
+    ops *= 10;
+  }
+}
+
+async function testSmallInputPerformance() {
+  console.log(boxen(
+    chalk.bold.cyan('🔑 SMALL-INPUT HASH PERFORMANCE (ops/sec, ns/op)\n\n') +
+    chalk.dim(`One-shot calls over a pool of ${SMALL_INPUT_POOL} random inputs, ~${SMALL_INPUT_TRIAL_SECONDS * 1000}ms per trial`),
+    { padding: 1, margin: 1, borderStyle: 'round', borderColor: 'cyan' }
+  ));
+
+  const algorithms = suiteAlgorithms('small-input');
+  const sizes = selection.messageSizes;
+  const headColors = [chalk.bold.green, chalk.bold.yellow, chalk.bold.cyan, chalk.bold.red];
+
+  const table = new Table({
+    head: [
+      chalk.bold.white('Algorithm'),
+      chalk.bold.blue('Type'),
+      ...sizes.map(({ name }, i) => headColors[i % headColors.length](name))
+    ],
+    colWidths: [18, 12, ...sizes.map(() => 15)],
+    style: {
+      head: [],
+      border: ['cyan']
+    }
+  });
+
+  // Distinct inputs per size so every call hashes fresh data
+  const pools = sizes.map(({ size }) => Array.from({ length: SMALL_INPUT_POOL }, () => crypto.randomBytes(size)));
+
+  const progressBar = new cliProgress.SingleBar({
+    format: chalk.cyan('Testing Small Inputs') + ' |' + chalk.cyan('{bar}') + '| {percentage}% | {value}/{total} | Current: {algorithm}',
+    barCompleteChar: '\u2588',
+    barIncompleteChar: '\u2591',
+    hideCursor: true
+  });
+  progressBar.start(algorithms.length, 0, { algorithm: 'Starting...' });
+
+  // Median ns/op per algorithm|method|size for the WebCrypto and JavaScript comparisons
+  const latency = new Map();
+
+  for (let a = 0; a < algorithms.length; a++) {
+    const algo = algorithms[a];
+    progressBar.update(a, { algorithm: algo.name });
+
+    if (!isAvailable(algo)) {
+      table.push([
+        `${paintName(algo.type)(algo.name)}\n${formatVariant(algo)}`,
+        formatType(algo.type),
+        ...sizes.map(() => chalk.dim(`npm install ${algo.package}`))
+      ]);
+      for (const { size } of sizes) {
+        recordResult({
+          suite: 'small-input',
+          algorithm: algo.name,
+          method: 'one-shot',
+          type: algo.type,
+          inputSize: size,
+          pattern: 'random',
+          status: 'skipped',
+          error: `missing ${algo.package}`
+        });
+      }
+      continue;
+    }
+
+    // The synchronous one-shot, then the promise-based WebCrypto equivalent if there is one
+    const variants = [{
+      name: algo.name,
+      method: 'one-shot',
+      typeText: formatType(algo.type),
+      fn: loadAlgorithm(algo).oneShot,
+      isAsync: false
+    }];
+    const subtleDigest = subtleDigester(algo.name);
+    if (subtleDigest) {
+      variants.push({ name: `${algo.name} subtle`, method: 'subtle.digest', typeText: chalk.blue('WebCrypto'), fn: subtleDigest, isAsync: true });
+    }
+
+    for (const { name: label, method, typeText, fn, isAsync } of variants) {
+      const row = [`${paintName(algo.type)(label)}\n${formatVariant(algo)}`, typeText];
+
+      for (let s = 0; s < sizes.length; s++) {
+        const { size, name } = sizes[s];
+        const inputs = pools[s];
+        const ops = await calibrateSmallInput(fn, inputs, isAsync);
+
+        const durations = await measurePerformance(`${label} ${name}`, async () => {
+          await runSmallInput(fn, inputs, ops, isAsync);
+        });
+        const rates = rateSummary(ops, durations);
+
+        recordResult({
+          suite: 'small-input',
+          algorithm: algo.name,
+          method,
+          type: algo.type,
+          inputSize: size,
+          pattern: 'random',
+          summary: throughputSummary(ops * size / (1024 * 1024 * 1024), durations),
+          opsPerSec: rates ? rates.median : null
+        });
+
+        if (!rates) {
+          row.push(chalk.gray('err'));
+          continue;
+        }
+
+        const nsPerOp = 1e9 / rates.median;
+        latency.set(`${algo.name}|${method}|${size}`, nsPerOp);
+        const paint = nsPerOp < 200 ? chalk.green :
+                      nsPerOp < 1000 ? chalk.yellow :
+                      chalk.red;
+        const lines = [paint(`${formatOps(rates.median)} ops/s`), chalk.white(`${nsPerOp.toFixed(0)} ns/op`)];
+        if (rates.n > 1) lines.push(chalk.dim(`±${(rates.stddev / rates.mean * 100).toFixed(1)}%`));
+        row.push(lines.join('\n'));
+      }
+
+      table.push(row);
+    }
+  }
+
+  progressBar.update(algorithms.length, { algorithm: 'Complete!' });
+  progressBar.stop();
+
+  console.log(table.toString());
+  console.log(chalk.dim('ns/op at the median rate; ± is the relative standard deviation across trials'));
+  console.log();
+
+  const lookupLatency = (algorithm, method, size) => latency.get(`${algorithm}|${method}|${size}`);
+  const formatNs = (ns) => (ns >= 10000 ? `${(ns / 1000).toFixed(1)} µs` : `${ns.toFixed(0)} ns`);
+  showComparison(
+    COMPARISON_STYLES.webCrypto,
+    'subtle.digest vs createHash, latency per call (one call in flight)',
+    comparisonRows(webCryptoPairs(algorithms.map(a => a.name).filter(name => subtleDigester(name))), sizes, lookupLatency),
+    formatNs,
+    (subtle, sync) => sync / subtle
+  );
+
+  // No native call overhead, so the JavaScript versions can win on short messages
+  showComparison(
+    COMPARISON_STYLES.javascript,
+    'JavaScript vs native/external implementations, latency per call',
+    comparisonRows(javascriptPairs(algorithms), sizes, lookupLatency),
+    formatNs,
+    (js, reference) => reference / js
+  );
+}
+
+// Speed of an algorithm measured earlier in this run, for the quality table: in-memory
+// GB/s at the largest size (first pattern) and small-input ns/op at the smallest size
+function inMemorySpeed(algorithm) {
+  const rows = resultRecords.filter(r => r.suite === 'in-memory' && r.algorithm === algorithm &&
+    r.method === 'one-shot' && r.pattern === selection.patterns[0].name && r.status === 'ok');
+  return rows.length > 0 ? rows.reduce((a, b) => (b.inputSize > a.inputSize ? b : a)).gbps : null;
+}
+
+function smallInputLatency(algorithm) {
+  const rows = resultRecords.filter(r => r.suite === 'small-input' && r.algorithm === algorithm &&
+    r.method === 'one-shot' && r.status === 'ok');
+  return rows.length > 0 ? rows.reduce((a, b) => (b.inputSize < a.inputSize ? b : a)) : null;
+}
+
+async function testHashQuality() {
+  const keySets = getKeySets();
+  console.log(boxen(
+    chalk.bold.cyan('🎲 HASH QUALITY (avalanche, bias, distribution, collisions)\n\n') +
+    chalk.dim(`Avalanche: ${AVALANCHE_KEYS} random ${AVALANCHE_KEY_BYTES}-byte keys with every bit flipped; `) +
+    chalk.dim(`key sets: ${keySets.map(({ name, keys }) => `${keys.length} ${name}`).join(', ')}; `) +
+    chalk.dim(`${2 ** BUCKET_BITS} buckets from the low ${BUCKET_BITS} bits`),
+    { padding: 1, margin: 1, borderStyle: 'round', borderColor: 'cyan' }
+  ));
+
+  const algorithms = suiteAlgorithms('quality');
+  const table = new Table({
+    head: [
+      chalk.bold.white('Algorithm'),
+      chalk.bold.blue('Type'),
+      chalk.bold.green('Speed'),
+      chalk.bold.yellow('Avalanche'),
+      chalk.bold.yellow('SAC bias'),
+      chalk.bold.yellow('Bit bias'),
+      ...keySets.map(({ label }) => chalk.bold.cyan(label)),
+      chalk.bold.white('Verdict')
+    ],
+    colWidths: [18, 12, 13, 11, 10, 10, ...keySets.map(() => 17), 12],
+    style: {
+      head: [],
+      border: ['cyan']
+    }
+  });
+
+  const progressBar = new cliProgress.SingleBar({
+    format: chalk.cyan('Testing Hash Quality') + ' |' + chalk.cyan('{bar}') + '| {percentage}% | {value}/{total} | Current: {algorithm}',
+    barCompleteChar: '█',
+    barIncompleteChar: '░',
+    hideCursor: true
+  });
+  progressBar.start(algorithms.length, 0, { algorithm: 'Starting...' });
+
+  const percent = (value) => `${(value * 100).toFixed(1)}%`;
+  const mark = (measure, text) => (measure.ok ? chalk.green(text) : chalk.red(text));
+  const passing = [];
+
+  for (let a = 0; a < algorithms.length; a++) {
+    const algo = algorithms[a];
+    progressBar.update(a, { algorithm: algo.name });
+    // Let the progress bar redraw, measureQuality blocks for a few seconds
+    await new Promise(resolve => setImmediate(resolve));
+
+    const nameCell = `${paintName(algo.type)(algo.name)}\n${formatVariant(algo)}`;
+    if (!isAvailable(algo)) {
+      table.push([nameCell, formatType(algo.type), { colSpan: 5 + keySets.length, content: chalk.dim(`npm install ${algo.package}`) }]);
+      recordResult({ suite: 'quality', algorithm: algo.name, type: algo.type, status: 'skipped', error: `missing ${algo.package}` });
+      continue;
+    }
+
+    const { measures } = measureQuality(loadAlgorithm(algo));
+    const find = (name, keySet) => measures.find(m => m.name === name && (!keySet || m.keySet === keySet));
+    const failed = measures.filter(m => !m.ok);
+
+    for (const measure of measures) {
+      const method = measure.keySet ? `${measure.name}:${measure.keySet}` : measure.name;
+      recordResult({
+        suite: 'quality',
+        algorithm: algo.name,
+        method,
+        type: algo.type,
+        qualityScore: measure.value,
+        qualityLimit: measure.limit,
+        status: measure.ok ? 'ok' : 'failed',
+        error: measure.ok ? null : `${method} ${measure.value.toFixed(4)} above the limit of ${measure.limit.toFixed(4)}`
+      });
+    }
+
+    const gbps = inMemorySpeed(algo.name);
+    const latency = smallInputLatency(algo.name);
+    const avalanche = find('avalanche');
+    const sac = find('sac');
+    const bias = find('bit-bias');
+    if (failed.length === 0) passing.push({ algo, gbps });
+
+    table.push([
+      nameCell,
+      formatType(algo.type),
+      [
+        gbps !== null ? chalk.white(`${gbps.toFixed(2)} GB/s`) : chalk.gray('-'),
+        latency ? chalk.dim(`${latency.nsPerOp.toFixed(0)} ns/${formatSize(latency.inputSize)}`) : ''
+      ].join('\n'),
+      mark(avalanche, percent(avalanche.rate)),
+      mark(sac, percent(sac.value)) + '\n' + chalk.dim(`≤${percent(sac.limit)}`),
+      mark(bias, percent(bias.value)) + '\n' + chalk.dim(`≤${percent(bias.limit)}`),
+      ...keySets.map(({ name }) => {
+        const chiSquared = find('chi-squared', name);
+        const collisions = find('collisions', name);
+        return mark(chiSquared, `χ² z ${chiSquared.value.toFixed(1)}`) + '\n' +
+          mark(collisions, `${collisions.value} coll.`) + chalk.dim(` (${collisions.expected.toFixed(2)})`);
+      }),
+      failed.length === 0 ? chalk.green('✓ pass') : chalk.red(`✗ ${failed.length} failed`)
+    ]);
+  }
+
+  progressBar.update(algorithms.length, { algorithm: 'Complete!' });
+  progressBar.stop();
+
+  console.log(table.toString());
+  console.log(chalk.dim('Speed: in-memory GB/s at the largest size and small-input ns/op at the smallest size of this run (- when not run)'));
+  console.log(chalk.dim('Avalanche: output bits changed per flipped input bit (ideal 50%); SAC/bit bias: worst |2p-1| with its limit below'));
+  console.log(chalk.dim('χ² z: bucket unevenness in standard deviations (negative = more even than random); coll.: observed (expected) collisions'));
+
+  const fastest = passing.filter(p => p.gbps !== null).sort((a, b) => b.gbps - a.gbps).slice(0, 3);
+  if (fastest.length > 0) {
+    console.log(chalk.green(`✓ Fastest algorithms passing every quality measure: ${fastest.map(p => `${p.algo.name} (${p.gbps.toFixed(2)} GB/s)`).join(', ')}`));
+  }
+  console.log();
+}
+
+// Use the --tree directory, or generate a temporary tree for this run
+function prepareFileTree() {
+  if (selection.tree) {
+    const manifest = readTreeManifest(selection.tree);
+    if (!manifest) {
+      throw new Error(`${selection.tree} is not a generated tree (create one with create-testtree.js)`);
+    }
+    return { dir: selection.tree, manifest, temporary: false };
+  }
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hash-tree-'));
+  const spinner = ora(`Generating ${selection.treeFiles} files (${selection.treeSizes.name}) in ${dir}...`).start();
+  try {
+    const manifest = generateFileTree(dir, { files: selection.treeFiles, sizes: selection.treeSizes, seed: DEFAULT_TREE_SEED });
+    spinner.succeed(`Generated ${manifest.files} files (${formatSize(manifest.totalBytes)}) in ${dir}`);
+    return { dir, manifest, temporary: true };
+  } catch (error) {
+    spinner.fail(`Tree generation failed: ${error.message}`);
+    fs.rmSync(dir, { recursive: true, force: true });
+    throw error;
+  }
+}
+
+// Walk the tree and hash every file whole, with up to `concurrency` files in flight;
+// returns the number of files hashed
+async function hashFileTree(dir, impl, concurrency) {
+  const files = await listTreeFiles(dir);
+  let next = 0;
+
+  const hashNext = async () => {
+    while (next < files.length) {
+      const data = await fs.promises.readFile(files[next++]);
+      impl.oneShot(data);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, files.length) }, hashNext));
+  return files.length;
+}
+
+// Best streaming throughput measured for an algorithm in this run, for comparison
+function singleFileGbps(algorithm) {
+  const rows = resultRecords.filter(r => r.suite === 'streaming' && r.algorithm === algorithm && r.status === 'ok');
+  return rows.length > 0 ? Math.max(...rows.map(r => r.gbps)) : null;
+}
+
+async function testSmallFilesPerformance() {
+  const tree = prepareFileTree();
+  const { files, totalBytes } = tree.manifest;
+  const totalGB = totalBytes / (1024 * 1024 * 1024);
+  const levels = selection.concurrency;
+
+  console.log(boxen(
+    chalk.bold.green('🗂️  MANY-SMALL-FILES HASH TEST\n\n') +
+    chalk.white(`${files} files, ${formatSize(totalBytes)} (${formatSize(tree.manifest.minSize)}-${formatSize(tree.manifest.maxSize)}) in ${tree.dir}\n`) +
+    chalk.white(`Files in flight: ${levels.join(', ')}\n`) +
+    chalk.dim('Every trial walks the tree and reads + hashes each file whole (fs.promises.readFile)'),
+    { padding: 1, margin: 1, borderStyle: 'round', borderColor: 'green' }
+  ));
+
+  const table = new Table({
+    head: [
+      chalk.bold.white('Algorithm'),
+      chalk.bold.blue('Type'),
+      ...levels.map(n => chalk.bold.cyan(`x${n}`)),
+      chalk.bold.yellow('Single file')
+    ],
+    colWidths: [16, 12, ...levels.map(() => 18), 13],
+    style: {
+      head: [],
+      border: ['green']
+    }
+  });
+
+  try {
+    for (const algo of suiteAlgorithms('small-files')) {
+      const row = [
+        `${paintName(algo.type)(algo.name)}\n${formatVariant(algo)}`,
+        formatType(algo.type)
+      ];
+
+      if (!isAvailable(algo)) {
+        for (const concurrency of levels) {
+          recordResult({
+            suite: 'small-files',
+            algorithm: algo.name,
+            method: `readFile x${concurrency}`,
+            type: algo.type,
+            inputSize: totalBytes,
+            status: 'skipped',
+            error: `missing ${algo.package}`
+          });
+        }
+        table.push([...row, ...levels.map(() => chalk.gray('N/A')), chalk.gray('-')]);
+        continue;
+      }
+
+      const impl = loadAlgorithm(algo);
+
+      for (const concurrency of levels) {
+        const spinner = ora(`Small files: ${algo.name} x${concurrency}`).start();
+        const durations = await measurePerformance(`Small-files-${algo.name} x${concurrency}`, async () => {
+          const hashed = await hashFileTree(tree.dir, impl, concurrency);
+          if (hashed !== files) {
+            throw new Error(`Expected ${files} files in ${tree.dir}, found ${hashed}`);
+          }
+        }, spinner);
+
+        const summary = throughputSummary(totalGB, durations);
+        const rates = rateSummary(files, durations);
+
+        recordResult({
+          suite: 'small-files',
+          algorithm: algo.name,
+          method: `readFile x${concurrency}`,
+          type: algo.type,
+          inputSize: totalBytes,
+          summary,
+          opsPerSec: rates ? rates.median : null
+        });
+
+        row.push(summary
+          ? [chalk.green(`${formatOps(rates.median)} files/s`), chalk.white(`${summary.median.toFixed(2)} GB/s`), formatUsageLine(summary)].join('\n')
+          : chalk.gray('err'));
+      }
+
+      const single = singleFileGbps(algo.name);
+      row.push(single !== null ? chalk.white(`${single.toFixed(2)} GB/s`) : chalk.gray('-'));
+      table.push(row);
+    }
+  } finally {
+    if (tree.temporary) removeFileTree(tree.dir);
+  }
+
+  console.log(table.toString());
+  console.log(chalk.dim('Median files/s and GB/s per trial, then CPU s/GB and peak RSS; single file = best streaming result of this run (--suite streaming)'));
+  console.log();
+}
+
+// Reference digest of the whole file for --verify: one-shot over the file in memory
+// when it fits, otherwise an incremental positional-read loop
+function computeReferenceDigest(filename, impl) {
+  const size = fs.statSync(filename).size;
+
+  if (size <= IN_MEMORY_VERIFY_LIMIT) {
+    return { digest: impl.toHex(impl.oneShot(fs.readFileSync(filename))), method: 'in-memory', crossChecked: true };
+  }
+
+  const hasher = impl.createHasher();
+  const fd = fs.openSync(filename, 'r');
+  const buffer = Buffer.allocUnsafe(16 * 1024 * 1024);
+  try {
+    let position = 0;
+    let bytesRead;
+    do {
+      bytesRead = fs.readSync(fd, buffer, 0, buffer.length, position);
+      if (bytesRead > 0) {
+        hasher.update(buffer.subarray(0, bytesRead));
+        position += bytesRead;
+      }
+    } while (bytesRead > 0);
+  } finally {
+    fs.closeSync(fd);
+  }
+  return { digest: hasher.digest(), method: 'fs.readSync', crossChecked: false };
+}
+
+async function computeReferenceDigests(filename) {
+  const spinner = ora('Computing reference digests...').start();
+
+  for (const algo of suiteAlgorithms('streaming')) {
+    if (!isAvailable(algo)) continue;
+    spinner.text = `Computing reference digest: ${algo.name}`;
+    verification.references.set(algo.name, computeReferenceDigest(filename, loadAlgorithm(algo)));
+    // Keep the spinner responsive between large reads
+    await new Promise(resolve => setImmediate(resolve));
+  }
+
+  spinner.succeed(chalk.green(`Reference digests computed for ${verification.references.size} algorithms`));
+}
+
+// Compare the digests produced by every trial of one test against the reference
+// (the algorithm's whole-file digest unless another one is given).
+// Returns null when verification is off, otherwise { status, error }.
+function checkDigests(suite, label, algorithm, digests, reference = verification.references.get(algorithm)) {
+  if (!verification.enabled) return null;
+
+  const expectedCount = trialConfig.warmup + trialConfig.iterations;
+  let error = null;
+
+  if (digests.length !== expectedCount) {
+    error = `expected ${expectedCount} digests, got ${digests.length}`;
+  } else if (new Set(digests).size > 1) {
+    error = `digest changed between trials (${[...new Set(digests)].join(', ')})`;
+  } else if (reference && digests[0] !== reference.digest) {
+    error = `digest mismatch: ${reference.method} ${reference.digest}, ${suite} ${digests[0]}`;
+  }
+
+  const status = error ? 'failed' : 'ok';
+  verification.observed.push({ suite, label, algorithm, digest: digests[0] || null, reference, status, error });
+  return { status, error };
+}
+
+function showKnownAnswerResults() {
+  console.log(boxen(
+    chalk.bold.green('🧪 KNOWN-ANSWER TESTS'),
+    { padding: 1, margin: 1, borderStyle: 'round', borderColor: 'green' }
+  ));
+
+  const results = runKnownAnswerTests(suiteAlgorithms('known-answer'));
+  const table = new Table({
+    head: [
+      chalk.bold.white('Algorithm'),
+      chalk.bold.cyan('Input'),
+      chalk.bold.yellow('Expected'),
+      chalk.bold.green('Result')
+    ],
+    colWidths: [18, 14, 36, 12],
+    style: {
+      head: [],
+      border: ['green']
+    }
+  });
+
+  for (const result of results) {
+    const input = result.label ? result.label :
+                  result.input === null ? '-' :
+                  result.input.length > 10 ? `"${result.input.slice(0, 8)}…"` :
+                  `"${result.input}"`;
+    const status = result.status === 'ok' ? chalk.green('✓ pass') :
+                   result.status === 'failed' ? chalk.red('✗ FAIL') :
+                   chalk.yellow('skipped');
+
+    table.push([
+      chalk.cyan(result.algorithm),
+      chalk.white(input),
+      chalk.dim(result.expected ? result.expected.slice(0, 32) : result.error),
+      status
+    ]);
+
+    recordResult({
+      suite: 'known-answer',
+      algorithm: result.algorithm,
+      method: result.method || (result.input === null ? null : `kat:${JSON.stringify(result.input)}`),
+      type: getAlgorithm(result.algorithm).type,
+      inputSize: result.inputSize || (result.input === null ? null : Buffer.byteLength(result.input)),
+      status: result.status,
+      error: result.error
+    });
+  }
+
+  console.log(table.toString());
+
+  const failures = results.filter(r => r.status === 'failed');
+  for (const failure of failures) {
+    console.log(chalk.red(`✗ ${failure.algorithm} ${failure.label || JSON.stringify(failure.input)}: ${failure.error}`));
+  }
+  console.log();
+
+  return failures.length;
+}
+
+function showDigestVerification() {
+  console.log(boxen(
+    chalk.bold.green('🔎 CROSS-PATH DIGEST VERIFICATION'),
+    { padding: 1, margin: 1, borderStyle: 'round', borderColor: 'green' }
+  ));
+
+  const table = new Table({
+    head: [
+      chalk.bold.white('Algorithm'),
+      chalk.bold.cyan('Reference'),
+      chalk.bold.yellow('Digest'),
+      chalk.bold.blue('Paths'),
+      chalk.bold.green('Result')
+    ],
+    colWidths: [14, 13, 22, 10, 14],
+    style: {
+      head: [],
+      border: ['green']
+    }
+  });
+
+  let failures = 0;
+  for (const [algorithm, reference] of verification.references) {
+    // One row per reference the paths were checked against: the whole-file digest, and
+    // e.g. the serial tree digest for parallel tree mode
+    const groups = new Map([[reference.method, { reference, observed: [] }]]);
+    for (const o of verification.observed.filter(o => o.algorithm === algorithm)) {
+      const used = o.reference || reference;
+      if (!groups.has(used.method)) groups.set(used.method, { reference: used, observed: [] });
+      groups.get(used.method).observed.push(o);
+    }
+
+    for (const { reference: used, observed } of groups.values()) {
+      const failed = observed.filter(o => o.status === 'failed');
+      failures += failed.length;
+
+      table.push([
+        chalk.cyan(algorithm),
+        chalk.white(used.method),
+        chalk.dim(used.digest.length > 18 ? used.digest.slice(0, 16) + '…' : used.digest),
+        chalk.white(`${observed.length - failed.length}/${observed.length}`),
+        failed.length > 0 ? chalk.red('✗ mismatch') :
+        observed.length === 0 ? chalk.gray('not run') :
+        used.crossChecked ? chalk.green('✓ match') : chalk.yellow('~ same path')
+      ]);
+    }
+  }
+
+  console.log(table.toString());
+  if ([...verification.references.values()].some(reference => !reference.crossChecked)) {
+    console.log(chalk.dim(`~ same path: above ${formatSize(IN_MEMORY_VERIFY_LIMIT)} the reference is hashed incrementally like the paths it checks, so only the reads are cross-checked`));
+  }
+
+  for (const failure of verification.observed.filter(o => o.status === 'failed')) {
+    console.log(chalk.red(`✗ ${failure.suite} ${failure.label}: ${failure.error}`));
+  }
+  console.log();
+
+  return failures;
+}
+
 async function testStreamingPerformance(filename) {
   if (!filename) return;
   
@@ -409,198 +1960,170 @@ async function testStreamingPerformance(filename) {
     head: [
       chalk.bold.white('Hash Algorithm'),
       chalk.bold.cyan(`Performance (${fileSizeGB.toFixed(1)}GB)`),
+      chalk.bold.red('CPU s/GB'),
+      chalk.bold.blue('Peak RSS'),
       chalk.bold.yellow('Status')
     ],
-    colWidths: [20, 25, 12],
+    colWidths: [26, 28, 13, 11, 12],
     style: {
       head: [],
       border: ['yellow']
     }
   });
   
-  const algorithms = ['sha256', 'sha1', 'md5', 'blake2b512', 'blake2s256', 'sha3-256'];
   const results = [];
   
-  // Test native crypto algorithms
-  for (const algo of algorithms) {
-    const spinner = ora(`Streaming ${algo}...`).start();
-    
-    try {
-      const duration = await measurePerformance(`Streaming ${algo}`, async () => {
-        const hash = crypto.createHash(algo);
-        const stream = fs.createReadStream(filename, { highWaterMark: 4 * 1024 * 1024 });
-        
-        await new Promise((resolve, reject) => {
-          stream.on('data', chunk => hash.update(chunk));
-          stream.on('end', resolve);
-          stream.on('error', reject);
-        });
-        
-        hash.digest('hex');
-      }, spinner);
-      
-      if (duration) {
-        const gbps = fileSizeGB / duration;
-        results.push({ name: algo, gbps, type: 'native' });
-        
-        const coloredResult = gbps > 3 ? chalk.green(`${gbps.toFixed(2)} GB/s`) :
-                             gbps > 1.5 ? chalk.yellow(`${gbps.toFixed(2)} GB/s`) :
-                             chalk.red(`${gbps.toFixed(2)} GB/s`);
-        
-        table.push([
-          chalk.cyan(algo),
-          coloredResult,
-          chalk.green('✓')
-        ]);
-      } else {
-        table.push([
-          chalk.cyan(algo),
-          chalk.gray('err'),
-          chalk.red('✗')
-        ]);
-      }
-    } catch (error) {
-      spinner.fail(`${algo} failed`);
-      table.push([
-        chalk.cyan(algo),
-        chalk.gray('err'),
-        chalk.red('✗')
-      ]);
-    }
-  }
-  
-  // Test external libraries
-  const externalTests = [
-    {
-      name: 'xxh3-64',
-      test: async () => {
-        const { xxh3 } = require('@node-rs/xxhash');
-        const xxhash = xxh3.Xxh3.withSeed();
-        const stream = fs.createReadStream(filename, { highWaterMark: 4 * 1024 * 1024 });
-        
-        await new Promise((resolve, reject) => {
-          stream.on('data', chunk => xxhash.update(chunk));
-          stream.on('end', resolve);
-          stream.on('error', reject);
-        });
-        
-        xxhash.digest();
-      }
-    },
-    {
-      name: 'xxh3-64: 32MB highwatermark',
-      test: async () => {
-        const { xxh3 } = require('@node-rs/xxhash');
-        const xxhash = xxh3.Xxh3.withSeed();
-        const stream = fs.createReadStream(filename, { highWaterMark: 32 * 1024 * 1024 });
-        
-        await new Promise((resolve, reject) => {
-          stream.on('data', chunk => xxhash.update(chunk));
-          stream.on('end', resolve);
-          stream.on('error', reject);
-        });
-        
-        xxhash.digest();
-      }
-    },
-    {
-      name: 'xxh64',
-      test: async () => {
-        const { Xxh64 } = require('@node-rs/xxhash');
-        const xxhash = new Xxh64();
-        const stream = fs.createReadStream(filename, { highWaterMark: 4 * 1024 * 1024 });
-        
-        await new Promise((resolve, reject) => {
-          stream.on('data', chunk => xxhash.update(chunk));
-          stream.on('end', resolve);
-          stream.on('error', reject);
-        });
-        
-        xxhash.digest();
+  // By default every algorithm streams with 4MB reads and the non-cryptographic ones
+  // also with 32MB reads; --buffer-sizes runs every algorithm at each given size.
+  // With --read-apis the alternative APIs (stream-hash.js) follow each algorithm's
+  // createReadStream rows, the ones with a read size at 4MB or each --buffer-sizes size;
+  // they are opt-in as each one reads the whole file warmup + iterations times again.
+  const streamTests = [];
+  for (const algo of suiteAlgorithms('streaming')) {
+    const readSizes = selection.bufferSizes || [{ size: 4 * 1024 * 1024, name: '4MB' }];
+    if (selection.bufferSizes) {
+      for (const { size, name } of selection.bufferSizes) {
+        streamTests.push({ algo, name: `${algo.name}: ${name}`, bufferSize: size, api: null });
       }
-    },
-    {
-      name: 'xxh64: 32MB highwatermark',
-      test: async () => {
-        const { Xxh64 } = require('@node-rs/xxhash');
-        const xxhash = new Xxh64();
-        const stream = fs.createReadStream(filename, { highWaterMark: 32 * 1024 * 1024 });
-        
-        await new Promise((resolve, reject) => {
-          stream.on('data', chunk => xxhash.update(chunk));
-          stream.on('end', resolve);
-          stream.on('error', reject);
-        });
-        
-        xxhash.digest();
+    } else {
+      streamTests.push({ algo, name: algo.name, bufferSize: 4 * 1024 * 1024, api: null });
+      if (!algo.cryptographic) {
+        streamTests.push({ algo, name: `${algo.name}: 32MB highwatermark`, bufferSize: 32 * 1024 * 1024, api: null });
       }
-    },
-    {
-      name: 'crc32c',
-      test: async () => {
-        const { crc32c } = require('@node-rs/crc32');
-        const stream = fs.createReadStream(filename, { highWaterMark: 4 * 1024 * 1024 });
-        let crcResult = 0;
-        
-        await new Promise((resolve, reject) => {
-          stream.on('data', chunk => {
-            crcResult = crc32c(chunk, crcResult);
-          });
-          stream.on('end', resolve);
-          stream.on('error', reject);
-        });
+    }
+    for (const api of selection.readApis ? READ_APIS : []) {
+      if (!api.buffered) {
+        streamTests.push({ algo, name: `${algo.name}: ${api.name}`, bufferSize: null, api });
+        continue;
       }
-    },
-    {
-      name: 'crc32c: 32MB highwatermark',
-      test: async () => {
-        const { crc32c } = require('@node-rs/crc32');
-        const stream = fs.createReadStream(filename, { highWaterMark: 32 * 1024 * 1024 });
-        let crcResult = 0;
-        
-        await new Promise((resolve, reject) => {
-          stream.on('data', chunk => {
-            crcResult = crc32c(chunk, crcResult);
-          });
-          stream.on('end', resolve);
-          stream.on('error', reject);
-        });
+      for (const { size, name } of readSizes) {
+        const suffix = selection.bufferSizes ? ` ${name}` : '';
+        streamTests.push({ algo, name: `${algo.name}: ${api.name}${suffix}`, bufferSize: size, api });
       }
     }
-  ];
+  }
   
-  for (const { name, test } of externalTests) {
+  for (const { algo, name, bufferSize, api } of streamTests) {
+    const method = api ? api.method : 'fs.createReadStream';
+    const nameCell = `${paintName(algo.type)(name)}\n${formatVariant(algo, true)}`;
     const spinner = ora(`Streaming ${name}...`).start();
     
+    if (!isAvailable(algo)) {
+      spinner.warn(`${name} skipped (missing ${algo.package})`);
+      recordResult({
+        suite: 'streaming',
+        algorithm: algo.name,
+        method,
+        type: algo.type,
+        inputSize: stats.size,
+        bufferSize,
+        status: 'skipped',
+        error: `missing ${algo.package}`
+      });
+      table.push([
+        nameCell,
+        chalk.gray('Not available'),
+        '',
+        '',
+        chalk.yellow('!')
+      ]);
+      continue;
+    }
+    
     try {
-      const duration = await measurePerformance(`Streaming ${name}`, test, spinner);
+      const impl = loadAlgorithm(algo);
+      const reason = api && api.unsupported(impl, stats.size);
+      if (reason) {
+        spinner.info(`${name} skipped (${reason})`);
+        recordResult({
+          suite: 'streaming',
+          algorithm: algo.name,
+          method,
+          type: algo.type,
+          inputSize: stats.size,
+          bufferSize,
+          status: 'skipped',
+          error: reason
+        });
+        table.push([
+          nameCell,
+          chalk.gray('N/A'),
+          '',
+          '',
+          chalk.yellow('-')
+        ]);
+        continue;
+      }
+      const hashFile = api ? api.hash : streamHash;
+      const digests = [];
+      const durations = await measurePerformance(`Streaming ${name}`, async () => {
+        digests.push(await hashFile(filename, impl, bufferSize));
+      }, spinner);
+      const summary = throughputSummary(fileSizeGB, durations);
+      const check = summary ? checkDigests('streaming', name, algo.name, digests) : null;
+      recordResult({
+        suite: 'streaming',
+        algorithm: algo.name,
+        method,
+        type: algo.type,
+        inputSize: stats.size,
+        bufferSize,
+        summary,
+        digest: digests[0],
+        ...(check && check.status === 'failed' ? check : {})
+      });
       
-      if (duration) {
-        const gbps = fileSizeGB / duration;
-        results.push({ name, gbps, type: 'external' });
+      if (summary) {
+        const gbps = summary.median;
+        const paint = gbps > 3 ? chalk.green :
+                     gbps > 1.5 ? chalk.yellow :
+                     chalk.red;
         
-        const coloredResult = gbps > 3 ? chalk.green(`${gbps.toFixed(2)} GB/s`) :
-                             gbps > 1.5 ? chalk.yellow(`${gbps.toFixed(2)} GB/s`) :
-                             chalk.red(`${gbps.toFixed(2)} GB/s`);
+        if (check && check.status === 'failed') {
+          table.push([
+            nameCell,
+            formatThroughput(summary, chalk.gray),
+            ...formatUsage(summary),
+            chalk.red('✗ digest')
+          ]);
+          continue;
+        }
+        
+        results.push({ name, algorithm: algo.name, method, inputSize: stats.size, bufferSize, gbps, summary, usage: lastMeasurementUsage, type: algo.type });
         
         table.push([
-          chalk.magenta(name),
-          coloredResult,
-          chalk.green('✓')
+          nameCell,
+          formatThroughput(summary, paint),
+          ...formatUsage(summary),
+          chalk.green(check ? '✓ verified' : '✓')
         ]);
       } else {
         table.push([
-          chalk.magenta(name),
+          nameCell,
           chalk.gray('err'),
+          '',
+          '',
           chalk.red('✗')
         ]);
       }
     } catch (error) {
-      spinner.fail(`${name} not available`);
+      spinner.fail(`${name} failed`);
+      recordResult({
+        suite: 'streaming',
+        algorithm: algo.name,
+        method,
+        type: algo.type,
+        inputSize: stats.size,
+        bufferSize,
+        status: 'error',
+        error: error.message
+      });
       table.push([
-        chalk.magenta(name),
-        chalk.gray('Not available'),
-        chalk.yellow('!')
+        nameCell,
+        chalk.gray('err'),
+        '',
+        '',
+        chalk.red('✗')
       ]);
     }
   }
@@ -642,9 +2165,11 @@ async function testPureIOPerformance(filename) {
       chalk.bold.white('I/O Method'),
       chalk.bold.blue(`Performance (${fileSizeGB.toFixed(1)}GB)`),
       chalk.bold.cyan('Buffer Size'),
+      chalk.bold.red('CPU s/GB'),
+      chalk.bold.blue('Peak RSS'),
       chalk.bold.green('Efficiency')
     ],
-    colWidths: [22, 18, 12, 12],
+    colWidths: [22, 24, 12, 13, 11, 12],
     style: {
       head: [],
       border: ['blue']
@@ -654,7 +2179,7 @@ async function testPureIOPerformance(filename) {
   const results = [];
   
   // Test different Node.js streaming buffer sizes
-  const bufferSizes = [
+  const bufferSizes = selection.bufferSizes || [
     { size: 64 * 1024, name: '64KB' },
     { size: 256 * 1024, name: '256KB' },
     { size: 1024 * 1024, name: '1MB' },
@@ -668,7 +2193,7 @@ async function testPureIOPerformance(filename) {
     const spinner = ora(`Testing Node.js Stream (${name})...`).start();
     
     try {
-      const duration = await measurePerformance(`Stream ${name}`, async () => {
+      const durations = await measurePerformance(`Stream ${name}`, async () => {
         const stream = fs.createReadStream(filename, { highWaterMark: size });
         let totalBytes = 0;
         
@@ -681,18 +2206,27 @@ async function testPureIOPerformance(filename) {
         });
       }, spinner);
       
-      if (duration) {
-        const gbps = fileSizeGB / duration;
-        results.push({ method: `Node.js Stream (${name})`, gbps, bufferSize: name });
+      const summary = throughputSummary(fileSizeGB, durations);
+      recordResult({
+        suite: 'pure-io',
+        method: `Node.js Stream`,
+        type: 'io',
+        inputSize: stats.size,
+        bufferSize: size,
+        summary
+      });
+      
+      if (summary) {
+        const gbps = summary.median;
+        results.push({ method: `Node.js Stream (${name})`, gbps, summary, usage: lastMeasurementUsage, bufferSize: name });
         
-        const coloredResult = gbps > 8 ? chalk.green(`${gbps.toFixed(2)} GB/s`) :
-                             gbps > 4 ? chalk.yellow(`${gbps.toFixed(2)} GB/s`) :
-                             chalk.red(`${gbps.toFixed(2)} GB/s`);
+        const coloredResult = formatThroughput(summary, gbps > 8 ? chalk.green : gbps > 4 ? chalk.yellow : chalk.red);
         
         table.push([
           chalk.cyan(`Node.js Stream`),
           coloredResult,
           chalk.white(name),
+          ...formatUsage(summary),
           chalk.dim('Computing...')
         ]);
       } else {
@@ -700,22 +2234,35 @@ async function testPureIOPerformance(filename) {
           chalk.cyan(`Node.js Stream`),
           chalk.gray('err'),
           chalk.white(name),
+          '',
+          '',
           chalk.gray('N/A')
         ]);
       }
     } catch (error) {
       spinner.fail(`Stream ${name} failed`);
+      recordResult({
+        suite: 'pure-io',
+        method: `Node.js Stream`,
+        type: 'io',
+        inputSize: stats.size,
+        bufferSize: size,
+        status: 'error',
+        error: error.message
+      });
       table.push([
         chalk.cyan(`Node.js Stream`),
         chalk.gray('err'),
         chalk.white(name),
+        '',
+        '',
         chalk.gray('N/A')
       ]);
     }
   }
   
   // Test manual reading
-  const manualSizes = [
+  const manualSizes = selection.bufferSizes || [
     { size: 1024 * 1024, name: '1MB' },
     { size: 4 * 1024 * 1024, name: '4MB' },
     { size: 16 * 1024 * 1024, name: '16MB' }
@@ -725,7 +2272,7 @@ async function testPureIOPerformance(filename) {
     const spinner = ora(`Testing Manual Read (${name})...`).start();
     
     try {
-      const duration = await measurePerformance(`Manual ${name}`, async () => {
+      const durations = await measurePerformance(`Manual ${name}`, async () => {
         const fd = fs.openSync(filename, 'r');
         const buffer = Buffer.allocUnsafe(size);
         let position = 0;
@@ -741,18 +2288,27 @@ async function testPureIOPerformance(filename) {
         fs.closeSync(fd);
       }, spinner);
       
-      if (duration) {
-        const gbps = fileSizeGB / duration;
-        results.push({ method: `Manual Read (${name})`, gbps, bufferSize: name });
+      const summary = throughputSummary(fileSizeGB, durations);
+      recordResult({
+        suite: 'pure-io',
+        method: `Manual Read`,
+        type: 'io',
+        inputSize: stats.size,
+        bufferSize: size,
+        summary
+      });
+      
+      if (summary) {
+        const gbps = summary.median;
+        results.push({ method: `Manual Read (${name})`, gbps, summary, usage: lastMeasurementUsage, bufferSize: name });
         
-        const coloredResult = gbps > 8 ? chalk.green(`${gbps.toFixed(2)} GB/s`) :
-                             gbps > 4 ? chalk.yellow(`${gbps.toFixed(2)} GB/s`) :
-                             chalk.red(`${gbps.toFixed(2)} GB/s`);
+        const coloredResult = formatThroughput(summary, gbps > 8 ? chalk.green : gbps > 4 ? chalk.yellow : chalk.red);
         
         table.push([
           chalk.blue(`Manual Read`),
           coloredResult,
           chalk.white(name),
+          ...formatUsage(summary),
           chalk.dim('Computing...')
         ]);
       } else {
@@ -760,15 +2316,28 @@ async function testPureIOPerformance(filename) {
           chalk.blue(`Manual Read`),
           chalk.gray('err'),
           chalk.white(name),
+          '',
+          '',
           chalk.gray('N/A')
         ]);
       }
     } catch (error) {
       spinner.fail(`Manual ${name} failed`);
+      recordResult({
+        suite: 'pure-io',
+        method: `Manual Read`,
+        type: 'io',
+        inputSize: stats.size,
+        bufferSize: size,
+        status: 'error',
+        error: error.message
+      });
       table.push([
         chalk.blue(`Manual Read`),
         chalk.gray('err'),
         chalk.white(name),
+        '',
+        '',
         chalk.gray('N/A')
       ]);
     }
@@ -790,9 +2359,10 @@ async function testPureIOPerformance(filename) {
                              efficiency > 60 ? chalk.yellow(`${efficiency}%`) :
                              chalk.red(`${efficiency}%`);
       
-      const coloredResult = result.gbps > 8 ? chalk.green(`${result.gbps.toFixed(2)} GB/s`) :
-                           result.gbps > 4 ? chalk.yellow(`${result.gbps.toFixed(2)} GB/s`) :
-                           chalk.red(`${result.gbps.toFixed(2)} GB/s`);
+      const paint = result.gbps > 8 ? chalk.green :
+                   result.gbps > 4 ? chalk.yellow :
+                   chalk.red;
+      const coloredResult = result.summary ? formatThroughput(result.summary, paint) : paint(`${result.gbps.toFixed(2)} GB/s`);
       
       const methodColor = result.method.includes('Manual') ? 'blue' :
                          result.method.includes('System') ? 'green' :
@@ -802,6 +2372,7 @@ async function testPureIOPerformance(filename) {
         chalk[methodColor](result.method.split('(')[0].trim()),
         coloredResult,
         chalk.white(result.bufferSize || 'N/A'),
+        ...formatUsage(result.summary, result.usage),
         efficiencyColor
       ]);
     }
@@ -815,6 +2386,8 @@ async function testPureIOPerformance(filename) {
 }
 
 async function testSystemIO(filename, fileSizeGB, results) {
+  const stats = fs.statSync(filename);
+
   // Unix/Linux/macOS - dd command
   if (process.platform !== 'win32') {
     const spinner = ora('Testing system dd...').start();
@@ -822,7 +2395,7 @@ async function testSystemIO(filename, fileSizeGB, results) {
     try {
       const { spawn } = require('child_process');
       
-      const duration = await measurePerformance('System dd', async () => {
+      const durations = await measurePerformance('System dd', async () => {
         const dd = spawn('dd', [
           `if=${filename}`,
           'of=/dev/null',
@@ -838,12 +2411,29 @@ async function testSystemIO(filename, fileSizeGB, results) {
         });
       }, spinner);
       
-      if (duration) {
-        const gbps = fileSizeGB / duration;
-        results.push({ method: 'System dd (Unix)', gbps, bufferSize: '4M' });
+      const summary = throughputSummary(fileSizeGB, durations);
+      recordResult({
+        suite: 'pure-io',
+        method: 'System dd',
+        type: 'io',
+        inputSize: stats.size,
+        bufferSize: 4 * 1024 * 1024,
+        summary
+      });
+      if (summary) {
+        results.push({ method: 'System dd (Unix)', gbps: summary.median, summary, usage: lastMeasurementUsage, bufferSize: '4M' });
       }
     } catch (error) {
       spinner.fail('System dd failed');
+      recordResult({
+        suite: 'pure-io',
+        method: 'System dd',
+        type: 'io',
+        inputSize: stats.size,
+        bufferSize: 4 * 1024 * 1024,
+        status: 'error',
+        error: error.message
+      });
       results.push({ method: 'System dd (Unix)', gbps: 0, bufferSize: '4M' });
     }
   }
@@ -855,7 +2445,7 @@ async function testSystemIO(filename, fileSizeGB, results) {
     try {
       const { spawn } = require('child_process');
       
-      const duration = await measurePerformance('Windows PowerShell', async () => {
+      const durations = await measurePerformance('Windows PowerShell', async () => {
         const powershell = spawn('powershell', [
           '-Command',
           `Get-Content -Path "${filename}" -Raw | Out-Null`
@@ -870,12 +2460,29 @@ async function testSystemIO(filename, fileSizeGB, results) {
         });
       }, spinner);
       
-      if (duration) {
-        const gbps = fileSizeGB / duration;
-        results.push({ method: 'Windows PowerShell', gbps, bufferSize: 'Auto' });
+      const summary = throughputSummary(fileSizeGB, durations);
+      recordResult({
+        suite: 'pure-io',
+        method: 'Windows PowerShell',
+        type: 'io',
+        inputSize: stats.size,
+        bufferSize: null,
+        summary
+      });
+      if (summary) {
+        results.push({ method: 'Windows PowerShell', gbps: summary.median, summary, usage: lastMeasurementUsage, bufferSize: 'Auto' });
       }
     } catch (error) {
       spinner.fail('Windows PowerShell failed');
+      recordResult({
+        suite: 'pure-io',
+        method: 'Windows PowerShell',
+        type: 'io',
+        inputSize: stats.size,
+        bufferSize: null,
+        status: 'error',
+        error: error.message
+      });
       results.push({ method: 'Windows PowerShell', gbps: 0, bufferSize: 'Auto' });
     }
   }
@@ -884,26 +2491,44 @@ async function testSystemIO(filename, fileSizeGB, results) {
   const spinner = ora('Testing Node.js Buffer Copy...').start();
   
   try {
-    const duration = await measurePerformance('Node.js Buffer Copy', async () => {
+    // Copy every chunk into one reused buffer; keeping the copies would hold the
+    // whole file in memory
+    const copyBuffer = Buffer.allocUnsafe(4 * 1024 * 1024);
+    const durations = await measurePerformance('Node.js Buffer Copy', async () => {
       const readStream = fs.createReadStream(filename, { highWaterMark: 4 * 1024 * 1024 });
-      const chunks = [];
       
       await new Promise((resolve, reject) => {
         readStream.on('data', (chunk) => {
-          const copy = Buffer.from(chunk);
-          chunks.push(copy);
+          chunk.copy(copyBuffer);
         });
         readStream.on('end', resolve);
         readStream.on('error', reject);
       });
     }, spinner);
     
-    if (duration) {
-      const gbps = fileSizeGB / duration;
-      results.push({ method: 'Node.js Buffer Copy', gbps, bufferSize: '4M' });
+    const summary = throughputSummary(fileSizeGB, durations);
+    recordResult({
+      suite: 'pure-io',
+      method: 'Node.js Buffer Copy',
+      type: 'io',
+      inputSize: stats.size,
+      bufferSize: 4 * 1024 * 1024,
+      summary
+    });
+    if (summary) {
+      results.push({ method: 'Node.js Buffer Copy', gbps: summary.median, summary, usage: lastMeasurementUsage, bufferSize: '4M' });
     }
   } catch (error) {
     spinner.fail('Node.js Buffer Copy failed');
+    recordResult({
+      suite: 'pure-io',
+      method: 'Node.js Buffer Copy',
+      type: 'io',
+      inputSize: stats.size,
+      bufferSize: 4 * 1024 * 1024,
+      status: 'error',
+      error: error.message
+    });
     results.push({ method: 'Node.js Buffer Copy', gbps: 0, bufferSize: '4M' });
   }
 }
@@ -947,6 +2572,18 @@ function showEfficiencyComparison(streamingResults, ioResults) {
                       chalk.red(`${result.gbps.toFixed(2)} GB/s`);
     
     const algorithmColor = result.type === 'external' ? chalk.magenta(result.name) : chalk.cyan(result.name);
+
+    recordResult({
+      suite: 'efficiency',
+      algorithm: result.algorithm,
+      method: result.method,
+      type: result.type,
+      inputSize: result.inputSize,
+      bufferSize: result.bufferSize,
+      summary: result.summary,
+      usage: result.usage || null,
+      efficiencyPct: efficiency
+    });
     
     table.push([
       algorithmColor,
@@ -970,42 +2607,480 @@ function showEfficiencyComparison(streamingResults, ioResults) {
   console.log();
 }
 
-async function main() {
-  const filename = process.argv[2];
-  
-  if (!filename) {
+// Start a pass of the file suites under one cache state
+async function startCachePass(filename, cache) {
+  cacheControl.current = cache;
+
+  const spinner = ora(cache === 'cold' ? 'Evicting test file from the page cache...' : 'Reading test file into the page cache...').start();
+  if (cache === 'cold') cacheControl.evictor.evict();
+  else warmFile(filename);
+  spinner.stop();
+
+  console.log(boxen(
+    cache === 'cold'
+      ? chalk.bold.blue('🧊 COLD CACHE PASS\n\n') + chalk.dim(`Test file evicted before every trial (${cacheControl.evictor.name})`)
+      : chalk.bold.red('🔥 WARM CACHE PASS\n\n') + chalk.dim('Test file read once before the pass; trials read from the page cache'),
+    { padding: 1, margin: 1, borderStyle: 'double', borderColor: cache === 'cold' ? 'blue' : 'red' }
+  ));
+}
+
+function showBaselineComparison(name, baseline, comparison) {
+  console.log(boxen(
+    chalk.bold.cyan(`📌 BASELINE COMPARISON: ${name}\n\n`) +
+    chalk.blue('Baseline run: ') + chalk.white(`${baseline.run.timestamp} (Node ${baseline.run.node})`) + '\n' +
+    chalk.blue('Threshold: ') + chalk.white(`${comparison.thresholdPct}% slowdown`),
+    { padding: 1, margin: 1, borderStyle: 'round', borderColor: 'cyan' }
+  ));
+
+  const table = new Table({
+    head: [
+      chalk.bold.white('Suite'),
+      chalk.bold.white('Algorithm'),
+      chalk.bold.white('Method'),
+      chalk.bold.blue('Size / Buffer'),
+      chalk.bold.yellow('Baseline'),
+      chalk.bold.cyan('Current'),
+      chalk.bold.green('Delta')
+    ],
+    colWidths: [18, 14, 20, 16, 13, 13, 14],
+    style: {
+      head: [],
+      border: ['cyan']
+    }
+  });
+
+  const statusOrder = { regressed: 0, missing: 1, improved: 2, unchanged: 3, new: 4 };
+  const rows = [...comparison.rows].sort((a, b) => statusOrder[a.status] - statusOrder[b.status]);
+
+  for (const row of rows) {
+    const gbpsText = gbps => gbps === null ? chalk.gray('-') : `${gbps.toFixed(2)} GB/s`;
+    const deltaText = row.deltaPct === null ? row.status :
+      `${row.deltaPct >= 0 ? '+' : ''}${row.deltaPct.toFixed(1)}%`;
+    const paint = row.status === 'regressed' ? chalk.red :
+                  row.status === 'improved' ? chalk.green :
+                  row.status === 'unchanged' ? chalk.white :
+                  chalk.gray;
+
+    table.push([
+      chalk.dim(row.cache ? `${row.suite} (${row.cache})` : row.suite),
+      chalk.cyan(row.algorithm || '-'),
+      chalk.white(row.method || '-') + (row.pattern ? '\n' + chalk.dim(row.pattern) : ''),
+      chalk.white(`${formatSize(row.inputSize)} / ${formatSize(row.bufferSize)}`),
+      gbpsText(row.baselineGbps),
+      gbpsText(row.currentGbps),
+      paint(row.status === 'regressed' ? `✗ ${deltaText}` : deltaText)
+    ]);
+  }
+
+  console.log(table.toString());
+
+  if (comparison.regressions.length > 0) {
     console.log(boxen(
-      chalk.red('❌ Error: No filename provided\n\n') +
-      chalk.white('Usage: ') + chalk.cyan('node performance-test.js <filename>\n\n') +
-      chalk.dim('Example: ') + chalk.white('node performance-test.js temp_10GB_file'),
-      { padding: 1, margin: 1, borderStyle: 'round', borderColor: 'red' }
+      chalk.red(`❌ ${comparison.regressions.length} regression(s) beyond ${comparison.thresholdPct}%\n\n`) +
+      comparison.regressions.map(row => chalk.white(
+        `• ${row.suite} ${[row.algorithm, row.method].filter(Boolean).join(' ')} ` +
+        `(${[formatSize(row.inputSize), row.pattern, row.cache].filter(Boolean).join(', ')})`
+      )).join('\n'),
+      { padding: 1, margin: 1, borderStyle: 'round', borderColor: 'red', title: 'Regression' }
     ));
-    process.exit(1);
+  } else {
+    console.log(chalk.green(`\n✅ No regressions beyond ${comparison.thresholdPct}% against baseline "${name}"\n`));
+  }
+}
+
+function exportResults({ jsonFile, csvFile, htmlFile }, run, configLines) {
+  if (jsonFile) {
+    writeJsonReport(jsonFile, run, resultRecords);
+    console.log(chalk.green(`📄 JSON results written to ${jsonFile} (${resultRecords.length} records)`));
+  }
+  if (csvFile) {
+    writeCsvReport(csvFile, run, resultRecords);
+    console.log(chalk.green(`📄 CSV results written to ${csvFile} (${resultRecords.length} records)`));
+  }
+  if (htmlFile) {
+    writeHtmlReport(htmlFile, run, resultRecords, configLines);
+    console.log(chalk.green(`📄 HTML report written to ${htmlFile}`));
+  }
+}
+
+function splitList(text) {
+  return text.split(',').map(part => part.trim()).filter(Boolean);
+}
+
+function parseSuites(text) {
+  const suites = splitList(text);
+  for (const suite of suites) {
+    if (!SUITES.includes(suite)) {
+      throw new Error(`Unknown suite: ${suite} (available: ${SUITES.join(', ')})`);
+    }
+  }
+  // Keep the canonical run order regardless of how they were listed
+  return SUITES.filter(suite => suites.includes(suite));
+}
+
+function parseReadModes(text) {
+  const modes = splitList(text);
+  for (const mode of modes) {
+    if (!READER_MODES[mode]) {
+      throw new Error(`Unknown reader: ${mode} (available: ${Object.keys(READER_MODES).join(', ')})`);
+    }
+  }
+  return Object.keys(READER_MODES).filter(mode => modes.includes(mode));
+}
+
+// --cache cold|warm|both; both runs the cold pass first
+function parseCacheMode(text) {
+  if (text === 'both') return CACHE_MODES;
+  if (!CACHE_MODES.includes(text)) {
+    throw new Error(`Unknown cache mode: ${text} (available: ${CACHE_MODES.join(', ')}, both)`);
+  }
+  return [text];
+}
+
+function showAvailableOptions() {
+  const table = new Table({
+    head: [
+      chalk.bold.white('Algorithm'),
+      chalk.bold.blue('Type'),
+      chalk.bold.cyan('Output'),
+      chalk.bold.yellow('Crypto'),
+      chalk.bold.magenta('Package'),
+      chalk.bold.green('Available')
+    ],
+    colWidths: [18, 12, 21, 8, 18, 11],
+    style: {
+      head: [],
+      border: ['cyan']
+    }
+  });
+
+  for (const algo of ALGORITHMS) {
+    table.push([
+      paintName(algo.type)(algo.name),
+      formatType(algo.type),
+      formatVariant(algo, true),
+      algo.cryptographic ? chalk.green('yes') : chalk.dim('no'),
+      chalk.dim(algo.package || (algo.type === 'javascript' ? 'js-hashes.js' : 'node:crypto')),
+      isAvailable(algo) ? chalk.green('✓') : chalk.red('✗')
+    ]);
+  }
+
+  console.log(boxen(
+    chalk.bold.cyan('📋 Available Selections\n\n') +
+    chalk.blue('Suites (--suite): ') + chalk.white(SUITES.join(', ')) + chalk.dim(` (default: ${DEFAULT_SUITES.join(', ')})`) + '\n' +
+    chalk.blue('In-memory sizes (--sizes): ') + chalk.white(DEFAULT_MEMORY_SIZES.map(s => s.name).join(', ')) + chalk.dim(' by default') + '\n' +
+    chalk.blue('Data patterns (--patterns): ') + chalk.white(PATTERNS.map(p => p.name).join(', ')) + chalk.dim(` (default ${DEFAULT_PATTERN})`) + '\n' +
+    chalk.blue('Small-input sizes (--message-sizes): ') + chalk.white(DEFAULT_MESSAGE_SIZES.map(s => s.name).join(', ')) + chalk.dim(' by default') + '\n' +
+    chalk.blue('Buffer sizes (--buffer-sizes): ') + chalk.white('suite defaults') + chalk.dim(' (e.g. 4MB,32MB)') + '\n' +
+    chalk.blue('Ring buffer slots (--slots): ') + chalk.white(selection.slotCounts.join(', ')) + chalk.dim(' by default (worker suite)') + '\n' +
+    chalk.blue('Ring readers (--reader): ') + chalk.white(Object.keys(READER_MODES).join(', ')) + chalk.dim(' (worker suite)') + '\n' +
+    chalk.blue('Cache (--cache): ') + chalk.white(`${CACHE_MODES.join(', ')}, both`) + chalk.dim(` (default ${cacheControl.modes.join(', ')})`) + '\n' +
+    chalk.blue('Worker counts (--workers): ') + chalk.white(defaultWorkerCounts().join(', ')) + chalk.dim(' by default (parallel suite)') + '\n' +
+    chalk.blue('File tree (--tree-files / --tree-sizes): ') + chalk.white(`${DEFAULT_TREE_FILES} files, ${DEFAULT_TREE_SIZES}`) + chalk.dim(' by default (small-files suite)') + '\n' +
+    chalk.blue('Files in flight (--concurrency): ') + chalk.white(DEFAULT_CONCURRENCY.join(', ')) + chalk.dim(' by default (small-files suite)') + '\n' +
+    chalk.blue('Chunkers (--chunkers): ') + chalk.white(CHUNKERS.join(', ')) + chalk.dim(` at ${DEFAULT_CHUNK_SIZES} (--chunk-sizes), fingerprinted with ${DEFAULT_CHUNK_HASH} (--chunk-hash)`) + '\n' +
+    chalk.blue('Block sizes (--block-sizes): ') + chalk.white(DEFAULT_BLOCK_SIZES.map(s => s.name).join(', ')) + chalk.dim(' by default (delta suite)') + '\n' +
+    chalk.blue('Read APIs (--read-apis): ') + chalk.white(READ_APIS.map(api => api.name).join(', ')) + chalk.dim(' (streaming suite, off by default)') + '\n' +
+    chalk.blue('Algorithms (--algo): ') + chalk.white('see table below'),
+    { padding: 1, margin: 1, borderStyle: 'round', borderColor: 'cyan', title: 'index.js --list' }
+  ));
+  console.log(table.toString());
+}
+
+function parseCliArgs() {
+  const { values, positionals } = parseArgs({
+    options: {
+      warmup: { type: 'string' },
+      iterations: { type: 'string' },
+      json: { type: 'string' },
+      csv: { type: 'string' },
+      html: { type: 'string' },
+      'save-baseline': { type: 'string' },
+      baseline: { type: 'string' },
+      threshold: { type: 'string' },
+      suite: { type: 'string' },
+      algo: { type: 'string' },
+      sizes: { type: 'string' },
+      patterns: { type: 'string' },
+      'message-sizes': { type: 'string' },
+      'buffer-sizes': { type: 'string' },
+      workers: { type: 'string' },
+      slots: { type: 'string' },
+      reader: { type: 'string' },
+      cache: { type: 'string' },
+      'eviction-file': { type: 'string' },
+      tree: { type: 'string' },
+      'tree-files': { type: 'string' },
+      'tree-sizes': { type: 'string' },
+      concurrency: { type: 'string' },
+      chunkers: { type: 'string' },
+      'chunk-sizes': { type: 'string' },
+      'chunk-hash': { type: 'string' },
+      'block-sizes': { type: 'string' },
+      'read-apis': { type: 'boolean' },
+      list: { type: 'boolean' },
+      verify: { type: 'boolean' },
+      help: { type: 'boolean', short: 'h' }
+    },
+    allowPositionals: true
+  });
+
+  const parseCount = (value, flag, min) => {
+    if (value === undefined) return undefined;
+    const count = Number(value);
+    if (!Number.isInteger(count) || count < min) {
+      throw new Error(`${flag} must be an integer >= ${min} (got "${value}")`);
+    }
+    return count;
+  };
+
+  const parsePercent = (value, flag) => {
+    if (value === undefined) return DEFAULT_THRESHOLD_PCT;
+    const pct = Number(value);
+    if (!Number.isFinite(pct) || pct < 0) {
+      throw new Error(`${flag} must be a non-negative percentage (got "${value}")`);
+    }
+    return pct;
+  };
+
+  const parseCountList = (value, flag) => {
+    if (value === undefined) return undefined;
+    const counts = splitList(value).map(part => parseCount(part, flag, 1));
+    if (counts.length === 0) throw new Error(`${flag} needs at least one count`);
+    return [...new Set(counts)].sort((a, b) => a - b);
+  };
+
+  return {
+    filename: positionals[0],
+    warmup: parseCount(values.warmup, '--warmup', 0),
+    iterations: parseCount(values.iterations, '--iterations', 1),
+    jsonFile: values.json,
+    csvFile: values.csv,
+    htmlFile: values.html,
+    saveBaselineName: values['save-baseline'],
+    baselineName: values.baseline,
+    thresholdPct: parsePercent(values.threshold, '--threshold'),
+    suites: values.suite ? parseSuites(values.suite) : undefined,
+    algorithms: values.algo ? splitList(values.algo).map(getAlgorithm) : undefined,
+    sizes: values.sizes ? parseSizeList(values.sizes) : undefined,
+    patterns: values.patterns ? parsePatternList(values.patterns) : undefined,
+    messageSizes: values['message-sizes'] ? parseSizeList(values['message-sizes']) : undefined,
+    bufferSizes: values['buffer-sizes'] ? parseSizeList(values['buffer-sizes']) : undefined,
+    workerCounts: parseCountList(values.workers, '--workers'),
+    slotCounts: parseCountList(values.slots, '--slots'),
+    readModes: values.reader ? parseReadModes(values.reader) : undefined,
+    cacheModes: values.cache ? parseCacheMode(values.cache) : undefined,
+    evictionFile: values['eviction-file'],
+    tree: values.tree,
+    treeFiles: parseCount(values['tree-files'], '--tree-files', 1),
+    treeSizes: values['tree-sizes'] ? parseSizeRange(values['tree-sizes']) : undefined,
+    concurrency: parseCountList(values.concurrency, '--concurrency'),
+    chunkers: values.chunkers ? parseChunkerList(values.chunkers) : undefined,
+    chunkSizes: values['chunk-sizes'] ? splitList(values['chunk-sizes']).map(parseChunkSizes) : undefined,
+    chunkHashes: values['chunk-hash'] ? splitList(values['chunk-hash']).map(getAlgorithm) : undefined,
+    blockSizes: values['block-sizes'] ? parseSizeList(values['block-sizes']) : undefined,
+    readApis: Boolean(values['read-apis']),
+    list: Boolean(values.list),
+    verify: Boolean(values.verify),
+    help: Boolean(values.help)
+  };
+}
+
+// Usage box for --help, or with the error that stopped the run (exit code 1)
+function showUsage(message = null) {
+  console.log(boxen(
+    (message ? chalk.red(`❌ Error: ${message}\n\n`) : '') +
+    chalk.white('Usage: ') + chalk.cyan('node index.js <filename> [options]\n\n') +
+    chalk.yellow('  --warmup N              ') + chalk.dim(`Untimed warmup runs per test (default ${trialConfig.warmup})\n`) +
+    chalk.yellow('  --iterations N          ') + chalk.dim(`Measured runs per test (default ${trialConfig.iterations})\n`) +
+    chalk.yellow('  --json <file>           ') + chalk.dim('Write results as JSON (schema: results-export.js)\n') +
+    chalk.yellow('  --csv <file>            ') + chalk.dim('Write all results as CSV\n') +
+    chalk.yellow('  --html <file>           ') + chalk.dim('Write a self-contained HTML report with charts\n') +
+    chalk.yellow('  --save-baseline <name>  ') + chalk.dim('Save this run as baselines/<name>.json\n') +
+    chalk.yellow('  --baseline <name>       ') + chalk.dim('Compare with a baseline, exit 2 on regression\n') +
+    chalk.yellow('  --threshold <pct>       ') + chalk.dim(`Allowed slowdown before failing (default ${DEFAULT_THRESHOLD_PCT}%)\n`) +
+    chalk.yellow('  --suite <list>          ') + chalk.dim(`Suites to run (${SUITES.join(', ')}; parallel, chunking, delta, small-files opt-in)\n`) +
+    chalk.yellow('  --algo <list>           ') + chalk.dim('Algorithms to run, e.g. sha256,xxh3-64\n') +
+    chalk.yellow('  --sizes <list>          ') + chalk.dim('In-memory input sizes, e.g. 1MB,64MB\n') +
+    chalk.yellow('  --patterns <list>       ') + chalk.dim(`In-memory data: ${PATTERNS.map(p => p.name).join(', ')} or all\n`) +
+    chalk.yellow('  --message-sizes <list>  ') + chalk.dim('Small-input sizes, e.g. 32B,4KB\n') +
+    chalk.yellow('  --buffer-sizes <list>   ') + chalk.dim('Read/chunk buffer sizes, e.g. 4MB,32MB\n') +
+    chalk.yellow('  --slots <list>          ') + chalk.dim(`Worker ring buffer slot counts (default ${selection.slotCounts.join(',')})\n`) +
+    chalk.yellow('  --reader <list>         ') + chalk.dim('Worker ring readers: stream (copy), direct (readSync)\n') +
+    chalk.yellow('  --workers <list>        ') + chalk.dim('Worker counts for the parallel suite, e.g. 1,2,4\n') +
+    chalk.yellow('  --cache <mode>          ') + chalk.dim('Page cache state for file suites: cold, warm or both\n') +
+    chalk.yellow('  --eviction-file <file>  ') + chalk.dim('File larger than RAM read to evict the cache (cold)\n') +
+    chalk.yellow('  --tree <dir>            ') + chalk.dim('Tree from create-testtree.js for the small-files suite\n') +
+    chalk.yellow('  --tree-files N          ') + chalk.dim(`Files in the temporary tree without --tree (default ${DEFAULT_TREE_FILES})\n`) +
+    chalk.yellow('  --tree-sizes <range>    ') + chalk.dim(`File sizes of that tree (default ${DEFAULT_TREE_SIZES})\n`) +
+    chalk.yellow('  --concurrency <list>    ') + chalk.dim(`Files in flight for small-files (default ${DEFAULT_CONCURRENCY.join(',')})\n`) +
+    chalk.yellow('  --chunkers <list>       ') + chalk.dim(`Content-defined chunkers: ${CHUNKERS.join(', ')}\n`) +
+    chalk.yellow('  --chunk-sizes <list>    ') + chalk.dim(`Chunk min/avg/max sizes (default ${DEFAULT_CHUNK_SIZES})\n`) +
+    chalk.yellow('  --chunk-hash <list>     ') + chalk.dim(`Chunk fingerprint algorithms (default ${DEFAULT_CHUNK_HASH})\n`) +
+    chalk.yellow('  --block-sizes <list>    ') + chalk.dim(`Delta suite block list block sizes (default ${DEFAULT_BLOCK_SIZES.map(s => s.name).join(',')})\n`) +
+    chalk.yellow('  --read-apis             ') + chalk.dim('Also stream through crypto.hash, pipeline, FileHandle, web streams, readFile\n') +
+    chalk.yellow('  --verify                ') + chalk.dim('Known-answer tests and cross-path digest checks\n') +
+    chalk.yellow('  --list                  ') + chalk.dim('Show available suites and algorithms\n') +
+    chalk.yellow('  -h, --help              ') + chalk.dim('Show this help\n\n') +
+    chalk.dim('Example: ') + chalk.white('node index.js temp_10GB_file --suite streaming,worker --algo sha256,xxh3-64'),
+    { padding: 1, margin: 1, borderStyle: 'round', borderColor: message ? 'red' : 'cyan' }
+  ));
+  process.exit(message ? 1 : 0);
+}
+
+async function main() {
+  let args;
+  try {
+    args = parseCliArgs();
+  } catch (error) {
+    showUsage(error.message);
+  }
+
+  if (args.help) showUsage();
+
+  if (args.list) {
+    showAvailableOptions();
+    return;
+  }
+
+  if (args.warmup !== undefined) trialConfig.warmup = args.warmup;
+  if (args.iterations !== undefined) trialConfig.iterations = args.iterations;
+  if (args.suites) selection.suites = args.suites;
+  if (args.algorithms) selection.algorithms = args.algorithms;
+  if (args.sizes) selection.sizes = args.sizes;
+  if (args.patterns) selection.patterns = args.patterns;
+  if (args.messageSizes) selection.messageSizes = args.messageSizes;
+  if (args.bufferSizes) selection.bufferSizes = args.bufferSizes;
+  if (args.workerCounts) selection.workerCounts = args.workerCounts;
+  if (args.slotCounts) selection.slotCounts = args.slotCounts;
+  if (args.readModes) selection.readModes = args.readModes;
+  if (args.cacheModes) cacheControl.modes = args.cacheModes;
+  if (args.tree) selection.tree = args.tree;
+  if (args.treeFiles) selection.treeFiles = args.treeFiles;
+  if (args.treeSizes) selection.treeSizes = args.treeSizes;
+  if (args.concurrency) selection.concurrency = args.concurrency;
+  if (args.chunkers) selection.chunkers = args.chunkers;
+  if (args.chunkSizes) selection.chunkSizes = args.chunkSizes;
+  if (args.chunkHashes) selection.chunkHashes = args.chunkHashes;
+  if (args.blockSizes) selection.blockSizes = args.blockSizes;
+  selection.readApis = args.readApis;
+  verification.enabled = args.verify;
+
+  const { filename } = args;
+  const needsFile = selection.suites.some(suite => FILE_SUITES.includes(suite));
+  
+  if (!filename && needsFile) {
+    showUsage('No filename provided');
+  }
+
+  // Probe page cache eviction before the run so an unsupported --cache cold fails early
+  if (needsFile && cacheControl.modes.includes('cold')) {
+    try {
+      cacheControl.evictor = createEvictor(filename, args.evictionFile);
+    } catch (error) {
+      showUsage(error.message);
+    }
+    if (cacheControl.evictor.warning) {
+      console.log(chalk.yellow(`⚠️  ${cacheControl.evictor.warning}`));
+    }
+  }
+
+  // Load the baseline up front so a typo fails before a long run
+  let baseline = null;
+  if (args.baselineName) {
+    try {
+      baseline = loadBaseline(args.baselineName);
+    } catch (error) {
+      showUsage(error.message);
+    }
   }
   
   try {
     
-    const stats = fs.statSync(filename);
-    const fileSizeMB = (stats.size / 1024 / 1024).toFixed(2);
+    const stats = filename ? fs.statSync(filename) : null;
+    const fileSizeMB = stats ? (stats.size / 1024 / 1024).toFixed(2) : null;
+    const run = buildRunMetadata({
+      filename: filename || null,
+      fileSize: stats ? stats.size : null,
+      warmup: trialConfig.warmup,
+      iterations: trialConfig.iterations
+    });
     
+    // Run selection lines, shown in the configuration box and embedded in the HTML report
+    const configLines = [
+      { label: 'Suites', value: selection.suites.join(', ') },
+      { label: 'Algorithms', value: selection.algorithms ? selection.algorithms.map(a => a.name).join(', ') : 'all (JavaScript implementations in small-input, quality and known-answer only)' },
+      selection.sizes && { label: 'Sizes', value: selection.sizes.map(s => s.name).join(', ') },
+      selection.suites.includes('in-memory') && { label: 'Patterns', value: selection.patterns.map(p => p.name).join(', ') },
+      selection.suites.includes('small-input') && { label: 'Message sizes', value: selection.messageSizes.map(s => s.name).join(', ') },
+      selection.bufferSizes && { label: 'Buffer sizes', value: selection.bufferSizes.map(s => s.name).join(', ') },
+      needsFile && { label: 'Cache', value: cacheControl.modes.join(' then ') + (cacheControl.evictor ? ` (eviction: ${cacheControl.evictor.name})` : '') },
+      selection.suites.includes('worker') && { label: 'Ring slots', value: `${selection.slotCounts.join(', ')} (${selection.readModes.join(', ')})` },
+      selection.suites.includes('parallel') && { label: 'Workers', value: (selection.workerCounts || defaultWorkerCounts()).join(', ') },
+      selection.suites.includes('chunking') && {
+        label: 'Chunking',
+        value: `${selection.chunkers.join(', ')} at ${selection.chunkSizes.map(s => s.name).join(', ')} + ${selection.chunkHashes.map(a => a.name).join(', ')}`
+      },
+      selection.readApis && selection.suites.includes('streaming') && { label: 'Read APIs', value: READ_APIS.map(api => api.name).join(', ') },
+      selection.suites.includes('delta') && { label: 'Block sizes', value: selection.blockSizes.map(s => s.name).join(', ') },
+      selection.suites.includes('small-files') && {
+        label: 'File tree',
+        value: (selection.tree || `temporary, ${selection.treeFiles} files of ${selection.treeSizes.name}`) +
+          ` (${selection.concurrency.join(', ')} in flight)`
+      },
+      verification.enabled && { label: 'Verification', value: 'known-answer tests + cross-path digests' }
+    ].filter(Boolean);
+
     console.log(boxen(
       chalk.bold.white('📋 Performance Test Configuration\n\n') +
-      chalk.blue('File: ') + chalk.white(filename) + '\n' +
-      chalk.blue('Size: ') + chalk.white(`${fileSizeMB} MB`) + '\n' +
+      chalk.blue('File: ') + chalk.white(filename || 'none') + '\n' +
+      (stats ? chalk.blue('Size: ') + chalk.white(`${fileSizeMB} MB`) + '\n' : '') +
+      configLines.map(({ label, value }) => chalk.blue(`${label}: `) + chalk.white(value) + '\n').join('') +
       chalk.blue('Node: ') + chalk.white(process.version) + '\n' +
       chalk.blue('Platform: ') + chalk.white(process.platform) + '\n' +
+      chalk.blue('Trials: ') + chalk.white(`${trialConfig.warmup} warmup + ${trialConfig.iterations} measured (median, σ, min-max, 95% CI)`) + '\n' +
       chalk.blue('Time: ') + chalk.white(new Date().toLocaleString()),
       { padding: 1, margin: 1, borderStyle: 'double', borderColor: 'white', title: 'Test Configuration' }
     ));
     
-    await testAllHashAlgorithms();
-    const streamingResults = await testStreamingPerformance(filename);
-    const ioResults = await testPureIOPerformance(filename);
-    await testWorkerSharedHashPerformance(filename);
+    const runs = suite => selection.suites.includes(suite);
+    let verificationFailures = 0;
+    
+    if (verification.enabled) {
+      verificationFailures += showKnownAnswerResults();
+      if (runs('streaming') || runs('worker') || runs('parallel')) {
+        await computeReferenceDigests(filename);
+      }
+    }
+    
+    if (runs('in-memory')) await testAllHashAlgorithms();
+    if (runs('small-input')) await testSmallInputPerformance();
+    // After the speed suites so its table can show their results next to the quality measures
+    if (runs('quality')) await testHashQuality();
+
+    // One pass over the file suites per cache state
+    for (const cache of needsFile ? cacheControl.modes : []) {
+      await startCachePass(filename, cache);
+
+      const streamingResults = runs('streaming') ? await testStreamingPerformance(filename) : null;
+      const ioResults = runs('pure-io') ? await testPureIOPerformance(filename) : null;
+      if (runs('worker')) await testWorkerSharedHashPerformance(filename);
+      if (runs('parallel')) await testParallelHashPerformance(filename);
+      if (runs('chunking')) await testChunkingPerformance(filename);
+      if (runs('delta')) await testDeltaPerformance(filename);
+
+      // Show efficiency comparison if we have both results
+      if (streamingResults && streamingResults.length > 0 && ioResults && ioResults.length > 0) {
+        showEfficiencyComparison(streamingResults, ioResults);
+      }
+    }
+    cacheControl.current = null;
+
+    // After the file suites so the single-file streaming numbers are available to compare
+    if (runs('small-files')) await testSmallFilesPerformance();
     
-    // Show efficiency comparison if we have both results
-    if (streamingResults && streamingResults.length > 0 && ioResults && ioResults.length > 0) {
-      showEfficiencyComparison(streamingResults, ioResults);
+    if (verification.enabled && verification.references.size > 0) {
+      verificationFailures += showDigestVerification();
     }
     
     console.log(boxen(
@@ -1018,9 +3093,31 @@ async function main() {
       chalk.white('💡 ') + chalk.white('Use results to choose optimal algorithms for your use case') + '\n\n' +
       chalk.dim('For download hashing: Choose streaming algorithms with best GB/s\n') +
       chalk.dim('For file integrity: Balance speed with security requirements\n') +
-      chalk.dim('For maximum speed: Use CRC32C or xxHash3-64 streaming'),
+      chalk.dim('For maximum speed: Use CRC32C or xxHash3-64 streaming\n') +
+      chalk.dim('For hash tables and sharding: Use the fastest algorithm that passes the quality suite (CRCs do not)'),
       { padding: 1, margin: 1, borderStyle: 'double', borderColor: 'green', title: 'Analysis & Recommendations' }
     ));
+
+    exportResults(args, run, configLines);
+
+    if (verificationFailures > 0) {
+      console.log(chalk.red(`❌ Verification failed: ${verificationFailures} check(s) did not match`));
+      process.exitCode = 1;
+    }
+
+    if (args.saveBaselineName) {
+      const file = saveBaseline(args.saveBaselineName, run, resultRecords);
+      console.log(chalk.green(`📌 Baseline "${args.saveBaselineName}" saved to ${file}`));
+    }
+
+    if (baseline) {
+      const comparison = compareToBaseline(baseline, resultRecords, args.thresholdPct);
+      showBaselineComparison(args.baselineName, baseline, comparison);
+      // A verification failure (exit code 1) outranks a regression
+      if (comparison.regressions.length > 0 && !process.exitCode) {
+        process.exitCode = 2;
+      }
+    }
     
   } catch (error) {
     console.log(boxen(
@@ -3,9 +3,24 @@
 const fs = require('fs');
 const chalk = require('chalk');
 const boxen = require('boxen');
+const { resolveTestFile } = require('./test-file');
+const { sidecarPath, readSidecar } = require('./random-file');
 
-const FILENAME = 'temp_10GB_file';
-const EXPECTED_SIZE = 10 * 1024 * 1024 * 1024; // 10GB
+let testFile;
+try {
+  testFile = resolveTestFile();
+} catch (error) {
+  console.error(chalk.red('❌ ' + error.message));
+  process.exit(1);
+}
+
+const FILENAME = testFile.filename;
+const EXPECTED_SIZE = testFile.size;
+
+// npm command that recreates the file with the same --file / --size settings
+function createCommand(script) {
+  return `npm run ${script}` + (testFile.configArgs.length > 0 ? ` -- ${testFile.configArgs.join(' ')}` : '');
+}
 
 function formatBytes(bytes) {
   const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
@@ -42,7 +57,7 @@ function checkTestFile() {
       let boxColor = 'green';
       
       if (stats.size === EXPECTED_SIZE) {
-        sizeAnalysis += chalk.green('✅ File size is correct (10GB)\n');
+        sizeAnalysis += chalk.green(`✅ File size is correct (${testFile.sizeName})\n`);
       } else {
         const percentage = ((stats.size / EXPECTED_SIZE) * 100).toFixed(1);
         sizeAnalysis += 
@@ -56,6 +71,7 @@ function checkTestFile() {
           sizeAnalysis += chalk.red('❌ File is larger than expected\n');
         }
         boxColor = 'yellow';
+        process.exitCode = 1;
       }
       
       // Sparse file detection (Unix/Mac only)
@@ -71,7 +87,7 @@ function checkTestFile() {
             chalk.blue('💾 File type: ') + chalk.cyan('Sparse file\n') +
             chalk.blue('💿 Disk usage: ') + chalk.green(formatBytes(diskUsage)) + chalk.dim(' (efficient storage)\n') +
             chalk.yellow('⚠️  Sparse files may show unrealistic I/O performance\n') +
-            chalk.dim('💡 For realistic testing: ') + chalk.white('npm run create-testfile:real');
+            chalk.dim('💡 For realistic testing: ') + chalk.white(createCommand('create-testfile:real'));
         } else {
           fileTypeInfo = 
             chalk.blue('💾 File type: ') + chalk.green('Real file\n') +
@@ -82,25 +98,42 @@ function checkTestFile() {
         fileTypeInfo = chalk.blue('💾 Platform: ') + chalk.white('Windows (sparse detection not available)');
       }
       
+      // Seed and expected digests of files made by create-testfile.js random
+      let seedInfo = '';
+      const sidecar = readSidecar(FILENAME);
+      if (sidecar) {
+        seedInfo =
+          chalk.blue('🔑 Seed: ') + chalk.white(sidecar.seed) + chalk.dim(` (${sidecarPath(FILENAME)})\n`) +
+          Object.entries(sidecar.digests).map(([name, digest]) =>
+            chalk.blue(`   ${name}: `) + chalk.white(digest)).join('\n');
+        if (sidecar.size !== stats.size) {
+          seedInfo += '\n' + chalk.red(`❌ Sidecar describes a ${formatBytes(sidecar.size)} file; digests do not apply`);
+          boxColor = 'yellow';
+          process.exitCode = 1;
+        }
+      }
+      
       console.log(boxen(
         chalk.bold.green('📋 Test File Information\n\n') +
         fileInfo +
         sizeAnalysis +
-        (fileTypeInfo ? '\n' + fileTypeInfo : ''),
+        (fileTypeInfo ? '\n' + fileTypeInfo : '') +
+        (seedInfo ? '\n\n' + seedInfo : ''),
         { padding: 1, margin: 1, borderStyle: 'round', borderColor: boxColor, title: 'File Status' }
       ));
       
     } else {
       console.log(boxen(
         chalk.red('❌ Test file does not exist\n\n') +
+        chalk.blue('📄 Expected: ') + chalk.white(`${FILENAME} (${testFile.sizeName})`) + '\n\n' +
         chalk.white('To create the test file:\n\n') +
         
-        chalk.cyan('Quick (sparse): ') + chalk.white('npm run create-testfile\n') +
-        chalk.cyan('Realistic I/O: ') + chalk.white('npm run create-testfile:real\n') +
-        chalk.cyan('Random data: ') + chalk.white('npm run create-testfile:random\n\n') +
+        chalk.cyan('Quick (sparse): ') + chalk.white(createCommand('create-testfile') + '\n') +
+        chalk.cyan('Realistic I/O: ') + chalk.white(createCommand('create-testfile:real') + '\n') +
+        chalk.cyan('Random data: ') + chalk.white(createCommand('create-testfile:random') + '\n\n') +
         
         chalk.dim('Or use the command directly:\n') +
-        chalk.white('node create-testfile.js [method]'),
+        chalk.white('node create-testfile.js [method] [--size <size>] [--file <path>]'),
         { padding: 1, margin: 1, borderStyle: 'round', borderColor: 'red', title: 'File Missing' }
       ));
     }
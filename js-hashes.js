@@ -0,0 +1,1085 @@
+// Pure-JavaScript hash implementations (registry type 'javascript')
+//
+// Fallbacks for environments where the native addons (@node-rs/crc32, @node-rs/xxhash)
+// cannot be installed, and the reference for what that fallback costs. No dependencies,
+// no WebAssembly: only 32-bit integer arithmetic (Math.imul, >>>).
+//
+// crc32, crc32c   slice-by-8 table CRC; (data, previous) -> crc, like @node-rs/crc32
+// xxh32, xxh64    xxHash, seeded; the 64-bit lanes are kept as hi/lo 32-bit halves
+// fnv1a32/64      FNV-1a, byte at a time
+// murmur3_32      MurmurHash3 x86_32, seeded
+//
+// Each hasher has update(chunk) and digest() -> hex, the registry's incremental interface.
+// The results must match the native packages bit for bit (known-answers.js checks both).
+
+// CRC tables for slicing by 8: table k maps a byte to its CRC contribution k bytes further on
+function crcTables(poly) {
+  const tables = new Int32Array(8 * 256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? (c >>> 1) ^ poly : c >>> 1;
+    tables[n] = c;
+  }
+  for (let n = 0; n < 256; n++) {
+    for (let k = 1; k < 8; k++) {
+      const previous = tables[(k - 1) * 256 + n];
+      tables[k * 256 + n] = (previous >>> 8) ^ tables[previous & 0xff];
+    }
+  }
+  return tables;
+}
+
+function crcFunction(poly) {
+  const t = crcTables(poly);
+  return (data, previous = 0) => {
+    let crc = ~previous;
+    let i = 0;
+    const end8 = data.length - (data.length % 8);
+
+    for (; i < end8; i += 8) {
+      crc ^= data[i] | (data[i + 1] << 8) | (data[i + 2] << 16) | (data[i + 3] << 24);
+      crc = t[1792 + (crc & 0xff)] ^ t[1536 + ((crc >>> 8) & 0xff)] ^
+            t[1280 + ((crc >>> 16) & 0xff)] ^ t[1024 + (crc >>> 24)] ^
+            t[768 + data[i + 4]] ^ t[512 + data[i + 5]] ^ t[256 + data[i + 6]] ^ t[data[i + 7]];
+    }
+    for (; i < data.length; i++) {
+      crc = t[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return ~crc >>> 0;
+  };
+}
+
+const crc32 = crcFunction(0xEDB88320);
+const crc32c = crcFunction(0x82F63B78);
+
+function hex32(value) {
+  return (value >>> 0).toString(16).padStart(8, '0');
+}
+
+function hex64(hi, lo) {
+  return hex32(hi) + hex32(lo);
+}
+
+function rotl32(x, r) {
+  return (x << r) | (x >>> (32 - r));
+}
+
+function read32(data, i) {
+  return data[i] | (data[i + 1] << 8) | (data[i + 2] << 16) | (data[i + 3] << 24);
+}
+
+// Copy the tail of a chunk into a hasher's carry buffer; returns the new fill level
+function carry(buffer, fill, data, start) {
+  buffer.set(data.subarray(start), fill);
+  return fill + data.length - start;
+}
+
+// xxHash32
+
+const P32_1 = 0x9E3779B1;
+const P32_2 = 0x85EBCA77;
+const P32_3 = 0xC2B2AE3D;
+const P32_4 = 0x27D4EB2F;
+const P32_5 = 0x165667B1;
+
+function xxh32Round(acc, input) {
+  return Math.imul(rotl32((acc + Math.imul(input, P32_2)) | 0, 13), P32_1);
+}
+
+class Xxh32 {
+  constructor(seed = 0) {
+    this.seed = seed | 0;
+    this.v1 = (this.seed + P32_1 + P32_2) | 0;
+    this.v2 = (this.seed + P32_2) | 0;
+    this.v3 = this.seed;
+    this.v4 = (this.seed - P32_1) | 0;
+    this.total = 0;
+    this.buffer = new Uint8Array(16);
+    this.fill = 0;
+  }
+
+  // Consume 16-byte stripes from data[start..end)
+  stripes(data, start, end) {
+    let { v1, v2, v3, v4 } = this;
+    let i = start;
+    for (; i + 16 <= end; i += 16) {
+      v1 = xxh32Round(v1, read32(data, i));
+      v2 = xxh32Round(v2, read32(data, i + 4));
+      v3 = xxh32Round(v3, read32(data, i + 8));
+      v4 = xxh32Round(v4, read32(data, i + 12));
+    }
+    Object.assign(this, { v1, v2, v3, v4 });
+    return i;
+  }
+
+  update(data) {
+    this.total += data.length;
+    let i = 0;
+
+    if (this.fill > 0) {
+      const take = Math.min(16 - this.fill, data.length);
+      this.buffer.set(data.subarray(0, take), this.fill);
+      this.fill += take;
+      i = take;
+      if (this.fill < 16) return;
+      this.stripes(this.buffer, 0, 16);
+      this.fill = 0;
+    }
+
+    i = this.stripes(data, i, data.length);
+    if (i < data.length) this.fill = carry(this.buffer, 0, data, i);
+  }
+
+  value() {
+    let h = this.total >= 16
+      ? (rotl32(this.v1, 1) + rotl32(this.v2, 7) + rotl32(this.v3, 12) + rotl32(this.v4, 18)) | 0
+      : (this.seed + P32_5) | 0;
+    h = (h + this.total) | 0;
+
+    const data = this.buffer;
+    let i = 0;
+    for (; i + 4 <= this.fill; i += 4) {
+      h = Math.imul(rotl32((h + Math.imul(read32(data, i), P32_3)) | 0, 17), P32_4);
+    }
+    for (; i < this.fill; i++) {
+      h = Math.imul(rotl32((h + Math.imul(data[i], P32_5)) | 0, 11), P32_1);
+    }
+
+    h ^= h >>> 15;
+    h = Math.imul(h, P32_2);
+    h ^= h >>> 13;
+    h = Math.imul(h, P32_3);
+    h ^= h >>> 16;
+    return h >>> 0;
+  }
+
+  digest() {
+    return hex32(this.value());
+  }
+}
+
+function xxh32(data, seed = 0) {
+  const hasher = new Xxh32(seed);
+  hasher.update(data);
+  return hasher.value();
+}
+
+// 64-bit arithmetic on hi/lo halves, stored as signed 32-bit integers so V8 keeps them
+// unboxed. The helpers leave their result in rh/rl instead of allocating.
+
+let rh = 0;
+let rl = 0;
+
+function add64(ah, al, bh, bl) {
+  const lo = (al >>> 0) + (bl >>> 0);
+  rl = lo | 0;
+  rh = (ah + bh + (lo > 0xFFFFFFFF ? 1 : 0)) | 0;
+}
+
+// Product modulo 2^64: Math.imul gives the low halves of the cross terms, the high half
+// of al * bl comes from 16-bit limbs (every partial product fits a double exactly)
+function mul64(ah, al, bh, bl) {
+  const a0 = al & 0xFFFF, a1 = al >>> 16, b0 = bl & 0xFFFF, b1 = bl >>> 16;
+  const a1b0 = a1 * b0;
+  const a0b1 = a0 * b1;
+  const mid = ((a0 * b0) >>> 16) + (a1b0 & 0xFFFF) + (a0b1 & 0xFFFF);
+  const high = a1 * b1 + (a1b0 >>> 16) + (a0b1 >>> 16) + (mid >>> 16);
+
+  rh = (Math.imul(ah, bl) + Math.imul(al, bh) + high) | 0;
+  rl = Math.imul(al, bl);
+}
+
+// Rotate left by 0 < r < 32
+function rotl64(h, l, r) {
+  rh = (h << r) | (l >>> (32 - r));
+  rl = (l << r) | (h >>> (32 - r));
+}
+
+// xxHash64
+
+const P64_1H = 0x9E3779B1, P64_1L = 0x85EBCA87;
+const P64_2H = 0xC2B2AE3D, P64_2L = 0x27D4EB4F;
+const P64_3H = 0x165667B1, P64_3L = 0x9E3779F9;
+const P64_4H = 0x85EBCA77, P64_4L = 0xC2B2AE63;
+const P64_5H = 0x27D4EB2F, P64_5L = 0x165667C5;
+
+// acc = rotl(acc + input * P2, 31) * P1
+function xxh64Round(accH, accL, inH, inL) {
+  mul64(inH, inL, P64_2H, P64_2L);
+  add64(accH, accL, rh, rl);
+  rotl64(rh, rl, 31);
+  mul64(rh, rl, P64_1H, P64_1L);
+}
+
+// acc = (acc ^ round(0, value)) * P1 + P4
+function xxh64Merge(accH, accL, valH, valL) {
+  xxh64Round(0, 0, valH, valL);
+  mul64(accH ^ rh, accL ^ rl, P64_1H, P64_1L);
+  add64(rh, rl, P64_4H, P64_4L);
+}
+
+// Split a seed (number or bigint) into hi/lo halves
+function seed64(seed) {
+  const value = BigInt.asUintN(64, BigInt(seed));
+  return [Number(value >> 32n) | 0, Number(value & 0xFFFFFFFFn) | 0];
+}
+
+class Xxh64 {
+  constructor(seed = 0) {
+    const [sh, sl] = seed64(seed);
+    this.seedH = sh;
+    this.seedL = sl;
+    add64(sh, sl, P64_1H, P64_1L);
+    add64(rh, rl, P64_2H, P64_2L);
+    this.v1h = rh; this.v1l = rl;
+    add64(sh, sl, P64_2H, P64_2L);
+    this.v2h = rh; this.v2l = rl;
+    this.v3h = sh; this.v3l = sl;
+    // seed - P1 = seed + (2^64 - P1)
+    add64(sh, sl, ~P64_1H, ~P64_1L + 1);
+    this.v4h = rh; this.v4l = rl;
+    this.total = 0;
+    this.buffer = new Uint8Array(32);
+    this.fill = 0;
+  }
+
+  // Consume 32-byte stripes from data[start..end)
+  stripes(data, start, end) {
+    let i = start;
+    for (; i + 32 <= end; i += 32) {
+      xxh64Round(this.v1h, this.v1l, read32(data, i + 4) , read32(data, i));
+      this.v1h = rh; this.v1l = rl;
+      xxh64Round(this.v2h, this.v2l, read32(data, i + 12), read32(data, i + 8));
+      this.v2h = rh; this.v2l = rl;
+      xxh64Round(this.v3h, this.v3l, read32(data, i + 20), read32(data, i + 16));
+      this.v3h = rh; this.v3l = rl;
+      xxh64Round(this.v4h, this.v4l, read32(data, i + 28), read32(data, i + 24));
+      this.v4h = rh; this.v4l = rl;
+    }
+    return i;
+  }
+
+  update(data) {
+    this.total += data.length;
+    let i = 0;
+
+    if (this.fill > 0) {
+      const take = Math.min(32 - this.fill, data.length);
+      this.buffer.set(data.subarray(0, take), this.fill);
+      this.fill += take;
+      i = take;
+      if (this.fill < 32) return;
+      this.stripes(this.buffer, 0, 32);
+      this.fill = 0;
+    }
+
+    i = this.stripes(data, i, data.length);
+    if (i < data.length) this.fill = carry(this.buffer, 0, data, i);
+  }
+
+  // Final value as [hi, lo]
+  value() {
+    let hh, hl;
+    if (this.total >= 32) {
+      rotl64(this.v1h, this.v1l, 1);
+      hh = rh; hl = rl;
+      rotl64(this.v2h, this.v2l, 7);
+      add64(hh, hl, rh, rl);
+      hh = rh; hl = rl;
+      rotl64(this.v3h, this.v3l, 12);
+      add64(hh, hl, rh, rl);
+      hh = rh; hl = rl;
+      rotl64(this.v4h, this.v4l, 18);
+      add64(hh, hl, rh, rl);
+      xxh64Merge(rh, rl, this.v1h, this.v1l);
+      xxh64Merge(rh, rl, this.v2h, this.v2l);
+      xxh64Merge(rh, rl, this.v3h, this.v3l);
+      xxh64Merge(rh, rl, this.v4h, this.v4l);
+    } else {
+      add64(this.seedH, this.seedL, P64_5H, P64_5L);
+    }
+    add64(rh, rl, Math.floor(this.total / 0x100000000) | 0, this.total | 0);
+    hh = rh; hl = rl;
+
+    const data = this.buffer;
+    let i = 0;
+    for (; i + 8 <= this.fill; i += 8) {
+      xxh64Round(0, 0, read32(data, i + 4), read32(data, i));
+      rotl64(hh ^ rh, hl ^ rl, 27);
+      mul64(rh, rl, P64_1H, P64_1L);
+      add64(rh, rl, P64_4H, P64_4L);
+      hh = rh; hl = rl;
+    }
+    if (i + 4 <= this.fill) {
+      mul64(0, read32(data, i), P64_1H, P64_1L);
+      rotl64(hh ^ rh, hl ^ rl, 23);
+      mul64(rh, rl, P64_2H, P64_2L);
+      add64(rh, rl, P64_3H, P64_3L);
+      hh = rh; hl = rl;
+      i += 4;
+    }
+    for (; i < this.fill; i++) {
+      mul64(0, data[i], P64_5H, P64_5L);
+      rotl64(hh ^ rh, hl ^ rl, 11);
+      mul64(rh, rl, P64_1H, P64_1L);
+      hh = rh; hl = rl;
+    }
+
+    // Avalanche: h ^= h >> 33; h *= P2; h ^= h >> 29; h *= P3; h ^= h >> 32
+    mul64(hh, hl ^ (hh >>> 1), P64_2H, P64_2L);
+    hh = rh; hl = rl;
+    hl ^= (hl >>> 29) | (hh << 3);
+    hh ^= hh >>> 29;
+    mul64(hh, hl, P64_3H, P64_3L);
+    return [rh, rl ^ rh];
+  }
+
+  digest() {
+    const [hi, lo] = this.value();
+    return hex64(hi, lo);
+  }
+}
+
+function xxh64(data, seed = 0) {
+  const hasher = new Xxh64(seed);
+  hasher.update(data);
+  const [hi, lo] = hasher.value();
+  return (BigInt(hi >>> 0) << 32n) | BigInt(lo >>> 0);
+}
+
+// FNV-1a
+
+class Fnv1a32 {
+  constructor() {
+    this.h = 0x811C9DC5;
+  }
+
+  update(data) {
+    let h = this.h;
+    for (let i = 0; i < data.length; i++) h = Math.imul(h ^ data[i], 0x01000193);
+    this.h = h;
+  }
+
+  digest() {
+    return hex32(this.h);
+  }
+}
+
+function fnv1a32(data) {
+  const hasher = new Fnv1a32();
+  hasher.update(data);
+  return hasher.h >>> 0;
+}
+
+// The 64-bit prime is 2^40 + 0x1b3, so h * prime = h * 0x1b3 + (lo << 40)
+class Fnv1a64 {
+  constructor() {
+    this.hi = 0xCBF29CE4 | 0;
+    this.lo = 0x84222325 | 0;
+  }
+
+  update(data) {
+    let { hi, lo } = this;
+    for (let i = 0; i < data.length; i++) {
+      lo ^= data[i];
+      const low = (lo >>> 0) * 0x1B3;
+      hi = (Math.imul(hi, 0x1B3) + Math.floor(low / 0x100000000) + (lo << 8)) | 0;
+      lo = low | 0;
+    }
+    this.hi = hi;
+    this.lo = lo;
+  }
+
+  digest() {
+    return hex64(this.hi, this.lo);
+  }
+}
+
+function fnv1a64(data) {
+  const hasher = new Fnv1a64();
+  hasher.update(data);
+  return (BigInt(hasher.hi >>> 0) << 32n) | BigInt(hasher.lo >>> 0);
+}
+
+// MurmurHash3 x86_32
+
+const M3_C1 = 0xCC9E2D51;
+const M3_C2 = 0x1B873593;
+
+function murmurMix(k) {
+  return Math.imul(rotl32(Math.imul(k, M3_C1), 15), M3_C2);
+}
+
+class Murmur3 {
+  constructor(seed = 0) {
+    this.h = seed | 0;
+    this.total = 0;
+    this.buffer = new Uint8Array(4);
+    this.fill = 0;
+  }
+
+  update(data) {
+    this.total += data.length;
+    let h = this.h;
+    let i = 0;
+
+    if (this.fill > 0) {
+      const take = Math.min(4 - this.fill, data.length);
+      this.buffer.set(data.subarray(0, take), this.fill);
+      this.fill += take;
+      i = take;
+      if (this.fill < 4) return;
+      h = (Math.imul(rotl32(h ^ murmurMix(read32(this.buffer, 0)), 13), 5) + 0xE6546B64) | 0;
+      this.fill = 0;
+    }
+
+    for (; i + 4 <= data.length; i += 4) {
+      h = (Math.imul(rotl32(h ^ murmurMix(read32(data, i)), 13), 5) + 0xE6546B64) | 0;
+    }
+    this.h = h;
+    if (i < data.length) this.fill = carry(this.buffer, 0, data, i);
+  }
+
+  value() {
+    let h = this.h;
+    if (this.fill > 0) {
+      let k = 0;
+      for (let i = this.fill - 1; i >= 0; i--) k = (k << 8) | this.buffer[i];
+      h ^= murmurMix(k);
+    }
+    h ^= this.total;
+    h ^= h >>> 16;
+    h = Math.imul(h, 0x85EBCA6B);
+    h ^= h >>> 13;
+    h = Math.imul(h, 0xC2B2AE35);
+    h ^= h >>> 16;
+    return h >>> 0;
+  }
+
+  digest() {
+    return hex32(this.value());
+  }
+}
+
+function murmur3_32(data, seed = 0) {
+  const hasher = new Murmur3(seed);
+  hasher.update(data);
+  return hasher.value();
+}
+
+// XXH3 (64- and 128-bit), seeded. @node-rs/xxhash hashes 128 bits in one shot only, so
+// this is the incremental xxh3-128 hasher. The stripe loop works on hi/lo halves; inputs
+// up to 240 bytes and the final merge run once per digest and use BigInt.
+
+const M64 = (1n << 64n) - 1n;
+const P32_2N = BigInt(P32_2);
+const P64_1N = 0x9E3779B185EBCA87n;
+const P64_2N = 0xC2B2AE3D27D4EB4Fn;
+const P64_3N = 0x165667B19E3779F9n;
+const P64_4N = 0x85EBCA77C2B2AE63n;
+const PRIME_MX1 = 0x165667919E3779F9n;
+const PRIME_MX2 = 0x9FB21C651E98DF25n;
+
+const XXH3_SECRET = Buffer.from([
+  0xb8, 0xfe, 0x6c, 0x39, 0x23, 0xa4, 0x4b, 0xbe, 0x7c, 0x01, 0x81, 0x2c, 0xf7, 0x21, 0xad, 0x1c,
+  0xde, 0xd4, 0x6d, 0xe9, 0x83, 0x90, 0x97, 0xdb, 0x72, 0x40, 0xa4, 0xa4, 0xb7, 0xb3, 0x67, 0x1f,
+  0xcb, 0x79, 0xe6, 0x4e, 0xcc, 0xc0, 0xe5, 0x78, 0x82, 0x5a, 0xd0, 0x7d, 0xcc, 0xff, 0x72, 0x21,
+  0xb8, 0x08, 0x46, 0x74, 0xf7, 0x43, 0x24, 0x8e, 0xe0, 0x35, 0x90, 0xe6, 0x81, 0x3a, 0x26, 0x4c,
+  0x3c, 0x28, 0x52, 0xbb, 0x91, 0xc3, 0x00, 0xcb, 0x88, 0xd0, 0x65, 0x8b, 0x1b, 0x53, 0x2e, 0xa3,
+  0x71, 0x64, 0x48, 0x97, 0xa2, 0x0d, 0xf9, 0x4e, 0x38, 0x19, 0xef, 0x46, 0xa9, 0xde, 0xac, 0xd8,
+  0xa8, 0xfa, 0x76, 0x3f, 0xe3, 0x9c, 0x34, 0x3f, 0xf9, 0xdc, 0xbb, 0xc7, 0xc7, 0x0b, 0x4f, 0x1d,
+  0x8a, 0x51, 0xe0, 0x4b, 0xcd, 0xb4, 0x59, 0x31, 0xc8, 0x9f, 0x7e, 0xc9, 0xd9, 0x78, 0x73, 0x64,
+  0xea, 0xc5, 0xac, 0x83, 0x34, 0xd3, 0xeb, 0xc3, 0xc5, 0x81, 0xa0, 0xff, 0xfa, 0x13, 0x63, 0xeb,
+  0x17, 0x0d, 0xdd, 0x51, 0xb7, 0xf0, 0xda, 0x49, 0xd3, 0x16, 0x55, 0x26, 0x29, 0xd4, 0x68, 0x9e,
+  0x2b, 0x16, 0xbe, 0x58, 0x7d, 0x47, 0xa1, 0xfc, 0x8f, 0xf8, 0xb8, 0xd1, 0x7a, 0xd0, 0x31, 0xce,
+  0x45, 0xcb, 0x3a, 0x8f, 0x95, 0x16, 0x04, 0x28, 0xaf, 0xd7, 0xfb, 0xca, 0xbb, 0x4b, 0x40, 0x7e
+]);
+const XXH3_SECRET_SIZE = 192;
+const XXH3_STRIPE = 64;
+const XXH3_STRIPES_PER_BLOCK = (XXH3_SECRET_SIZE - XXH3_STRIPE) / 8;
+const XXH3_MIDSIZE_MAX = 240;
+
+// Initial accumulators as hi/lo pairs
+const XXH3_INIT_ACC = Int32Array.of(
+  0, P32_3, P64_1H, P64_1L, P64_2H, P64_2L, P64_3H, P64_3L,
+  P64_4H, P64_4L, 0, P32_2, P64_5H, P64_5L, 0, P32_1
+);
+
+// Unsigned 32 x 32 -> 64-bit product into rh/rl
+function umul32(a, b) {
+  const a0 = a & 0xFFFF, a1 = a >>> 16, b0 = b & 0xFFFF, b1 = b >>> 16;
+  const a1b0 = a1 * b0;
+  const a0b1 = a0 * b1;
+  const mid = ((a0 * b0) >>> 16) + (a1b0 & 0xFFFF) + (a0b1 & 0xFFFF);
+  rh = (a1 * b1 + (a1b0 >>> 16) + (a0b1 >>> 16) + (mid >>> 16)) | 0;
+  rl = Math.imul(a, b);
+}
+
+// Per 8-byte lane j: acc[j ^ 1] += input, acc[j] += lo32(input ^ key) * hi32(input ^ key)
+function xxh3Stripe(acc, data, i, secret, s) {
+  for (let j = 0; j < 16; j += 2, i += 8, s += 8) {
+    const inL = read32(data, i);
+    const inH = read32(data, i + 4);
+    const o = j ^ 2;
+    add64(acc[o], acc[o + 1], inH, inL);
+    acc[o] = rh; acc[o + 1] = rl;
+    umul32(inL ^ read32(secret, s), inH ^ read32(secret, s + 4));
+    add64(acc[j], acc[j + 1], rh, rl);
+    acc[j] = rh; acc[j + 1] = rl;
+  }
+}
+
+// acc = (acc ^ (acc >> 47) ^ key) * P32_1
+function xxh3Scramble(acc, secret, s) {
+  for (let j = 0; j < 16; j += 2, s += 8) {
+    const h = acc[j];
+    mul64(h ^ read32(secret, s + 4), acc[j + 1] ^ (h >>> 15) ^ read32(secret, s), 0, P32_1);
+    acc[j] = rh; acc[j + 1] = rl;
+  }
+}
+
+function read64(data, i) {
+  return data.readBigUInt64LE(i);
+}
+
+function swap32(value) {
+  return ((value & 0xFF) << 24 | (value & 0xFF00) << 8 | (value >>> 8) & 0xFF00 | value >>> 24) >>> 0;
+}
+
+function swap64(value) {
+  return BigInt(swap32(Number(value & 0xFFFFFFFFn))) << 32n | BigInt(swap32(Number(value >> 32n)));
+}
+
+// Low and high halves of the 128-bit product, xored
+function fold64(a, b) {
+  const product = a * b;
+  return (product & M64) ^ (product >> 64n);
+}
+
+function xxh64Avalanche(h) {
+  h ^= h >> 33n;
+  h = (h * P64_2N) & M64;
+  h ^= h >> 29n;
+  h = (h * P64_3N) & M64;
+  return h ^ (h >> 32n);
+}
+
+function xxh3Avalanche(h) {
+  h ^= h >> 37n;
+  h = (h * PRIME_MX1) & M64;
+  return h ^ (h >> 32n);
+}
+
+function rrmxmx(h, length) {
+  h ^= ((h << 49n | h >> 15n) ^ (h << 24n | h >> 40n)) & M64;
+  h = (h * PRIME_MX2) & M64;
+  h ^= (h >> 35n) + BigInt(length);
+  h = (h * PRIME_MX2) & M64;
+  return h ^ (h >> 28n);
+}
+
+function mix16(data, i, secret, s, seed) {
+  return fold64(
+    read64(data, i) ^ ((read64(secret, s) + seed) & M64),
+    read64(data, i + 8) ^ ((read64(secret, s + 8) - seed) & M64)
+  );
+}
+
+// XXH3-64 of up to 240 bytes
+function xxh3Short64(data, length, seed) {
+  const s = XXH3_SECRET;
+  if (length === 0) return xxh64Avalanche(seed ^ read64(s, 56) ^ read64(s, 64));
+  if (length <= 3) {
+    const combined = ((data[0] << 16) | (data[length >> 1] << 24) | data[length - 1] | (length << 8)) >>> 0;
+    const bitflip = (BigInt((read32(s, 0) ^ read32(s, 4)) >>> 0) + seed) & M64;
+    return xxh64Avalanche(BigInt(combined) ^ bitflip);
+  }
+  if (length <= 8) {
+    seed ^= BigInt(swap32(Number(seed & 0xFFFFFFFFn))) << 32n;
+    const input = BigInt(read32(data, length - 4) >>> 0) + (BigInt(read32(data, 0) >>> 0) << 32n);
+    const bitflip = ((read64(s, 8) ^ read64(s, 16)) - seed) & M64;
+    return rrmxmx(input ^ bitflip, length);
+  }
+  if (length <= 16) {
+    const lo = read64(data, 0) ^ (((read64(s, 24) ^ read64(s, 32)) + seed) & M64);
+    const hi = read64(data, length - 8) ^ (((read64(s, 40) ^ read64(s, 48)) - seed) & M64);
+    return xxh3Avalanche((BigInt(length) + swap64(lo) + hi + fold64(lo, hi)) & M64);
+  }
+
+  let acc = BigInt(length) * P64_1N;
+  if (length <= 128) {
+    if (length > 32) {
+      if (length > 64) {
+        if (length > 96) {
+          acc += mix16(data, 48, s, 96, seed) + mix16(data, length - 64, s, 112, seed);
+        }
+        acc += mix16(data, 32, s, 64, seed) + mix16(data, length - 48, s, 80, seed);
+      }
+      acc += mix16(data, 16, s, 32, seed) + mix16(data, length - 32, s, 48, seed);
+    }
+    acc += mix16(data, 0, s, 0, seed) + mix16(data, length - 16, s, 16, seed);
+    return xxh3Avalanche(acc & M64);
+  }
+
+  for (let i = 0; i < 8; i++) acc += mix16(data, 16 * i, s, 16 * i, seed);
+  acc = xxh3Avalanche(acc & M64);
+  for (let i = 8; i < length >> 4; i++) acc += mix16(data, 16 * i, s, 16 * (i - 8) + 3, seed);
+  acc += mix16(data, length - 16, s, 136 - 17, seed);
+  return xxh3Avalanche(acc & M64);
+}
+
+// One 32-byte round of the 17-240 byte XXH3-128 paths, on acc = [low, high]
+function mix32(acc, data, i1, i2, secret, s, seed) {
+  acc[0] = ((acc[0] + mix16(data, i1, secret, s, seed)) & M64) ^ ((read64(data, i2) + read64(data, i2 + 8)) & M64);
+  acc[1] = ((acc[1] + mix16(data, i2, secret, s + 16, seed)) & M64) ^ ((read64(data, i1) + read64(data, i1 + 8)) & M64);
+}
+
+// XXH3-128 of up to 240 bytes as [low, high]
+function xxh3Short128(data, length, seed) {
+  const s = XXH3_SECRET;
+  if (length === 0) {
+    return [
+      xxh64Avalanche(seed ^ read64(s, 64) ^ read64(s, 72)),
+      xxh64Avalanche(seed ^ read64(s, 80) ^ read64(s, 88))
+    ];
+  }
+  if (length <= 3) {
+    const combinedL = ((data[0] << 16) | (data[length >> 1] << 24) | data[length - 1] | (length << 8)) >>> 0;
+    const combinedH = rotl32(swap32(combinedL), 13) >>> 0;
+    const bitflipL = (BigInt((read32(s, 0) ^ read32(s, 4)) >>> 0) + seed) & M64;
+    const bitflipH = (BigInt((read32(s, 8) ^ read32(s, 12)) >>> 0) - seed) & M64;
+    return [xxh64Avalanche(BigInt(combinedL) ^ bitflipL), xxh64Avalanche(BigInt(combinedH) ^ bitflipH)];
+  }
+  if (length <= 8) {
+    seed ^= BigInt(swap32(Number(seed & 0xFFFFFFFFn))) << 32n;
+    const input = BigInt(read32(data, 0) >>> 0) + (BigInt(read32(data, length - 4) >>> 0) << 32n);
+    const bitflip = ((read64(s, 16) ^ read64(s, 24)) + seed) & M64;
+    const product = (input ^ bitflip) * ((P64_1N + (BigInt(length) << 2n)) & M64);
+    let low = product & M64;
+    const high = ((product >> 64n) + (low << 1n)) & M64;
+    low ^= high >> 3n;
+    low ^= low >> 35n;
+    low = (low * PRIME_MX2) & M64;
+    low ^= low >> 28n;
+    return [low, xxh3Avalanche(high)];
+  }
+  if (length <= 16) {
+    const bitflipL = ((read64(s, 32) ^ read64(s, 40)) - seed) & M64;
+    const bitflipH = ((read64(s, 48) ^ read64(s, 56)) + seed) & M64;
+    const inputHi = read64(data, length - 8);
+    const product = (read64(data, 0) ^ inputHi ^ bitflipL) * P64_1N;
+    let low = ((product & M64) + (BigInt(length - 1) << 54n)) & M64;
+    const keyedHi = inputHi ^ bitflipH;
+    const high = ((product >> 64n) + keyedHi + (keyedHi & 0xFFFFFFFFn) * (P32_2N - 1n)) & M64;
+    low ^= swap64(high);
+    const mixed = low * P64_2N;
+    return [xxh3Avalanche(mixed & M64), xxh3Avalanche(((mixed >> 64n) + high * P64_2N) & M64)];
+  }
+
+  const acc = [(BigInt(length) * P64_1N) & M64, 0n];
+  if (length <= 128) {
+    if (length > 32) {
+      if (length > 64) {
+        if (length > 96) mix32(acc, data, 48, length - 64, s, 96, seed);
+        mix32(acc, data, 32, length - 48, s, 64, seed);
+      }
+      mix32(acc, data, 16, length - 32, s, 32, seed);
+    }
+    mix32(acc, data, 0, length - 16, s, 0, seed);
+  } else {
+    for (let i = 32; i < 160; i += 32) mix32(acc, data, i - 32, i - 16, s, i - 32, seed);
+    acc[0] = xxh3Avalanche(acc[0]);
+    acc[1] = xxh3Avalanche(acc[1]);
+    for (let i = 160; i <= length; i += 32) mix32(acc, data, i - 32, i - 16, s, 3 + i - 160, seed);
+    mix32(acc, data, length - 16, length - 32, s, 136 - 17 - 16, (0n - seed) & M64);
+  }
+
+  const low = (acc[0] + acc[1]) & M64;
+  const high = (acc[0] * P64_1N + acc[1] * P64_4N + ((BigInt(length) - seed) & M64) * P64_2N) & M64;
+  return [xxh3Avalanche(low), (0n - xxh3Avalanche(high)) & M64];
+}
+
+// Secret for seeded long inputs: the default secret with the seed added and subtracted
+function xxh3CustomSecret(seed) {
+  const secret = Buffer.alloc(XXH3_SECRET_SIZE);
+  for (let i = 0; i < XXH3_SECRET_SIZE; i += 16) {
+    secret.writeBigUInt64LE((read64(XXH3_SECRET, i) + seed) & M64, i);
+    secret.writeBigUInt64LE((read64(XXH3_SECRET, i + 8) - seed) & M64, i + 8);
+  }
+  return secret;
+}
+
+function mergeAccs(acc, secret, s, start) {
+  let result = start;
+  for (let i = 0; i < 4; i++) {
+    result += fold64(acc[2 * i] ^ read64(secret, s + 16 * i), acc[2 * i + 1] ^ read64(secret, s + 16 * i + 8));
+  }
+  return xxh3Avalanche(result & M64);
+}
+
+// A stripe is consumed once at least one more byte follows it: the last 1-64 bytes wait
+// in buffer, and the final stripe (the last 64 bytes, overlapping the consumed ones when
+// fewer are buffered) is mixed in with its own secret offset at digest time
+class Xxh3 {
+  constructor(seed = 0, outputBits = 64) {
+    this.seed = BigInt.asUintN(64, BigInt(seed));
+    this.outputBits = outputBits;
+    this.secret = this.seed === 0n ? XXH3_SECRET : xxh3CustomSecret(this.seed);
+    this.acc = XXH3_INIT_ACC.slice();
+    this.stripe = 0;
+    this.total = 0;
+    this.head = Buffer.alloc(XXH3_MIDSIZE_MAX);
+    this.buffer = Buffer.alloc(XXH3_STRIPE);
+    this.fill = 0;
+    this.last = Buffer.alloc(XXH3_STRIPE);
+  }
+
+  consume(data, i) {
+    xxh3Stripe(this.acc, data, i, this.secret, this.stripe * 8);
+    if (++this.stripe === XXH3_STRIPES_PER_BLOCK) {
+      xxh3Scramble(this.acc, this.secret, XXH3_SECRET_SIZE - XXH3_STRIPE);
+      this.stripe = 0;
+    }
+  }
+
+  update(data) {
+    if (this.total < XXH3_MIDSIZE_MAX) this.head.set(data.subarray(0, XXH3_MIDSIZE_MAX - this.total), this.total);
+    this.total += data.length;
+    let i = 0;
+
+    if (this.fill > 0) {
+      const take = Math.min(XXH3_STRIPE - this.fill, data.length);
+      this.buffer.set(data.subarray(0, take), this.fill);
+      this.fill += take;
+      i = take;
+      if (i === data.length) return;
+      this.consume(this.buffer, 0);
+      this.last.set(this.buffer);
+      this.fill = 0;
+    }
+
+    if (data.length - i > XXH3_STRIPE) {
+      for (; data.length - i > XXH3_STRIPE; i += XXH3_STRIPE) this.consume(data, i);
+      this.last.set(data.subarray(i - XXH3_STRIPE, i));
+    }
+    this.fill = carry(this.buffer, 0, data, i);
+  }
+
+  // Final value as a bigint (128-bit: high << 64 | low)
+  value() {
+    const length = this.total;
+    if (length <= XXH3_MIDSIZE_MAX) {
+      if (this.outputBits === 64) return xxh3Short64(this.head, length, this.seed);
+      const [low, high] = xxh3Short128(this.head, length, this.seed);
+      return (high << 64n) | low;
+    }
+
+    const acc = this.acc.slice();
+    const lastStripe = Buffer.alloc(XXH3_STRIPE);
+    lastStripe.set(this.last.subarray(this.fill));
+    lastStripe.set(this.buffer.subarray(0, this.fill), XXH3_STRIPE - this.fill);
+    xxh3Stripe(acc, lastStripe, 0, this.secret, XXH3_SECRET_SIZE - XXH3_STRIPE - 7);
+
+    const lanes = [];
+    for (let j = 0; j < 16; j += 2) lanes.push((BigInt(acc[j] >>> 0) << 32n) | BigInt(acc[j + 1] >>> 0));
+    const low = mergeAccs(lanes, this.secret, 11, (BigInt(length) * P64_1N) & M64);
+    if (this.outputBits === 64) return low;
+    const high = mergeAccs(lanes, this.secret, XXH3_SECRET_SIZE - XXH3_STRIPE - 11, ~(BigInt(length) * P64_2N) & M64);
+    return (high << 64n) | low;
+  }
+
+  digest() {
+    return this.value().toString(16).padStart(this.outputBits / 4, '0');
+  }
+}
+
+function xxh3_64(data, seed = 0) {
+  const hasher = new Xxh3(seed, 64);
+  hasher.update(data);
+  return hasher.value();
+}
+
+function xxh3_128(data, seed = 0) {
+  const hasher = new Xxh3(seed, 128);
+  hasher.update(data);
+  return hasher.value();
+}
+
+// BLAKE2s and BLAKE2b (RFC 7693) with an optional key, which node:crypto does not take.
+// The key is padded to a full block and hashed ahead of the data; the last block is held
+// back until digest() so it can be compressed with the final-block flag.
+
+const BLAKE2_SIGMA = Uint8Array.from([
+  0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15,
+  14, 10, 4, 8, 9, 15, 13, 6, 1, 12, 0, 2, 11, 7, 5, 3,
+  11, 8, 12, 0, 5, 2, 15, 13, 10, 14, 3, 6, 7, 1, 9, 4,
+  7, 9, 3, 1, 13, 12, 11, 14, 2, 6, 5, 10, 4, 0, 15, 8,
+  9, 0, 5, 7, 2, 4, 10, 15, 14, 1, 11, 12, 6, 8, 3, 13,
+  2, 12, 6, 10, 0, 11, 8, 3, 4, 13, 7, 5, 15, 14, 1, 9,
+  12, 5, 1, 15, 14, 13, 4, 10, 0, 7, 6, 3, 9, 2, 8, 11,
+  13, 11, 7, 14, 12, 1, 3, 9, 5, 0, 15, 4, 8, 6, 2, 10,
+  6, 15, 14, 9, 11, 3, 0, 8, 12, 2, 13, 7, 1, 4, 10, 5,
+  10, 2, 8, 4, 7, 6, 1, 5, 15, 11, 9, 14, 3, 12, 13, 0
+]);
+
+// Words as they sit in memory: BLAKE2s words, BLAKE2b words as lo/hi pairs
+const BLAKE2S_IV = Int32Array.of(
+  0x6A09E667, 0xBB67AE85, 0x3C6EF372, 0xA54FF53A, 0x510E527F, 0x9B05688C, 0x1F83D9AB, 0x5BE0CD19
+);
+const BLAKE2B_IV = Int32Array.of(
+  0xF3BCC908, 0x6A09E667, 0x84CAA73B, 0xBB67AE85, 0xFE94F82B, 0x3C6EF372, 0x5F1D36F1, 0xA54FF53A,
+  0xADE682D1, 0x510E527F, 0x2B3E6C1F, 0x9B05688C, 0xFB41BD6B, 0x1F83D9AB, 0x137E2179, 0x5BE0CD19
+);
+
+class Blake2 {
+  constructor(blockSize, iv, outputBytes, key) {
+    const keyLength = key ? key.length : 0;
+    if (outputBytes < 1 || outputBytes > blockSize / 2 || keyLength > blockSize / 2) {
+      throw new RangeError(`BLAKE2 output and key must be 1-${blockSize / 2} bytes`);
+    }
+    this.blockSize = blockSize;
+    this.outputBytes = outputBytes;
+    this.h = iv.slice();
+    this.h[0] ^= 0x01010000 ^ (keyLength << 8) ^ outputBytes;
+    this.m = new Int32Array(blockSize / 4);
+    this.total = 0;
+    this.block = new Uint8Array(blockSize);
+    this.fill = 0;
+    if (keyLength > 0) {
+      this.block.set(key);
+      this.fill = blockSize;
+    }
+  }
+
+  update(data) {
+    const size = this.blockSize;
+    let i = 0;
+    while (i < data.length) {
+      if (this.fill === size) {
+        this.total += size;
+        this.compress(this.block, 0, false);
+        this.fill = 0;
+      }
+      if (this.fill === 0) {
+        for (; data.length - i > size; i += size) {
+          this.total += size;
+          this.compress(data, i, false);
+        }
+      }
+      const take = Math.min(size - this.fill, data.length - i);
+      this.block.set(data.subarray(i, i + take), this.fill);
+      this.fill += take;
+      i += take;
+    }
+  }
+
+  digest() {
+    this.total += this.fill;
+    this.block.fill(0, this.fill);
+    this.compress(this.block, 0, true);
+    const out = Buffer.alloc(this.h.length * 4);
+    for (let j = 0; j < this.h.length; j++) out.writeInt32LE(this.h[j], 4 * j);
+    return out.toString('hex', 0, this.outputBytes);
+  }
+}
+
+class Blake2s extends Blake2 {
+  constructor(outputBytes = 32, key = null) {
+    super(64, BLAKE2S_IV, outputBytes, key);
+  }
+
+  // The state lives in locals: V8 keeps them in registers, which array-based G calls defeat
+  compress(data, i, last) {
+    const { h, m } = this;
+    for (let j = 0; j < 16; j++) m[j] = read32(data, i + 4 * j);
+    let v0 = h[0], v1 = h[1], v2 = h[2], v3 = h[3], v4 = h[4], v5 = h[5], v6 = h[6], v7 = h[7];
+    let v8 = BLAKE2S_IV[0], v9 = BLAKE2S_IV[1], v10 = BLAKE2S_IV[2], v11 = BLAKE2S_IV[3];
+    let v12 = BLAKE2S_IV[4] ^ this.total;
+    let v13 = BLAKE2S_IV[5] ^ Math.floor(this.total / 0x100000000);
+    let v14 = last ? ~BLAKE2S_IV[6] : BLAKE2S_IV[6];
+    let v15 = BLAKE2S_IV[7];
+
+    for (let s = 0; s < 160; s += 16) {
+      v0 = (v0 + v4 + m[BLAKE2_SIGMA[s]]) | 0; v12 ^= v0; v12 = (v12 >>> 16) | (v12 << 16);
+      v8 = (v8 + v12) | 0; v4 ^= v8; v4 = (v4 >>> 12) | (v4 << 20);
+      v0 = (v0 + v4 + m[BLAKE2_SIGMA[s + 1]]) | 0; v12 ^= v0; v12 = (v12 >>> 8) | (v12 << 24);
+      v8 = (v8 + v12) | 0; v4 ^= v8; v4 = (v4 >>> 7) | (v4 << 25);
+      v1 = (v1 + v5 + m[BLAKE2_SIGMA[s + 2]]) | 0; v13 ^= v1; v13 = (v13 >>> 16) | (v13 << 16);
+      v9 = (v9 + v13) | 0; v5 ^= v9; v5 = (v5 >>> 12) | (v5 << 20);
+      v1 = (v1 + v5 + m[BLAKE2_SIGMA[s + 3]]) | 0; v13 ^= v1; v13 = (v13 >>> 8) | (v13 << 24);
+      v9 = (v9 + v13) | 0; v5 ^= v9; v5 = (v5 >>> 7) | (v5 << 25);
+      v2 = (v2 + v6 + m[BLAKE2_SIGMA[s + 4]]) | 0; v14 ^= v2; v14 = (v14 >>> 16) | (v14 << 16);
+      v10 = (v10 + v14) | 0; v6 ^= v10; v6 = (v6 >>> 12) | (v6 << 20);
+      v2 = (v2 + v6 + m[BLAKE2_SIGMA[s + 5]]) | 0; v14 ^= v2; v14 = (v14 >>> 8) | (v14 << 24);
+      v10 = (v10 + v14) | 0; v6 ^= v10; v6 = (v6 >>> 7) | (v6 << 25);
+      v3 = (v3 + v7 + m[BLAKE2_SIGMA[s + 6]]) | 0; v15 ^= v3; v15 = (v15 >>> 16) | (v15 << 16);
+      v11 = (v11 + v15) | 0; v7 ^= v11; v7 = (v7 >>> 12) | (v7 << 20);
+      v3 = (v3 + v7 + m[BLAKE2_SIGMA[s + 7]]) | 0; v15 ^= v3; v15 = (v15 >>> 8) | (v15 << 24);
+      v11 = (v11 + v15) | 0; v7 ^= v11; v7 = (v7 >>> 7) | (v7 << 25);
+      v0 = (v0 + v5 + m[BLAKE2_SIGMA[s + 8]]) | 0; v15 ^= v0; v15 = (v15 >>> 16) | (v15 << 16);
+      v10 = (v10 + v15) | 0; v5 ^= v10; v5 = (v5 >>> 12) | (v5 << 20);
+      v0 = (v0 + v5 + m[BLAKE2_SIGMA[s + 9]]) | 0; v15 ^= v0; v15 = (v15 >>> 8) | (v15 << 24);
+      v10 = (v10 + v15) | 0; v5 ^= v10; v5 = (v5 >>> 7) | (v5 << 25);
+      v1 = (v1 + v6 + m[BLAKE2_SIGMA[s + 10]]) | 0; v12 ^= v1; v12 = (v12 >>> 16) | (v12 << 16);
+      v11 = (v11 + v12) | 0; v6 ^= v11; v6 = (v6 >>> 12) | (v6 << 20);
+      v1 = (v1 + v6 + m[BLAKE2_SIGMA[s + 11]]) | 0; v12 ^= v1; v12 = (v12 >>> 8) | (v12 << 24);
+      v11 = (v11 + v12) | 0; v6 ^= v11; v6 = (v6 >>> 7) | (v6 << 25);
+      v2 = (v2 + v7 + m[BLAKE2_SIGMA[s + 12]]) | 0; v13 ^= v2; v13 = (v13 >>> 16) | (v13 << 16);
+      v8 = (v8 + v13) | 0; v7 ^= v8; v7 = (v7 >>> 12) | (v7 << 20);
+      v2 = (v2 + v7 + m[BLAKE2_SIGMA[s + 13]]) | 0; v13 ^= v2; v13 = (v13 >>> 8) | (v13 << 24);
+      v8 = (v8 + v13) | 0; v7 ^= v8; v7 = (v7 >>> 7) | (v7 << 25);
+      v3 = (v3 + v4 + m[BLAKE2_SIGMA[s + 14]]) | 0; v14 ^= v3; v14 = (v14 >>> 16) | (v14 << 16);
+      v9 = (v9 + v14) | 0; v4 ^= v9; v4 = (v4 >>> 12) | (v4 << 20);
+      v3 = (v3 + v4 + m[BLAKE2_SIGMA[s + 15]]) | 0; v14 ^= v3; v14 = (v14 >>> 8) | (v14 << 24);
+      v9 = (v9 + v14) | 0; v4 ^= v9; v4 = (v4 >>> 7) | (v4 << 25);
+    }
+
+    h[0] ^= v0 ^ v8; h[1] ^= v1 ^ v9; h[2] ^= v2 ^ v10; h[3] ^= v3 ^ v11;
+    h[4] ^= v4 ^ v12; h[5] ^= v5 ^ v13; h[6] ^= v6 ^ v14; h[7] ^= v7 ^ v15;
+  }
+}
+
+class Blake2b extends Blake2 {
+  constructor(outputBytes = 64, key = null) {
+    super(128, BLAKE2B_IV, outputBytes, key);
+  }
+
+  // Same register-friendly layout as Blake2s, each word as an l(ow)/h(igh) pair
+  compress(data, i, last) {
+    const { h, m } = this;
+    for (let j = 0; j < 32; j++) m[j] = read32(data, i + 4 * j);
+    let v0l = h[0], v0h = h[1], v1l = h[2], v1h = h[3], v2l = h[4], v2h = h[5], v3l = h[6], v3h = h[7];
+    let v4l = h[8], v4h = h[9], v5l = h[10], v5h = h[11], v6l = h[12], v6h = h[13], v7l = h[14], v7h = h[15];
+    let v8l = BLAKE2B_IV[0], v8h = BLAKE2B_IV[1], v9l = BLAKE2B_IV[2], v9h = BLAKE2B_IV[3];
+    let v10l = BLAKE2B_IV[4], v10h = BLAKE2B_IV[5], v11l = BLAKE2B_IV[6], v11h = BLAKE2B_IV[7];
+    let v12l = BLAKE2B_IV[8] ^ this.total, v12h = BLAKE2B_IV[9] ^ Math.floor(this.total / 0x100000000);
+    let v13l = BLAKE2B_IV[10], v13h = BLAKE2B_IV[11];
+    let v14l = last ? ~BLAKE2B_IV[12] : BLAKE2B_IV[12], v14h = last ? ~BLAKE2B_IV[13] : BLAKE2B_IV[13];
+    let v15l = BLAKE2B_IV[14], v15h = BLAKE2B_IV[15];
+    let k, t, u;
+
+    // Rotations right by 32, 24, 16 and 63; rounds 11 and 12 reuse the first two permutations
+    for (let r = 0; r < 12; r++) {
+      const s = (r % 10) * 16;
+      k = BLAKE2_SIGMA[s] * 2;
+      t = (v0l >>> 0) + (v4l >>> 0) + (m[k] >>> 0); v0h = (v0h + v4h + m[k + 1] + (t / 0x100000000 | 0)) | 0; v0l = t | 0;
+      t = v12l ^ v0l; v12l = v12h ^ v0h; v12h = t;
+      t = (v8l >>> 0) + (v12l >>> 0); v8h = (v8h + v12h + (t / 0x100000000 | 0)) | 0; v8l = t | 0;
+      t = v4l ^ v8l; u = v4h ^ v8h; v4l = (t >>> 24) | (u << 8); v4h = (u >>> 24) | (t << 8);
+      k = BLAKE2_SIGMA[s + 1] * 2;
+      t = (v0l >>> 0) + (v4l >>> 0) + (m[k] >>> 0); v0h = (v0h + v4h + m[k + 1] + (t / 0x100000000 | 0)) | 0; v0l = t | 0;
+      t = v12l ^ v0l; u = v12h ^ v0h; v12l = (t >>> 16) | (u << 16); v12h = (u >>> 16) | (t << 16);
+      t = (v8l >>> 0) + (v12l >>> 0); v8h = (v8h + v12h + (t / 0x100000000 | 0)) | 0; v8l = t | 0;
+      t = v4l ^ v8l; u = v4h ^ v8h; v4l = (t << 1) | (u >>> 31); v4h = (u << 1) | (t >>> 31);
+      k = BLAKE2_SIGMA[s + 2] * 2;
+      t = (v1l >>> 0) + (v5l >>> 0) + (m[k] >>> 0); v1h = (v1h + v5h + m[k + 1] + (t / 0x100000000 | 0)) | 0; v1l = t | 0;
+      t = v13l ^ v1l; v13l = v13h ^ v1h; v13h = t;
+      t = (v9l >>> 0) + (v13l >>> 0); v9h = (v9h + v13h + (t / 0x100000000 | 0)) | 0; v9l = t | 0;
+      t = v5l ^ v9l; u = v5h ^ v9h; v5l = (t >>> 24) | (u << 8); v5h = (u >>> 24) | (t << 8);
+      k = BLAKE2_SIGMA[s + 3] * 2;
+      t = (v1l >>> 0) + (v5l >>> 0) + (m[k] >>> 0); v1h = (v1h + v5h + m[k + 1] + (t / 0x100000000 | 0)) | 0; v1l = t | 0;
+      t = v13l ^ v1l; u = v13h ^ v1h; v13l = (t >>> 16) | (u << 16); v13h = (u >>> 16) | (t << 16);
+      t = (v9l >>> 0) + (v13l >>> 0); v9h = (v9h + v13h + (t / 0x100000000 | 0)) | 0; v9l = t | 0;
+      t = v5l ^ v9l; u = v5h ^ v9h; v5l = (t << 1) | (u >>> 31); v5h = (u << 1) | (t >>> 31);
+      k = BLAKE2_SIGMA[s + 4] * 2;
+      t = (v2l >>> 0) + (v6l >>> 0) + (m[k] >>> 0); v2h = (v2h + v6h + m[k + 1] + (t / 0x100000000 | 0)) | 0; v2l = t | 0;
+      t = v14l ^ v2l; v14l = v14h ^ v2h; v14h = t;
+      t = (v10l >>> 0) + (v14l >>> 0); v10h = (v10h + v14h + (t / 0x100000000 | 0)) | 0; v10l = t | 0;
+      t = v6l ^ v10l; u = v6h ^ v10h; v6l = (t >>> 24) | (u << 8); v6h = (u >>> 24) | (t << 8);
+      k = BLAKE2_SIGMA[s + 5] * 2;
+      t = (v2l >>> 0) + (v6l >>> 0) + (m[k] >>> 0); v2h = (v2h + v6h + m[k + 1] + (t / 0x100000000 | 0)) | 0; v2l = t | 0;
+      t = v14l ^ v2l; u = v14h ^ v2h; v14l = (t >>> 16) | (u << 16); v14h = (u >>> 16) | (t << 16);
+      t = (v10l >>> 0) + (v14l >>> 0); v10h = (v10h + v14h + (t / 0x100000000 | 0)) | 0; v10l = t | 0;
+      t = v6l ^ v10l; u = v6h ^ v10h; v6l = (t << 1) | (u >>> 31); v6h = (u << 1) | (t >>> 31);
+      k = BLAKE2_SIGMA[s + 6] * 2;
+      t = (v3l >>> 0) + (v7l >>> 0) + (m[k] >>> 0); v3h = (v3h + v7h + m[k + 1] + (t / 0x100000000 | 0)) | 0; v3l = t | 0;
+      t = v15l ^ v3l; v15l = v15h ^ v3h; v15h = t;
+      t = (v11l >>> 0) + (v15l >>> 0); v11h = (v11h + v15h + (t / 0x100000000 | 0)) | 0; v11l = t | 0;
+      t = v7l ^ v11l; u = v7h ^ v11h; v7l = (t >>> 24) | (u << 8); v7h = (u >>> 24) | (t << 8);
+      k = BLAKE2_SIGMA[s + 7] * 2;
+      t = (v3l >>> 0) + (v7l >>> 0) + (m[k] >>> 0); v3h = (v3h + v7h + m[k + 1] + (t / 0x100000000 | 0)) | 0; v3l = t | 0;
+      t = v15l ^ v3l; u = v15h ^ v3h; v15l = (t >>> 16) | (u << 16); v15h = (u >>> 16) | (t << 16);
+      t = (v11l >>> 0) + (v15l >>> 0); v11h = (v11h + v15h + (t / 0x100000000 | 0)) | 0; v11l = t | 0;
+      t = v7l ^ v11l; u = v7h ^ v11h; v7l = (t << 1) | (u >>> 31); v7h = (u << 1) | (t >>> 31);
+      k = BLAKE2_SIGMA[s + 8] * 2;
+      t = (v0l >>> 0) + (v5l >>> 0) + (m[k] >>> 0); v0h = (v0h + v5h + m[k + 1] + (t / 0x100000000 | 0)) | 0; v0l = t | 0;
+      t = v15l ^ v0l; v15l = v15h ^ v0h; v15h = t;
+      t = (v10l >>> 0) + (v15l >>> 0); v10h = (v10h + v15h + (t / 0x100000000 | 0)) | 0; v10l = t | 0;
+      t = v5l ^ v10l; u = v5h ^ v10h; v5l = (t >>> 24) | (u << 8); v5h = (u >>> 24) | (t << 8);
+      k = BLAKE2_SIGMA[s + 9] * 2;
+      t = (v0l >>> 0) + (v5l >>> 0) + (m[k] >>> 0); v0h = (v0h + v5h + m[k + 1] + (t / 0x100000000 | 0)) | 0; v0l = t | 0;
+      t = v15l ^ v0l; u = v15h ^ v0h; v15l = (t >>> 16) | (u << 16); v15h = (u >>> 16) | (t << 16);
+      t = (v10l >>> 0) + (v15l >>> 0); v10h = (v10h + v15h + (t / 0x100000000 | 0)) | 0; v10l = t | 0;
+      t = v5l ^ v10l; u = v5h ^ v10h; v5l = (t << 1) | (u >>> 31); v5h = (u << 1) | (t >>> 31);
+      k = BLAKE2_SIGMA[s + 10] * 2;
+      t = (v1l >>> 0) + (v6l >>> 0) + (m[k] >>> 0); v1h = (v1h + v6h + m[k + 1] + (t / 0x100000000 | 0)) | 0; v1l = t | 0;
+      t = v12l ^ v1l; v12l = v12h ^ v1h; v12h = t;
+      t = (v11l >>> 0) + (v12l >>> 0); v11h = (v11h + v12h + (t / 0x100000000 | 0)) | 0; v11l = t | 0;
+      t = v6l ^ v11l; u = v6h ^ v11h; v6l = (t >>> 24) | (u << 8); v6h = (u >>> 24) | (t << 8);
+      k = BLAKE2_SIGMA[s + 11] * 2;
+      t = (v1l >>> 0) + (v6l >>> 0) + (m[k] >>> 0); v1h = (v1h + v6h + m[k + 1] + (t / 0x100000000 | 0)) | 0; v1l = t | 0;
+      t = v12l ^ v1l; u = v12h ^ v1h; v12l = (t >>> 16) | (u << 16); v12h = (u >>> 16) | (t << 16);
+      t = (v11l >>> 0) + (v12l >>> 0); v11h = (v11h + v12h + (t / 0x100000000 | 0)) | 0; v11l = t | 0;
+      t = v6l ^ v11l; u = v6h ^ v11h; v6l = (t << 1) | (u >>> 31); v6h = (u << 1) | (t >>> 31);
+      k = BLAKE2_SIGMA[s + 12] * 2;
+      t = (v2l >>> 0) + (v7l >>> 0) + (m[k] >>> 0); v2h = (v2h + v7h + m[k + 1] + (t / 0x100000000 | 0)) | 0; v2l = t | 0;
+      t = v13l ^ v2l; v13l = v13h ^ v2h; v13h = t;
+      t = (v8l >>> 0) + (v13l >>> 0); v8h = (v8h + v13h + (t / 0x100000000 | 0)) | 0; v8l = t | 0;
+      t = v7l ^ v8l; u = v7h ^ v8h; v7l = (t >>> 24) | (u << 8); v7h = (u >>> 24) | (t << 8);
+      k = BLAKE2_SIGMA[s + 13] * 2;
+      t = (v2l >>> 0) + (v7l >>> 0) + (m[k] >>> 0); v2h = (v2h + v7h + m[k + 1] + (t / 0x100000000 | 0)) | 0; v2l = t | 0;
+      t = v13l ^ v2l; u = v13h ^ v2h; v13l = (t >>> 16) | (u << 16); v13h = (u >>> 16) | (t << 16);
+      t = (v8l >>> 0) + (v13l >>> 0); v8h = (v8h + v13h + (t / 0x100000000 | 0)) | 0; v8l = t | 0;
+      t = v7l ^ v8l; u = v7h ^ v8h; v7l = (t << 1) | (u >>> 31); v7h = (u << 1) | (t >>> 31);
+      k = BLAKE2_SIGMA[s + 14] * 2;
+      t = (v3l >>> 0) + (v4l >>> 0) + (m[k] >>> 0); v3h = (v3h + v4h + m[k + 1] + (t / 0x100000000 | 0)) | 0; v3l = t | 0;
+      t = v14l ^ v3l; v14l = v14h ^ v3h; v14h = t;
+      t = (v9l >>> 0) + (v14l >>> 0); v9h = (v9h + v14h + (t / 0x100000000 | 0)) | 0; v9l = t | 0;
+      t = v4l ^ v9l; u = v4h ^ v9h; v4l = (t >>> 24) | (u << 8); v4h = (u >>> 24) | (t << 8);
+      k = BLAKE2_SIGMA[s + 15] * 2;
+      t = (v3l >>> 0) + (v4l >>> 0) + (m[k] >>> 0); v3h = (v3h + v4h + m[k + 1] + (t / 0x100000000 | 0)) | 0; v3l = t | 0;
+      t = v14l ^ v3l; u = v14h ^ v3h; v14l = (t >>> 16) | (u << 16); v14h = (u >>> 16) | (t << 16);
+      t = (v9l >>> 0) + (v14l >>> 0); v9h = (v9h + v14h + (t / 0x100000000 | 0)) | 0; v9l = t | 0;
+      t = v4l ^ v9l; u = v4h ^ v9h; v4l = (t << 1) | (u >>> 31); v4h = (u << 1) | (t >>> 31);
+    }
+
+    h[0] ^= v0l ^ v8l; h[1] ^= v0h ^ v8h; h[2] ^= v1l ^ v9l; h[3] ^= v1h ^ v9h;
+    h[4] ^= v2l ^ v10l; h[5] ^= v2h ^ v10h; h[6] ^= v3l ^ v11l; h[7] ^= v3h ^ v11h;
+    h[8] ^= v4l ^ v12l; h[9] ^= v4h ^ v12h; h[10] ^= v5l ^ v13l; h[11] ^= v5h ^ v13h;
+    h[12] ^= v6l ^ v14l; h[13] ^= v6h ^ v14h; h[14] ^= v7l ^ v15l; h[15] ^= v7h ^ v15h;
+  }
+}
+
+function blake2s(data, key = null, outputBytes = 32) {
+  const hasher = new Blake2s(outputBytes, key);
+  hasher.update(data);
+  return Buffer.from(hasher.digest(), 'hex');
+}
+
+function blake2b(data, key = null, outputBytes = 64) {
+  const hasher = new Blake2b(outputBytes, key);
+  hasher.update(data);
+  return Buffer.from(hasher.digest(), 'hex');
+}
+
+module.exports = {
+  crc32,
+  crc32c,
+  Xxh32,
+  xxh32,
+  Xxh64,
+  xxh64,
+  Fnv1a32,
+  fnv1a32,
+  Fnv1a64,
+  fnv1a64,
+  Murmur3,
+  murmur3_32,
+  Xxh3,
+  xxh3_64,
+  xxh3_128,
+  Blake2s,
+  blake2s,
+  Blake2b,
+  blake2b
+};
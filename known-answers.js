@@ -0,0 +1,212 @@
+// Published known-answer vectors for every registered algorithm
+//
+// Sources: FIPS 180-4 / FIPS 202 examples (SHA-1, SHA-2, SHA-3, SHAKE256 with 32-byte
+// output), RFC 1321 (MD5), RFC 7693 (BLAKE2), the xxHash reference sanity values
+// (seed 0), the CRC catalogue "123456789" check values, the FNV reference test suite,
+// the SMHasher MurmurHash3 x86_32 values (seed 0), RFC 4231 test case 1 (HMAC) and the
+// first keyed entries of the BLAKE2 reference KAT files. The seeded xxHash values have no
+// published source: they are @node-rs/xxhash outputs that js-hashes.js reproduces.
+//
+// Pure-JavaScript entries that reimplement another algorithm (reference in the registry)
+// use its vectors, and are also compared with it on a pseudo-random buffer whose length
+// is not a multiple of any block size, hashed in one piece and in odd-sized chunks.
+// Entries with a JavaScript incremental hasher (hasherType) get the same comparison
+// against their own one-shot.
+
+const { ALGORITHMS, isAvailable, loadAlgorithm } = require('./algorithms');
+const { createSeededStream } = require('./seeded-random');
+
+const FIPS_TWO_BLOCK = 'abcdbcdecdefdefgefghfghighijhijkijkljklmklmnlmnomnopnopq';
+const CROSS_CHECK_SIZE = 1024 * 1024 + 13;
+const CROSS_CHECK_CHUNK = 4093;
+
+const KNOWN_ANSWERS = {
+  sha256: [
+    { input: '', hex: 'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855' },
+    { input: 'abc', hex: 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad' },
+    { input: FIPS_TWO_BLOCK, hex: '248d6a61d20638b8e5c026930c3e6039a33ce45964ff2167f6ecedd419db06c1' }
+  ],
+  sha1: [
+    { input: '', hex: 'da39a3ee5e6b4b0d3255bfef95601890afd80709' },
+    { input: 'abc', hex: 'a9993e364706816aba3e25717850c26c9cd0d89d' },
+    { input: FIPS_TWO_BLOCK, hex: '84983e441c3bd26ebaae4aa1f95129e5e54670f1' }
+  ],
+  md5: [
+    { input: '', hex: 'd41d8cd98f00b204e9800998ecf8427e' },
+    { input: 'abc', hex: '900150983cd24fb0d6963f7d28e17f72' }
+  ],
+  blake2b512: [
+    { input: 'abc', hex: 'ba80a53f981c4d0d6a2797b69f12f6e94c212f14685ac4b74b12bb6fdbffa2d17d87c5392aab792dc252d5de4533cc9518d38aa8dbf1925ab92386edd4009923' }
+  ],
+  blake2s256: [
+    { input: 'abc', hex: '508c5e8c327c14e2e1a72ba34eeb452f37458b209ed63a294d999b4c86675982' }
+  ],
+  'sha3-256': [
+    { input: '', hex: 'a7ffc6f8bf1ed76651c14756a061d662f580ff4de43b49fa82d80a4b80f8434a' },
+    { input: 'abc', hex: '3a985da74fe225b2045c172d6bd390bd855f086e3e9d525b46bfe24511431532' }
+  ],
+  sha384: [
+    { input: '', hex: '38b060a751ac96384cd9327eb1b1e36a21fdb71114be07434c0cc7bf63f6e1da274edebfe76f65fbd51ad2f14898b95b' },
+    { input: 'abc', hex: 'cb00753f45a35e8bb5a03d699ac65007272c32ab0eded1631a8b605a43ff5bed8086072ba1e7cc2358baeca134c825a7' }
+  ],
+  sha512: [
+    { input: '', hex: 'cf83e1357eefb8bdf1542850d66d8007d620e4050b5715dc83f4a921d36ce9ce47d0d13c5d85f2b0ff8318d2877eec2f63b931bd47417a81a538327af927da3e' },
+    { input: 'abc', hex: 'ddaf35a193617abacc417349ae20413112e6fa4e89a97ea20a9eeee64b55d39a2192992a274fc1a836ba3c23a3feebbd454d4423643ce80e2a9ac94fa54ca49f' }
+  ],
+  shake256: [
+    { input: '', hex: '46b9dd2b0ba88d13233b3feb743eeb243fcd52ea62b81b82b50c27646ed5762f' }
+  ],
+  xxh32: [
+    { input: '', hex: '02cc5d05' },
+    { input: 'abc', hex: '32d153ff' }
+  ],
+  xxh64: [
+    { input: '', hex: 'ef46db3751d8e999' },
+    { input: 'abc', hex: '44bc2cf5ad770999' }
+  ],
+  'xxh3-64': [
+    { input: '', hex: '2d06800538d394c2' },
+    { input: 'abc', hex: '78af5f94892f3950' }
+  ],
+  'xxh64-seeded': [
+    { input: '', hex: 'ac75fda2929b17ef' },
+    { input: 'abc', hex: '1318df30094a85fd' }
+  ],
+  'xxh3-64-seeded': [
+    { input: '', hex: 'f702ca3814de2125' },
+    { input: 'abc', hex: '05823d71d740ed4f' }
+  ],
+  'xxh3-128': [
+    { input: '', hex: '99aa06d3014798d86001c324468d497f' },
+    { input: 'abc', hex: '06b05ab6733a618578af5f94892f3950' }
+  ],
+  'xxh3-128-seeded': [
+    { input: '', hex: '92220ae55e14ab505444f7869c671ab0' },
+    { input: 'abc', hex: '86daf3b14b9b7f9305823d71d740ed4f' },
+    { input: 'The quick brown fox jumps over the lazy dog', hex: 'ed27d37985dfa3ddb4df9b8eff367869' }
+  ],
+  crc32: [
+    { input: '123456789', hex: 'cbf43926' }
+  ],
+  crc32c: [
+    { input: '123456789', hex: 'e3069283' }
+  ],
+  'hmac-sha256': [
+    { input: 'Hi There', hex: 'b0344c61d8db38535ca8afceaf0bf12b881dc200c9833da726e9376c2e32cff7' }
+  ],
+  'hmac-sha512': [
+    { input: 'Hi There', hex: '87aa7cdea5ef619d4ff0b4241a1d6cb02379f4e2ce4ec2787ad0b30545e17cdedaa833b7d6b8a702038b274eaea3f4e4be9d914eeb61f1702e696c203a126854' }
+  ],
+  'blake2b512-keyed': [
+    { input: '', hex: '10ebb67700b1868efb4417987acf4690ae9d972fb7a590c2f02871799aaa4786b5e996e8f0f4eb981fc214b005f42d2ff4233499391653df7aefcbc13fc51568' }
+  ],
+  'blake2s256-keyed': [
+    { input: '', hex: '48a8997da407876b3d79c0d92325ad3b89cbb754d86ab71aee047ad345fd2c49' }
+  ],
+  'fnv1a-32': [
+    { input: '', hex: '811c9dc5' },
+    { input: 'a', hex: 'e40c292c' },
+    { input: 'foobar', hex: 'bf9cf968' }
+  ],
+  'fnv1a-64': [
+    { input: '', hex: 'cbf29ce484222325' },
+    { input: 'a', hex: 'af63dc4c8601ec8c' },
+    { input: 'foobar', hex: '85944171f73967e8' }
+  ],
+  'murmur3-32': [
+    { input: '', hex: '00000000' },
+    { input: 'hello', hex: '248bfa47' },
+    { input: 'The quick brown fox jumps over the lazy dog', hex: '2e4ff723' }
+  ]
+};
+
+// Compare a JavaScript reimplementation with its reference algorithm, or a JavaScript
+// incremental hasher with the entry's own one-shot
+function crossCheck(algo, impl) {
+  const referenceName = algo.reference || algo.name;
+  const result = {
+    algorithm: algo.name,
+    input: null,
+    label: algo.reference ? `vs ${algo.reference}` : 'vs one-shot',
+    method: `cross-check:${referenceName}`,
+    inputSize: CROSS_CHECK_SIZE,
+    expected: null
+  };
+
+  const referenceAlgo = ALGORITHMS.find(a => a.name === referenceName);
+  if (!isAvailable(referenceAlgo)) {
+    return { ...result, status: 'skipped', error: `missing ${referenceAlgo.package}` };
+  }
+
+  const reference = loadAlgorithm(referenceAlgo);
+  const data = createSeededStream(`cross-check/${algo.name}`).next(Buffer.alloc(CROSS_CHECK_SIZE));
+  const expected = reference.toHex(reference.oneShot(data));
+  const oneShot = impl.toHex(impl.oneShot(data));
+
+  const hasher = impl.createHasher();
+  for (let i = 0; i < data.length; i += CROSS_CHECK_CHUNK) {
+    hasher.update(data.subarray(i, i + CROSS_CHECK_CHUNK));
+  }
+  const incremental = hasher.digest();
+
+  const pass = oneShot === expected && incremental === expected;
+  return {
+    ...result,
+    expected,
+    oneShot,
+    incremental,
+    status: pass ? 'ok' : 'failed',
+    error: pass ? null : `${referenceName} gives ${expected}, one-shot ${oneShot}, incremental ${incremental}`
+  };
+}
+
+// Check each vector through both the one-shot form and the incremental form
+// (fed one byte at a time, so chunk-boundary bugs show up too)
+function runKnownAnswerTests(algorithms = ALGORITHMS) {
+  const results = [];
+
+  for (const algo of algorithms) {
+    const vectors = KNOWN_ANSWERS[algo.name] || KNOWN_ANSWERS[algo.reference] || [];
+
+    if (!isAvailable(algo)) {
+      results.push({ algorithm: algo.name, input: null, expected: null, status: 'skipped', error: `missing ${algo.package}` });
+      continue;
+    }
+    if (vectors.length === 0) {
+      results.push({ algorithm: algo.name, input: null, expected: null, status: 'skipped', error: 'no known-answer vectors' });
+      continue;
+    }
+
+    const impl = loadAlgorithm(algo);
+    for (const { input, hex } of vectors) {
+      const data = Buffer.from(input, 'utf8');
+      const oneShot = impl.toHex(impl.oneShot(data));
+
+      const hasher = impl.createHasher();
+      for (let i = 0; i < data.length; i++) {
+        hasher.update(data.subarray(i, i + 1));
+      }
+      const incremental = hasher.digest();
+
+      const pass = oneShot === hex && incremental === hex;
+      results.push({
+        algorithm: algo.name,
+        input,
+        expected: hex,
+        oneShot,
+        incremental,
+        status: pass ? 'ok' : 'failed',
+        error: pass ? null : `expected ${hex}, one-shot ${oneShot}, incremental ${incremental}`
+      });
+    }
+
+    if (algo.reference || algo.hasherType) results.push(crossCheck(algo, impl));
+  }
+
+  return results;
+}
+
+module.exports = {
+  KNOWN_ANSWERS,
+  runKnownAnswerTests
+};
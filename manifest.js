@@ -0,0 +1,109 @@
+// Checksum manifest lines compatible with sha256sum, b2sum and xxhsum (checksum.js)
+//
+// GNU style (the default):  <hex>  <path>       e.g. what sha256sum, b2sum, xxhsum print
+//   xxh3-64 digests carry xxhsum's XXH3_ prefix; a '*' instead of the second space
+//   (binary mode) is accepted when reading.
+// BSD style (--tag):        <TAG> (<path>) = <hex>   e.g. sha256sum --tag, xxhsum --tag
+//   "SHA256(path)= hex" as printed by openssl dgst is accepted when reading.
+//
+// Paths containing a backslash, newline or carriage return are escaped the way coreutils
+// does it: the line starts with '\' and those characters are written as \\, \n and \r.
+// Algorithms without a well-known tag use their registry name in upper case.
+
+const path = require('path');
+
+// BSD tag and usual manifest file names per algorithm
+const MANIFEST_NAMES = {
+  sha256: { tag: 'SHA256', files: ['.sha256', 'SHA256SUMS'] },
+  sha1: { tag: 'SHA1', files: ['.sha1', 'SHA1SUMS'] },
+  md5: { tag: 'MD5', files: ['.md5', 'MD5SUMS'] },
+  sha384: { tag: 'SHA384', files: ['.sha384', 'SHA384SUMS'] },
+  sha512: { tag: 'SHA512', files: ['.sha512', 'SHA512SUMS'] },
+  blake2b512: { tag: 'BLAKE2b', files: ['.b2', '.blake2b', 'B2SUMS'] },
+  'sha3-256': { tag: 'SHA3-256', files: ['.sha3-256'] },
+  xxh32: { tag: 'XXH32', files: ['.xxh32'] },
+  xxh64: { tag: 'XXH64', files: ['.xxh64', '.xxh'] },
+  'xxh3-64': { tag: 'XXH3', files: ['.xxh3'] },
+  'xxh3-128': { tag: 'XXH128', files: ['.xxh128'] },
+  crc32: { tag: 'CRC32', files: ['.crc32'] },
+  crc32c: { tag: 'CRC32C', files: ['.crc32c'] }
+};
+
+const XXH3_PREFIX = 'XXH3_';
+
+function manifestTag(algoName) {
+  return MANIFEST_NAMES[algoName] ? MANIFEST_NAMES[algoName].tag : algoName.toUpperCase();
+}
+
+// Registry name for a BSD tag (case-insensitive), or null
+function algorithmForTag(tag, algorithmNames) {
+  const wanted = tag.toUpperCase();
+  return algorithmNames.find(name => manifestTag(name).toUpperCase() === wanted) || null;
+}
+
+// Registry name suggested by a manifest's file name (e.g. SHA256SUMS, files.xxh3), or null
+function algorithmForManifestFile(file) {
+  const base = path.basename(file);
+  for (const [name, { files }] of Object.entries(MANIFEST_NAMES)) {
+    if (files.some(suffix => suffix.startsWith('.') ? base.endsWith(suffix) : base === suffix)) {
+      return name;
+    }
+  }
+  return null;
+}
+
+function escapePath(file) {
+  return file.replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/\r/g, '\\r');
+}
+
+function unescapePath(file) {
+  return file.replace(/\\(\\|n|r)/g, (match, char) => (char === 'n' ? '\n' : char === 'r' ? '\r' : '\\'));
+}
+
+// One manifest line (without the trailing newline)
+function formatEntry(algoName, digest, file, { tag = false } = {}) {
+  const escaped = escapePath(file);
+  const prefix = escaped !== file ? '\\' : '';
+  if (tag) return `${prefix}${manifestTag(algoName)} (${escaped}) = ${digest}`;
+  return `${prefix}${algoName === 'xxh3-64' ? XXH3_PREFIX : ''}${digest}  ${escaped}`;
+}
+
+// Parse manifest text into { entries: [{ line, tag, digest, file }], invalid: [line numbers] };
+// tag is the BSD tag, 'XXH3' for prefixed GNU lines, else null. Blank and '#' lines are skipped.
+function parseManifest(text) {
+  const entries = [];
+  const invalid = [];
+
+  text.split('\n').forEach((raw, index) => {
+    const line = raw.endsWith('\r') ? raw.slice(0, -1) : raw;
+    if (line.trim() === '' || line.startsWith('#')) return;
+
+    const escaped = line.startsWith('\\');
+    const body = escaped ? line.slice(1) : line;
+    const readPath = file => (escaped ? unescapePath(file) : file);
+
+    const bsd = /^([A-Za-z0-9-]+) ?\((.*)\) ?= ?([0-9a-fA-F]+)$/.exec(body);
+    if (bsd) {
+      entries.push({ line: index + 1, tag: bsd[1], digest: bsd[3].toLowerCase(), file: readPath(bsd[2]) });
+      return;
+    }
+
+    const gnu = /^(XXH3_)?([0-9a-fA-F]+) [ *](.+)$/.exec(body);
+    if (gnu) {
+      entries.push({ line: index + 1, tag: gnu[1] ? 'XXH3' : null, digest: gnu[2].toLowerCase(), file: readPath(gnu[3]) });
+      return;
+    }
+
+    invalid.push(index + 1);
+  });
+
+  return { entries, invalid };
+}
+
+module.exports = {
+  manifestTag,
+  algorithmForTag,
+  algorithmForManifestFile,
+  formatEntry,
+  parseManifest
+};
@@ -0,0 +1,100 @@
+// Page cache control for cold-cache runs (--cache cold|both)
+//
+// Eviction methods, probed in this order when a cold run starts:
+//   eviction-file  read the --eviction-file (should be larger than RAM) end to end, pushing
+//                  the test file's pages out; slow, but works anywhere. Only used when given.
+//   drop-caches    write 1 to /proc/sys/vm/drop_caches (Linux, needs root). Drops the whole
+//                  page cache, not just the test file.
+//   fadvise        GNU dd with iflag=nocache count=0, which issues POSIX_FADV_DONTNEED for
+//                  the test file (Linux, no privileges needed; dirty pages are not dropped).
+//   purge          macOS purge(8), needs root.
+//
+// Warm runs read the test file once at the start of the pass instead. A file larger
+// than RAM can never be fully warm, so warm numbers for such files still include disk reads.
+
+const fs = require('fs');
+const os = require('os');
+const { spawnSync } = require('child_process');
+
+const DROP_CACHES = '/proc/sys/vm/drop_caches';
+const READ_BUFFER_SIZE = 16 * 1024 * 1024;
+
+// Read a file end to end and discard the data
+function readThrough(filename) {
+  const fd = fs.openSync(filename, 'r');
+  const buffer = Buffer.allocUnsafe(READ_BUFFER_SIZE);
+  try {
+    let position = 0;
+    let bytesRead;
+    do {
+      bytesRead = fs.readSync(fd, buffer, 0, buffer.length, position);
+      position += bytesRead;
+    } while (bytesRead > 0);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+function runQuietly(command, args) {
+  const result = spawnSync(command, args, { stdio: ['ignore', 'ignore', 'pipe'] });
+  if (result.error) throw result.error;
+  if (result.status !== 0) {
+    throw new Error(`${command} exited with code ${result.status}: ${String(result.stderr).trim()}`);
+  }
+}
+
+const EVICTION_METHODS = [
+  {
+    name: 'drop-caches',
+    supported: () => process.platform === 'linux',
+    evict: () => {
+      runQuietly('sync', []);
+      fs.writeFileSync(DROP_CACHES, '1\n');
+    }
+  },
+  {
+    name: 'fadvise',
+    supported: () => process.platform === 'linux',
+    evict: (filename) => runQuietly('dd', [`if=${filename}`, 'iflag=nocache', 'count=0', 'status=none'])
+  },
+  {
+    name: 'purge',
+    supported: () => process.platform === 'darwin',
+    evict: () => runQuietly('purge', [])
+  }
+];
+
+// Pick the first eviction method that works for this file; returns { name, evict(), warning }
+// and throws when none does
+function createEvictor(filename, evictionFile = null) {
+  if (evictionFile) {
+    const size = fs.statSync(evictionFile).size;
+    return {
+      name: 'eviction-file',
+      evict: () => readThrough(evictionFile),
+      warning: size < os.totalmem()
+        ? `eviction file (${size} bytes) is smaller than RAM (${os.totalmem()} bytes); cold runs may still hit the cache`
+        : null
+    };
+  }
+
+  const failures = [];
+  for (const method of EVICTION_METHODS) {
+    if (!method.supported()) continue;
+    try {
+      method.evict(filename);
+      return { name: method.name, evict: () => method.evict(filename), warning: null };
+    } catch (error) {
+      failures.push(`${method.name}: ${error.message}`);
+    }
+  }
+
+  throw new Error('Cannot evict the test file from the page cache' +
+    (failures.length > 0 ? ` (${failures.join('; ')})` : ` on ${process.platform}`) +
+    '; pass --eviction-file <file larger than RAM> or run as root');
+}
+
+module.exports = {
+  createEvictor,
+  warmFile: readThrough
+};
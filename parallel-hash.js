@@ -0,0 +1,147 @@
+// Hash one file with several worker threads, each reading its own byte ranges
+//
+// Two modes, chosen by what the algorithm supports:
+//
+//   combine  The file is cut into one contiguous range per worker (aligned to the read
+//            buffer size). Each range is hashed on its own and the partial results are
+//            merged in file order with the registry's combine(). The result is the
+//            ordinary whole-file digest, e.g. the same CRC32C any other tool reports.
+//
+//   tree     For algorithms that cannot be merged. The file is cut into fixed-size
+//            leaves (TREE_LEAF_SIZE, independent of the worker count, so the digest is
+//            the same for any number of workers). Each leaf is hashed with the
+//            algorithm, then
+//              root = H(raw(H(leaf_0)) || raw(H(leaf_1)) || ... || raw(H(leaf_n-1)))
+//            with the same algorithm over the concatenated raw leaf digests (the hex
+//            digest decoded to bytes, i.e. big-endian for the integer-valued hashes).
+//            A file smaller than one leaf still has one leaf, and an empty file has a
+//            single empty leaf, so the root is never the plain file digest.
+//            Leaves are handed out to workers as contiguous runs.
+
+const fs = require('fs');
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { loadAlgorithm } = require('./algorithms');
+const { reportWorkerMemory } = require('./resource-usage');
+
+const TREE_LEAF_SIZE = 64 * 1024 * 1024;
+const READ_BUFFER_SIZE = 4 * 1024 * 1024;
+
+function parallelMode(algo) {
+  return algo.combine ? 'combine' : 'tree';
+}
+
+// Split [0, size) into at most `count` contiguous ranges whose boundaries are multiples of `align`
+function splitRanges(size, count, align) {
+  const blocks = Math.max(1, Math.ceil(size / align));
+  const rangeCount = Math.min(count, blocks);
+  const ranges = [];
+
+  for (let i = 0; i < rangeCount; i++) {
+    const firstBlock = Math.floor(i * blocks / rangeCount);
+    const endBlock = Math.floor((i + 1) * blocks / rangeCount);
+    ranges.push({ start: firstBlock * align, end: Math.min(size, endBlock * align) });
+  }
+  return ranges;
+}
+
+function treeLeaves(size, leafSize) {
+  const leaves = [];
+  for (let start = 0; start < size; start += leafSize) {
+    leaves.push({ start, end: Math.min(size, start + leafSize) });
+  }
+  return leaves.length > 0 ? leaves : [{ start: 0, end: 0 }];
+}
+
+function treeRoot(impl, leafDigests) {
+  return impl.toHex(impl.oneShot(Buffer.concat(leafDigests.map(hex => Buffer.from(hex, 'hex')))));
+}
+
+// Number of workers a run will actually use (tree mode never has more workers than leaves)
+function effectiveWorkers(algo, size, workers, leafSize = TREE_LEAF_SIZE) {
+  const units = parallelMode(algo) === 'combine'
+    ? splitRanges(size, workers, READ_BUFFER_SIZE).length
+    : treeLeaves(size, leafSize).length;
+  return Math.min(workers, units);
+}
+
+function runRangeWorker(filename, algoName, ranges) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(path.join(__dirname, 'worker-range-hasher.js'), {
+      workerData: { file: filename, algo: algoName, ranges, bufferSize: READ_BUFFER_SIZE }
+    });
+    let digests = null;
+
+    worker.on('message', (message) => {
+      digests = message.digests;
+      reportWorkerMemory(message.memory);
+    });
+    worker.on('error', reject);
+    worker.on('exit', (code) => {
+      if (code !== 0) reject(new Error(`Range hasher exited with code ${code}`));
+      else if (!digests || digests.length !== ranges.length) reject(new Error('Range hasher returned no digests'));
+      else resolve(digests);
+    });
+  });
+}
+
+// Hash the file with up to `workers` threads; returns { digest, mode, workers }
+async function hashFileParallel(filename, algoName, { workers, leafSize = TREE_LEAF_SIZE }) {
+  const impl = loadAlgorithm(algoName);
+  const size = fs.statSync(filename).size;
+  const mode = parallelMode(impl);
+
+  if (mode === 'combine') {
+    const ranges = splitRanges(size, workers, READ_BUFFER_SIZE);
+    const parts = await Promise.all(ranges.map(range => runRangeWorker(filename, algoName, [range])));
+
+    let digest = parts[0][0];
+    for (let i = 1; i < ranges.length; i++) {
+      digest = impl.combine(digest, parts[i][0], ranges[i].end - ranges[i].start);
+    }
+    return { digest, mode, workers: ranges.length };
+  }
+
+  // Group consecutive leaves per worker so each worker reads one contiguous region
+  const leaves = treeLeaves(size, leafSize);
+  const groups = splitRanges(leaves.length, workers, 1)
+    .map(({ start, end }) => leaves.slice(start, end));
+  const parts = await Promise.all(groups.map(group => runRangeWorker(filename, algoName, group)));
+
+  return { digest: treeRoot(impl, parts.flat()), mode, workers: groups.length };
+}
+
+// Single-threaded tree digest, the reference for --verify
+function treeDigestSerial(filename, algoName, leafSize = TREE_LEAF_SIZE) {
+  const impl = loadAlgorithm(algoName);
+  const leaves = treeLeaves(fs.statSync(filename).size, leafSize);
+  const buffer = Buffer.allocUnsafe(READ_BUFFER_SIZE);
+  const leafDigests = [];
+
+  const fd = fs.openSync(filename, 'r');
+  try {
+    for (const { start, end } of leaves) {
+      const hasher = impl.createHasher();
+      for (let position = start; position < end;) {
+        const bytesRead = fs.readSync(fd, buffer, 0, Math.min(buffer.length, end - position), position);
+        if (bytesRead === 0) break;
+        hasher.update(buffer.subarray(0, bytesRead));
+        position += bytesRead;
+      }
+      leafDigests.push(hasher.digest());
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  return treeRoot(impl, leafDigests);
+}
+
+module.exports = {
+  TREE_LEAF_SIZE,
+  splitRanges,
+  parallelMode,
+  effectiveWorkers,
+  hashFileParallel,
+  treeDigestSerial
+};
@@ -0,0 +1,98 @@
+// Parallel generation of seeded random test files (create-testfile.js random)
+//
+// The file is created at full size and cut into one contiguous range per writer worker
+// (worker-random-writer.js), each filling its range with the seeded stream from
+// seeded-random.js. Alongside them worker-random-digest.js regenerates the stream in
+// memory to compute the expected digests. Seed and digests go into the sidecar
+// <file>.seed.json:
+//   { file, size, seed, generator, digests: { sha256, xxh3-64, crc32c }, createdAt }
+// Digests are the plain hex digests, e.g. what sha256sum prints for the file.
+
+const fs = require('fs');
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { getAlgorithm, isAvailable } = require('./algorithms');
+const { splitRanges } = require('./parallel-hash');
+
+const CHUNK_SIZE = 16 * 1024 * 1024;
+const GENERATOR = 'aes-256-ctr, key sha256(seed)';
+const SIDECAR_ALGORITHMS = ['sha256', 'xxh3-64', 'crc32c'];
+
+function sidecarPath(filename) {
+  return `${filename}.seed.json`;
+}
+
+// Sidecar of a generated file, or null when there is none
+function readSidecar(filename) {
+  const file = sidecarPath(filename);
+  if (!fs.existsSync(file)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read ${file}: ${error.message}`);
+  }
+}
+
+function removeSidecar(filename) {
+  fs.rmSync(sidecarPath(filename), { force: true });
+}
+
+function runWorker(script, workerData, onMessage) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(path.join(__dirname, script), { workerData });
+    let result = null;
+
+    worker.on('message', (message) => {
+      result = message;
+      if (onMessage) onMessage(message);
+    });
+    worker.on('error', reject);
+    worker.on('exit', (code) => {
+      if (code !== 0) reject(new Error(`${script} exited with code ${code}`));
+      else resolve(result);
+    });
+  });
+}
+
+// Fill `filename` with `size` seeded random bytes using `workers` writer threads and write
+// the sidecar; onProgress(bytesWritten) is called as chunks land. Returns the sidecar.
+async function generateRandomFile(filename, size, { seed, workers, onProgress = null }) {
+  const fd = fs.openSync(filename, 'w');
+  try {
+    fs.ftruncateSync(fd, size);
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  const ranges = splitRanges(size, workers, CHUNK_SIZE);
+  const algorithms = SIDECAR_ALGORITHMS.filter(name => isAvailable(getAlgorithm(name)));
+  let bytesWritten = 0;
+  const trackProgress = ({ written }) => {
+    bytesWritten += written;
+    if (onProgress) onProgress(bytesWritten);
+  };
+
+  const [{ digests }] = await Promise.all([
+    runWorker('worker-random-digest.js', { seed, size, algorithms, chunkSize: CHUNK_SIZE }),
+    ...ranges.map(range => runWorker('worker-random-writer.js',
+      { file: filename, seed, ranges: [range], chunkSize: CHUNK_SIZE }, trackProgress))
+  ]);
+
+  const sidecar = {
+    file: path.basename(filename),
+    size,
+    seed,
+    generator: GENERATOR,
+    digests,
+    createdAt: new Date().toISOString()
+  };
+  fs.writeFileSync(sidecarPath(filename), JSON.stringify(sidecar, null, 2) + '\n');
+  return sidecar;
+}
+
+module.exports = {
+  sidecarPath,
+  readSidecar,
+  removeSidecar,
+  generateRandomFile
+};
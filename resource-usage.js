@@ -0,0 +1,145 @@
+// CPU time and memory accounting per measured trial (used by measurePerformance)
+//
+// CPU     process.cpuUsage() deltas, user and system. They cover every thread of the
+//         process, so worker threads are included; child processes (dd, PowerShell) are not.
+// RSS     On Linux the kernel's peak (VmHWM in /proc/self/status) is reset before every
+//         trial by writing 5 to /proc/self/clear_refs, which gives the exact peak of the
+//         trial. Elsewhere, or when that is refused, the larger of the sampled RSS and the
+//         growth of process.resourceUsage().maxRSS (lifetime peak) is used.
+// external / arrayBuffers
+//         Main thread: process.memoryUsage() sampled every SAMPLE_INTERVAL_MS plus at the
+//         start and end of the trial (samples stall while synchronous code runs). Worker
+//         threads have their own isolates and report their peaks with createMemoryPeak()
+//         and reportWorkerMemory(); they are added up, an upper bound when workers peak
+//         at different times.
+// Page faults
+//         majorPageFault delta from process.resourceUsage().
+
+const fs = require('fs');
+const { median } = require('./stats');
+
+const SAMPLE_INTERVAL_MS = 20;
+const CLEAR_REFS = '/proc/self/clear_refs';
+const PROC_STATUS = '/proc/self/status';
+
+let activeTrial = null;
+
+// Reset the kernel's RSS high-water mark; false where that is not available
+function resetPeakRss() {
+  if (process.platform !== 'linux') return false;
+  try {
+    fs.writeFileSync(CLEAR_REFS, '5');
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// VmHWM in bytes, or null
+function readPeakRss() {
+  try {
+    const match = /^VmHWM:\s+(\d+) kB/m.exec(fs.readFileSync(PROC_STATUS, 'utf8'));
+    return match ? Number(match[1]) * 1024 : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function sample(trial) {
+  const memory = process.memoryUsage();
+  trial.peakRss = Math.max(trial.peakRss, memory.rss);
+  trial.peakExternal = Math.max(trial.peakExternal, memory.external);
+  trial.peakArrayBuffers = Math.max(trial.peakArrayBuffers, memory.arrayBuffers);
+}
+
+function startTrial() {
+  const trial = {
+    kernelPeak: resetPeakRss(),
+    resource: process.resourceUsage(),
+    peakRss: 0,
+    peakExternal: 0,
+    peakArrayBuffers: 0,
+    workerExternal: 0,
+    workerArrayBuffers: 0,
+    timer: null,
+    cpu: null
+  };
+  sample(trial);
+  trial.timer = setInterval(() => sample(trial), SAMPLE_INTERVAL_MS);
+  trial.timer.unref();
+  activeTrial = trial;
+  trial.cpu = process.cpuUsage();
+  return trial;
+}
+
+// Stop a trial; returns { cpuUserSeconds, cpuSystemSeconds, peakRss, peakExternal,
+// peakArrayBuffers, majorPageFaults } with memory in bytes
+function endTrial(trial) {
+  const cpu = process.cpuUsage(trial.cpu);
+  clearInterval(trial.timer);
+  sample(trial);
+  if (activeTrial === trial) activeTrial = null;
+
+  const resource = process.resourceUsage();
+  const maxRssGrowth = resource.maxRSS > trial.resource.maxRSS ? resource.maxRSS * 1024 : 0;
+  const kernelPeak = trial.kernelPeak ? readPeakRss() : null;
+
+  return {
+    cpuUserSeconds: cpu.user / 1e6,
+    cpuSystemSeconds: cpu.system / 1e6,
+    peakRss: kernelPeak !== null ? kernelPeak : Math.max(trial.peakRss, maxRssGrowth),
+    peakExternal: trial.peakExternal + trial.workerExternal,
+    peakArrayBuffers: trial.peakArrayBuffers + trial.workerArrayBuffers,
+    majorPageFaults: resource.majorPageFault - trial.resource.majorPageFault
+  };
+}
+
+// Add a worker's reported { external, arrayBuffers } peaks to the trial in progress
+function reportWorkerMemory(memory) {
+  if (!activeTrial || !memory) return;
+  activeTrial.workerExternal += memory.external;
+  activeTrial.workerArrayBuffers += memory.arrayBuffers;
+}
+
+// Worker side: sample() after each chunk, value() for the message to the main thread
+function createMemoryPeak() {
+  const peak = { external: 0, arrayBuffers: 0 };
+  return {
+    sample: () => {
+      const memory = process.memoryUsage();
+      peak.external = Math.max(peak.external, memory.external);
+      peak.arrayBuffers = Math.max(peak.arrayBuffers, memory.arrayBuffers);
+    },
+    value: () => ({ ...peak })
+  };
+}
+
+function medianOf(values) {
+  return median([...values].sort((a, b) => a - b));
+}
+
+// Summary over the measured trials: median CPU seconds and page faults per trial,
+// CPU utilization (total CPU / total wall time, 1.0 = one core busy) and the largest peaks
+function summarizeUsage(trials, durations) {
+  if (!trials || trials.length === 0) return null;
+  const cpuTotal = trials.reduce((sum, t) => sum + t.cpuUserSeconds + t.cpuSystemSeconds, 0);
+  const wallTotal = durations.reduce((sum, d) => sum + d, 0);
+
+  return {
+    cpuUserSeconds: medianOf(trials.map(t => t.cpuUserSeconds)),
+    cpuSystemSeconds: medianOf(trials.map(t => t.cpuSystemSeconds)),
+    cpuUtilization: wallTotal > 0 ? cpuTotal / wallTotal : null,
+    peakRss: Math.max(...trials.map(t => t.peakRss)),
+    peakExternal: Math.max(...trials.map(t => t.peakExternal)),
+    peakArrayBuffers: Math.max(...trials.map(t => t.peakArrayBuffers)),
+    majorPageFaults: medianOf(trials.map(t => t.majorPageFaults))
+  };
+}
+
+module.exports = {
+  startTrial,
+  endTrial,
+  reportWorkerMemory,
+  createMemoryPeak,
+  summarizeUsage
+};
@@ -0,0 +1,247 @@
+// Machine-readable export of benchmark results (--json / --csv)
+//
+// Schema version 2 (version 2 added the cache, pattern, opsPerSec/nsPerOp, CPU and
+// memory, quality and chunking fields)
+//
+// JSON document:
+//   {
+//     "schemaVersion": 2,
+//     "run": {
+//       "timestamp": ISO-8601 start time of the run,
+//       "file": path of the test file (null if not applicable),
+//       "fileSize": size of the test file in bytes,
+//       "warmup": untimed warmup runs per test,
+//       "iterations": measured runs per test,
+//       "node": process.version, "v8": V8 version,
+//       "platform", "arch", "cpuModel", "cpuCount", "totalMemory" (bytes)
+//     },
+//     "results": [ record, ... ]
+//   }
+//
+// Result record (one per table cell / row):
+//   suite           "in-memory" | "small-input" | "streaming" | "pure-io" | "worker" | "parallel"
+//                   | "small-files" | "efficiency" | "known-answer" | "quality" | "chunking" | "delta"
+//   algorithm       hash algorithm name, null for pure I/O and chunking-only rows
+//   method          how the data was read/hashed (e.g. "one-shot", "subtle.digest" for
+//                   WebCrypto, "Node.js Stream", "SharedArrayBuffer ring x4" for 4 slots,
+//                   "SharedArrayBuffer ring x4 readSync" for the zero-copy reader,
+//                   "parallel tree x4" for 4 workers, "readFile x16" for 16 small files in
+//                   flight, "stream.pipeline" or "FileHandle.read" for the streaming suite's
+//                   alternative APIs, see stream-hash.js); for quality rows the measure:
+//                   "avalanche", "sac", "bit-bias", "chi-squared:<key set>" or
+//                   "collisions:<key set>" (see hash-quality.js); for chunking rows the
+//                   chunker and its min/avg/max sizes, e.g. "fastcdc 2KB/8KB/64KB"; for delta
+//                   rows "block list" or "block diff" (see block-list.js)
+//   type            "native" | "external" | "javascript" | "io", null for chunking-only rows
+//   inputSize       bytes hashed or read per trial (all files of the tree for small-files)
+//   bufferSize      read/chunk buffer (or ring slot) size in bytes, the block size for delta
+//                   rows, null when not applicable
+//   pattern         input data pattern for in-memory/small-input rows (see data-patterns.js),
+//                   null for rows that hash the test file
+//   cache           page cache state of the test file: "cold" (evicted before every trial),
+//                   "warm" (read once before the pass), null for rows that do not read it
+//   trials          number of measured trials
+//   durationSeconds median duration of a measured trial
+//   gbps            median throughput in GB/s (GiB per second)
+//   gbpsMean, gbpsStddev, gbpsMin, gbpsMax, gbpsCiLow, gbpsCiHigh
+//                   throughput statistics over the measured trials (95% CI of the mean)
+//   opsPerSec       median hash calls per second (small-input), files per second (small-files)
+//   nsPerOp         nanoseconds per call or file at the median rate (small-input, small-files)
+//   cpuUserSeconds, cpuSystemSeconds
+//                   median CPU time per measured trial, all threads of the process
+//                   (worker threads included, child processes such as dd not)
+//   cpuUtilization  CPU time / wall time over the measured trials (1.0 = one core busy)
+//   cpuSecondsPerGb CPU seconds spent per GB hashed or read (cpuUtilization / gbps)
+//   peakRss         largest resident set size during a measured trial, bytes
+//   peakExternal, peakArrayBuffers
+//                   largest process.memoryUsage() external / arrayBuffers during a trial,
+//                   main thread plus worker threads, bytes (see resource-usage.js)
+//   majorPageFaults median major page faults per measured trial
+//   efficiencyPct   efficiency suite: hash speed as a percentage of the fastest pure I/O method;
+//                   parallel suite: scaling efficiency vs. the smallest worker count measured
+//   qualityScore    quality suite: the measured value (distance of the avalanche flip rate
+//                   from 0.5, worst bias |2p-1|, chi-squared z-score or collision count)
+//   qualityLimit    quality suite: the value above which the measure fails (status "failed")
+//   chunkCount      chunking suite: chunks the file was cut into
+//   chunkSizeMean   chunking suite: mean chunk size in bytes
+//   uniqueChunks    chunking suite: distinct chunk fingerprints (rows with an algorithm)
+//   digest          hex digest of the test file produced by this path (streaming/worker/parallel;
+//                   tree digest for parallel tree mode), else null
+//   status          "ok" | "error" | "skipped" | "failed" (digest, known-answer, quality
+//                   or delta range check failed)
+//   error           error, skip or verification failure reason, null when status is "ok"
+//
+// CSV: one header row followed by one row per result record. Columns are the
+// record fields above in order, prefixed by schemaVersion and the run
+// timestamp/node/platform/arch/cpuModel so each row stands on its own.
+
+const fs = require('fs');
+const os = require('os');
+
+const SCHEMA_VERSION = 2;
+
+const RECORD_FIELDS = [
+  'suite',
+  'algorithm',
+  'method',
+  'type',
+  'inputSize',
+  'bufferSize',
+  'pattern',
+  'cache',
+  'trials',
+  'durationSeconds',
+  'gbps',
+  'gbpsMean',
+  'gbpsStddev',
+  'gbpsMin',
+  'gbpsMax',
+  'gbpsCiLow',
+  'gbpsCiHigh',
+  'opsPerSec',
+  'nsPerOp',
+  'cpuUserSeconds',
+  'cpuSystemSeconds',
+  'cpuUtilization',
+  'cpuSecondsPerGb',
+  'peakRss',
+  'peakExternal',
+  'peakArrayBuffers',
+  'majorPageFaults',
+  'efficiencyPct',
+  'qualityScore',
+  'qualityLimit',
+  'chunkCount',
+  'chunkSizeMean',
+  'uniqueChunks',
+  'digest',
+  'status',
+  'error'
+];
+
+const CSV_RUN_FIELDS = ['timestamp', 'node', 'platform', 'arch', 'cpuModel'];
+
+function buildRunMetadata({ filename = null, fileSize = null, warmup, iterations }) {
+  const cpus = os.cpus();
+  return {
+    timestamp: new Date().toISOString(),
+    file: filename,
+    fileSize,
+    warmup,
+    iterations,
+    node: process.version,
+    v8: process.versions.v8,
+    platform: process.platform,
+    arch: os.arch(),
+    cpuModel: cpus.length > 0 ? cpus[0].model : null,
+    cpuCount: cpus.length,
+    totalMemory: os.totalmem()
+  };
+}
+
+// Normalize a result into a schema record; summary comes from stats.throughputSummary,
+// usage from resource-usage.summarizeUsage
+function createRecord({
+  suite,
+  algorithm = null,
+  method = null,
+  type = null,
+  inputSize = null,
+  bufferSize = null,
+  pattern = null,
+  cache = null,
+  summary = null,
+  gbps = null,
+  opsPerSec = null,
+  usage = null,
+  efficiencyPct = null,
+  qualityScore = null,
+  qualityLimit = null,
+  chunkCount = null,
+  chunkSizeMean = null,
+  uniqueChunks = null,
+  digest = null,
+  status = summary || gbps !== null ? 'ok' : 'error',
+  error = null
+}) {
+  return {
+    suite,
+    algorithm,
+    method,
+    type,
+    inputSize,
+    bufferSize,
+    pattern,
+    cache,
+    trials: summary ? summary.n : null,
+    durationSeconds: summary ? summary.medianDuration : null,
+    gbps: summary ? summary.median : gbps,
+    gbpsMean: summary ? summary.mean : null,
+    gbpsStddev: summary ? summary.stddev : null,
+    gbpsMin: summary ? summary.min : null,
+    gbpsMax: summary ? summary.max : null,
+    gbpsCiLow: summary ? summary.ciLow : null,
+    gbpsCiHigh: summary ? summary.ciHigh : null,
+    opsPerSec,
+    nsPerOp: opsPerSec ? 1e9 / opsPerSec : null,
+    cpuUserSeconds: usage ? usage.cpuUserSeconds : null,
+    cpuSystemSeconds: usage ? usage.cpuSystemSeconds : null,
+    cpuUtilization: usage ? usage.cpuUtilization : null,
+    cpuSecondsPerGb: usage && usage.cpuUtilization !== null && summary && summary.median > 0
+      ? usage.cpuUtilization / summary.median
+      : null,
+    peakRss: usage ? usage.peakRss : null,
+    peakExternal: usage ? usage.peakExternal : null,
+    peakArrayBuffers: usage ? usage.peakArrayBuffers : null,
+    majorPageFaults: usage ? usage.majorPageFaults : null,
+    efficiencyPct,
+    qualityScore,
+    qualityLimit,
+    chunkCount,
+    chunkSizeMean,
+    uniqueChunks,
+    digest,
+    status,
+    error: status === 'ok' ? null : (error || 'unknown error')
+  };
+}
+
+function writeJsonReport(file, run, records) {
+  const document = {
+    schemaVersion: SCHEMA_VERSION,
+    run,
+    results: records
+  };
+  fs.writeFileSync(file, JSON.stringify(document, null, 2) + '\n');
+}
+
+function csvEscape(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function writeCsvReport(file, run, records) {
+  const header = ['schemaVersion', ...CSV_RUN_FIELDS, ...RECORD_FIELDS];
+  const lines = [header.join(',')];
+
+  for (const record of records) {
+    const row = [
+      SCHEMA_VERSION,
+      ...CSV_RUN_FIELDS.map(field => run[field]),
+      ...RECORD_FIELDS.map(field => record[field])
+    ];
+    lines.push(row.map(csvEscape).join(','));
+  }
+
+  fs.writeFileSync(file, lines.join('\n') + '\n');
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  RECORD_FIELDS,
+  buildRunMetadata,
+  createRecord,
+  writeJsonReport,
+  writeCsvReport
+};
@@ -0,0 +1,104 @@
+// Single-producer / single-consumer ring of fixed-size slots in SharedArrayBuffers,
+// shared by worker-reader.js (producer) and worker-hasher.js (consumer)
+//
+// data:    slotCount * slotSize bytes, slot i at offset i * slotSize
+// control: Int32Array [HEAD, TAIL, length of slot 0, ..., length of slot N-1]
+//   HEAD  chunks published so far (written only by the reader)
+//   TAIL  chunks consumed so far (written only by the hasher)
+//
+// Chunk k lives in slot k % slotCount. The ring is empty when HEAD === TAIL and full
+// when HEAD - TAIL === slotCount, so the reader can fill free slots while the hasher
+// works on older ones. The last chunk carries END_OF_FILE (or READ_ERROR) as its
+// length. With one slot this degenerates to the old lock-step handoff.
+
+const HEAD = 0;
+const TAIL = 1;
+const LENGTHS = 2;
+
+const END_OF_FILE = -1;
+const READ_ERROR = -2;
+
+const WAIT_TIMEOUT_MS = 1000;
+const MAX_TIMEOUTS = 30;
+
+function createRingBuffer(slotCount, slotSize) {
+  return {
+    data: new SharedArrayBuffer(slotCount * slotSize),
+    control: new SharedArrayBuffer((LENGTHS + slotCount) * Int32Array.BYTES_PER_ELEMENT),
+    slotCount,
+    slotSize
+  };
+}
+
+// Views over a ring passed through workerData
+function attachRingBuffer({ data, control, slotCount, slotSize }) {
+  return {
+    bytes: new Uint8Array(data),
+    control: new Int32Array(control),
+    slotCount,
+    slotSize
+  };
+}
+
+function resetRingBuffer(ring) {
+  new Int32Array(ring.control).fill(0);
+}
+
+// Block until control[index] differs from value; throws after MAX_TIMEOUTS waits
+function waitWhile(control, index, value, who) {
+  let timeouts = 0;
+  while (Atomics.load(control, index) === value) {
+    if (Atomics.wait(control, index, value, WAIT_TIMEOUT_MS) === 'timed-out' && ++timeouts >= MAX_TIMEOUTS) {
+      throw new Error(`${who}: timed out waiting on the ring buffer`);
+    }
+  }
+}
+
+// Reader: wait for a free slot and return a view of it
+function acquireWriteSlot(ring) {
+  const head = Atomics.load(ring.control, HEAD);
+  let tail = Atomics.load(ring.control, TAIL);
+  while (head - tail >= ring.slotCount) {
+    waitWhile(ring.control, TAIL, tail, 'Reader');
+    tail = Atomics.load(ring.control, TAIL);
+  }
+  const slot = head % ring.slotCount;
+  return ring.bytes.subarray(slot * ring.slotSize, (slot + 1) * ring.slotSize);
+}
+
+// Reader: publish the slot returned by acquireWriteSlot (length may be END_OF_FILE / READ_ERROR)
+function publishSlot(ring, length) {
+  const head = Atomics.load(ring.control, HEAD);
+  Atomics.store(ring.control, LENGTHS + (head % ring.slotCount), length);
+  Atomics.store(ring.control, HEAD, head + 1);
+  Atomics.notify(ring.control, HEAD);
+}
+
+// Hasher: wait for the next chunk; returns { length, chunk } (chunk is null at the end)
+function acquireReadSlot(ring) {
+  const tail = Atomics.load(ring.control, TAIL);
+  waitWhile(ring.control, HEAD, tail, 'Hasher');
+
+  const slot = tail % ring.slotCount;
+  const length = Atomics.load(ring.control, LENGTHS + slot);
+  const start = slot * ring.slotSize;
+  return { length, chunk: length >= 0 ? ring.bytes.subarray(start, start + length) : null };
+}
+
+// Hasher: hand the slot returned by acquireReadSlot back to the reader
+function releaseSlot(ring) {
+  Atomics.add(ring.control, TAIL, 1);
+  Atomics.notify(ring.control, TAIL);
+}
+
+module.exports = {
+  END_OF_FILE,
+  READ_ERROR,
+  createRingBuffer,
+  attachRingBuffer,
+  resetRingBuffer,
+  acquireWriteSlot,
+  publishSlot,
+  acquireReadSlot,
+  releaseSlot
+};
@@ -0,0 +1,38 @@
+// Reproducible pseudo-random bytes for test files (create-testfile.js random --seed)
+//
+// The stream is the AES-256-CTR keystream with key = SHA-256(seed) and the 128-bit
+// big-endian block counter starting at 0, i.e. AES-CTR encryption of all-zero bytes.
+// Byte n of a file only depends on the seed and n, so workers can generate any
+// 16-byte aligned range on their own and the same seed gives the same file everywhere.
+
+const crypto = require('crypto');
+
+const BLOCK_SIZE = 16;
+
+function seedKey(seed) {
+  return crypto.createHash('sha256').update(String(seed)).digest();
+}
+
+// Seed for runs without --seed, so even those files can be regenerated from the sidecar
+function randomSeed() {
+  return crypto.randomBytes(8).toString('hex');
+}
+
+// Keystream positioned at `offset` (a multiple of 16); next(zeros) returns the next zeros.length bytes
+function createSeededStream(seed, offset = 0) {
+  if (offset % BLOCK_SIZE !== 0) {
+    throw new Error(`Seeded stream offset must be a multiple of ${BLOCK_SIZE} (got ${offset})`);
+  }
+  const counter = Buffer.alloc(BLOCK_SIZE);
+  counter.writeBigUInt64BE(BigInt(offset / BLOCK_SIZE), 8);
+  const cipher = crypto.createCipheriv('aes-256-ctr', seedKey(seed), counter);
+
+  return {
+    next: (zeros) => cipher.update(zeros)
+  };
+}
+
+module.exports = {
+  randomSeed,
+  createSeededStream
+};
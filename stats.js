@@ -0,0 +1,71 @@
+// Statistical helpers for repeated benchmark trials
+
+// Two-sided 95% Student's t critical values, indexed by degrees of freedom
+const T_CRITICAL_95 = [
+  NaN, 12.706, 4.303, 3.182, 2.776, 2.571, 2.447, 2.365, 2.306, 2.262,
+  2.228, 2.201, 2.179, 2.160, 2.145, 2.131, 2.120, 2.110, 2.101, 2.093,
+  2.086, 2.080, 2.074, 2.069, 2.064, 2.060, 2.056, 2.052, 2.048, 2.045, 2.042
+];
+
+function tCritical95(degreesOfFreedom) {
+  if (degreesOfFreedom < 1) return NaN;
+  if (degreesOfFreedom < T_CRITICAL_95.length) return T_CRITICAL_95[degreesOfFreedom];
+  return 1.96;
+}
+
+function median(sorted) {
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[mid - 1] + sorted[mid]) / 2 : sorted[mid];
+}
+
+// Summarize a list of samples: median, mean, sample stddev, min/max and 95% CI of the mean
+function summarize(samples) {
+  if (!samples || samples.length === 0) return null;
+
+  const sorted = [...samples].sort((a, b) => a - b);
+  const n = sorted.length;
+  const mean = sorted.reduce((a, b) => a + b, 0) / n;
+  const variance = n > 1
+    ? sorted.reduce((acc, x) => acc + (x - mean) * (x - mean), 0) / (n - 1)
+    : 0;
+  const stddev = Math.sqrt(variance);
+  const margin = n > 1 ? tCritical95(n - 1) * stddev / Math.sqrt(n) : 0;
+
+  return {
+    n,
+    median: median(sorted),
+    mean,
+    stddev,
+    min: sorted[0],
+    max: sorted[n - 1],
+    ciLow: mean - margin,
+    ciHigh: mean + margin,
+    samples
+  };
+}
+
+// Convert per-trial durations (seconds) into a GB/s summary
+function throughputSummary(sizeGB, durations) {
+  if (!durations || durations.length === 0) return null;
+  const summary = summarize(durations.map(d => sizeGB / d));
+  summary.durations = durations;
+  summary.medianDuration = median([...durations].sort((a, b) => a - b));
+  return summary;
+}
+
+// Convert per-trial durations (seconds) of a fixed number of operations into an ops/sec summary
+function rateSummary(opsPerTrial, durations) {
+  if (!durations || durations.length === 0) return null;
+  const summary = summarize(durations.map(d => opsPerTrial / d));
+  summary.durations = durations;
+  summary.medianDuration = median([...durations].sort((a, b) => a - b));
+  return summary;
+}
+
+module.exports = {
+  median,
+  summarize,
+  throughputSummary,
+  rateSummary,
+  tCritical95
+};
@@ -0,0 +1,145 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+
+// fs.readFile refuses files above this size (ERR_FS_FILE_TOO_LARGE)
+const READ_FILE_MAX = 2 ** 31 - 1;
+
+// Hash a file through fs.createReadStream with the given read size; returns the hex digest.
+// Shared by the streaming suite and checksum.js.
+async function streamHash(filename, impl, bufferSize) {
+  const hasher = impl.createHasher();
+  const stream = fs.createReadStream(filename, { highWaterMark: bufferSize });
+  
+  await new Promise((resolve, reject) => {
+    stream.on('data', chunk => hasher.update(chunk));
+    stream.on('end', resolve);
+    stream.on('error', reject);
+  });
+  
+  return hasher.digest();
+}
+
+// Hash as a Transform that emits the hex digest at the end. Native algorithms use the
+// crypto Hash (or Hmac) object itself, which is such a Transform.
+function createHashTransform(impl) {
+  if (impl.type === 'native') {
+    const hash = impl.key ? crypto.createHmac(impl.hash, impl.key) : crypto.createHash(impl.name);
+    return hash.setEncoding('hex');
+  }
+
+  const hasher = impl.createHasher();
+  return new Transform({
+    readableObjectMode: true,
+    transform(chunk, encoding, callback) {
+      hasher.update(chunk);
+      callback();
+    },
+    flush(callback) {
+      callback(null, hasher.digest());
+    }
+  });
+}
+
+async function pipelineHash(filename, impl, bufferSize) {
+  let digest = null;
+  await pipeline(
+    fs.createReadStream(filename, { highWaterMark: bufferSize }),
+    createHashTransform(impl),
+    async (source) => {
+      for await (const output of source) digest = (digest || '') + output;
+    }
+  );
+  return digest;
+}
+
+async function forAwaitHash(filename, impl, bufferSize) {
+  const hasher = impl.createHasher();
+  for await (const chunk of fs.createReadStream(filename, { highWaterMark: bufferSize })) {
+    hasher.update(chunk);
+  }
+  return hasher.digest();
+}
+
+async function fileHandleReadHash(filename, impl, bufferSize) {
+  const hasher = impl.createHasher();
+  const buffer = Buffer.allocUnsafe(bufferSize);
+  const handle = await fs.promises.open(filename, 'r');
+  try {
+    for (;;) {
+      const { bytesRead } = await handle.read(buffer, 0, bufferSize, null);
+      if (bytesRead === 0) break;
+      hasher.update(buffer.subarray(0, bytesRead));
+    }
+  } finally {
+    await handle.close();
+  }
+  return hasher.digest();
+}
+
+// Chunk size is chosen by Node.js; chunks arrive as ArrayBuffers (Uint8Arrays in newer
+// releases) and are copied before hashing, as the stream may reuse their memory. The
+// reader is released and the stream finished (or cancelled on error) before the handle
+// closes, so the handle is never closed or collected under a stream still reading it.
+async function webStreamHash(filename, impl) {
+  const hasher = impl.createHasher();
+  const handle = await fs.promises.open(filename, 'r');
+  try {
+    const reader = handle.readableWebStream().getReader();
+    try {
+      for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        hasher.update(Buffer.from(ArrayBuffer.isView(value) ? value : new Uint8Array(value)));
+      }
+    } catch (error) {
+      await reader.cancel(error).catch(() => {});
+      throw error;
+    } finally {
+      reader.releaseLock();
+    }
+  } finally {
+    await handle.close();
+  }
+  return hasher.digest();
+}
+
+async function readFileHash(filename, impl) {
+  return impl.toHex(impl.oneShot(await fs.promises.readFile(filename)));
+}
+
+async function cryptoHashFile(filename, impl) {
+  return crypto.hash(impl.name, await fs.promises.readFile(filename), 'hex');
+}
+
+// Alternative reading and hashing APIs the streaming suite measures next to streamHash.
+// hash(filename, impl, bufferSize) resolves to the hex digest; APIs with buffered: false
+// ignore bufferSize (Node.js picks the read size or the whole file is read at once).
+// unsupported(impl, fileSize) gives the reason an API cannot run, or null.
+const wholeFile = (impl, fileSize) =>
+  fileSize > READ_FILE_MAX ? 'file too large for fs.readFile (2GB limit)' : null;
+
+const READ_APIS = [
+  {
+    name: 'crypto.hash',
+    method: 'fs.readFile + crypto.hash',
+    buffered: false,
+    unsupported: (impl, fileSize) =>
+      impl.type !== 'native' ? 'crypto.hash only covers OpenSSL algorithms' :
+      impl.key ? 'crypto.hash takes no key (HMAC)' :
+      typeof crypto.hash !== 'function' ? `crypto.hash needs Node.js 20.12+ (running ${process.version})` :
+      wholeFile(impl, fileSize),
+    hash: cryptoHashFile
+  },
+  { name: 'pipeline', method: 'stream.pipeline', buffered: true, unsupported: () => null, hash: pipelineHash },
+  { name: 'for await', method: 'for await', buffered: true, unsupported: () => null, hash: forAwaitHash },
+  { name: 'FileHandle.read', method: 'FileHandle.read', buffered: true, unsupported: () => null, hash: fileHandleReadHash },
+  { name: 'web stream', method: 'FileHandle.readableWebStream', buffered: false, unsupported: () => null, hash: webStreamHash },
+  { name: 'readFile', method: 'fs.readFile + oneShot', buffered: false, unsupported: wholeFile, hash: readFileHash }
+];
+
+module.exports = {
+  READ_APIS,
+  streamHash
+};
@@ -0,0 +1,58 @@
+// Test file name and size shared by create-testfile.js, info.js, clean.js and benchmark.js
+//
+// Resolved from, in order: --file / --size on the command line, the HASH_TEST_FILE /
+// HASH_TEST_SIZE environment variables, then the 10GB default. Without an explicit name
+// the file is called temp_<size>_file, so the default is still temp_10GB_file and test
+// files of different sizes can sit side by side. <size> is the lossless sizeLabel, so two
+// sizes never share a file.
+
+const { parseSize, formatSize, sizeLabel } = require('./units');
+
+const DEFAULT_SIZE = 10 * 1024 ** 3;
+
+// Pull --file / --size ("--size 512MB" or "--size=512MB") out of argv; returns
+// { filename, size, sizeName, args, configArgs } where args is everything else and
+// configArgs the extracted flags, for handing the same settings to another script
+function resolveTestFile(argv = process.argv.slice(2), env = process.env) {
+  const args = [];
+  const configArgs = [];
+  const values = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const match = /^--(file|size)(?:=(.*))?$/.exec(argv[i]);
+    if (!match) {
+      args.push(argv[i]);
+      continue;
+    }
+    const value = match[2] !== undefined ? match[2] : argv[++i];
+    if (value === undefined || value === '' || value.startsWith('--')) {
+      throw new Error(`--${match[1]} requires a value`);
+    }
+    values[match[1]] = value;
+    configArgs.push(`--${match[1]}`, value);
+  }
+
+  const sizeText = values.size || env.HASH_TEST_SIZE;
+  const size = sizeText ? parseSize(sizeText) : DEFAULT_SIZE;
+  const sizeName = formatSize(size);
+  const filename = values.file || env.HASH_TEST_FILE || `temp_${sizeLabel(size)}_file`;
+
+  return { filename, size, sizeName, args, configArgs };
+}
+
+// Positional arguments left in args (e.g. the method or test type after resolveTestFile),
+// skipping every --flag and the value after each of valueFlags
+function positionalArgs(args, valueFlags = []) {
+  const positionals = [];
+  for (let i = 0; i < args.length; i++) {
+    if (valueFlags.includes(args[i])) i++;
+    else if (!args[i].startsWith('--')) positionals.push(args[i]);
+  }
+  return positionals;
+}
+
+module.exports = {
+  DEFAULT_SIZE,
+  resolveTestFile,
+  positionalArgs
+};
@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getAlgorithm, loadAlgorithm } = require('../algorithms');
+const {
+  createBlockList,
+  writeBlockList,
+  readBlockList,
+  diffBlockList,
+  generateModifications,
+  modificationTransform,
+  expectedRanges
+} = require('../block-list');
+const { createSeededStream } = require('../seeded-random');
+
+const BLOCK_SIZE = 4096;
+const impl = loadAlgorithm(getAlgorithm('sha256'));
+
+function withDir(fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'block-list-test-'));
+  try {
+    return fn(dir);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+function writeData(dir, data) {
+  const file = path.join(dir, 'data');
+  fs.writeFileSync(file, data);
+  return file;
+}
+
+const DATA = createSeededStream('block-list-test').next(Buffer.alloc(10 * BLOCK_SIZE + 123));
+
+test('a written block list reads back unchanged', () => {
+  withDir(dir => {
+    const list = createBlockList(writeData(dir, DATA), impl, BLOCK_SIZE);
+    assert.equal(list.digests.length, 11);
+    writeBlockList(path.join(dir, 'data.blocks'), list);
+    assert.deepEqual(readBlockList(path.join(dir, 'data.blocks')), list);
+  });
+});
+
+test('rejects lists with a bad header or digest count', () => {
+  withDir(dir => {
+    const file = path.join(dir, 'bad.blocks');
+    fs.writeFileSync(file, 'hello\n');
+    assert.throws(() => readBlockList(file), /missing header/);
+    fs.writeFileSync(file, '# block hash list v1\nalgorithm sha256\nblock-size 4096\nfile-size 8192\naa\n');
+    assert.throws(() => readBlockList(file), /1 digests, expected 2/);
+  });
+});
+
+test('an unchanged file has no changed ranges', () => {
+  withDir(dir => {
+    const file = writeData(dir, DATA);
+    const result = diffBlockList(file, createBlockList(file, impl, BLOCK_SIZE), impl);
+    assert.deepEqual(result.ranges, []);
+    assert.equal(result.changedBlocks, 0);
+  });
+});
+
+test('edits, appends and truncation are reported as block ranges', () => {
+  withDir(dir => {
+    const file = writeData(dir, DATA);
+    const list = createBlockList(file, impl, BLOCK_SIZE);
+
+    const edited = Buffer.from(DATA);
+    edited[5000] ^= 1;
+    edited[5001 + BLOCK_SIZE] ^= 1;
+    fs.writeFileSync(file, edited);
+    assert.deepEqual(diffBlockList(file, list, impl).ranges, [{ start: BLOCK_SIZE, end: 3 * BLOCK_SIZE }]);
+
+    fs.writeFileSync(file, Buffer.concat([DATA, Buffer.alloc(5000)]));
+    assert.deepEqual(diffBlockList(file, list, impl).ranges, [{ start: 10 * BLOCK_SIZE, end: DATA.length + 5000 }]);
+
+    fs.writeFileSync(file, DATA.subarray(0, 3 * BLOCK_SIZE + 10));
+    assert.deepEqual(diffBlockList(file, list, impl).ranges, [{ start: 3 * BLOCK_SIZE, end: DATA.length }]);
+  });
+});
+
+test('injected modifications are found exactly', () => {
+  withDir(dir => {
+    const file = writeData(dir, DATA);
+    const list = createBlockList(file, impl, BLOCK_SIZE);
+    const modifications = generateModifications(DATA.length, 5, 3000, 'block-list-test');
+    assert.deepEqual(modifications, generateModifications(DATA.length, 5, 3000, 'block-list-test'));
+
+    const result = diffBlockList(file, list, impl, modificationTransform(modifications));
+    assert.deepEqual(result.ranges, expectedRanges(modifications, BLOCK_SIZE, DATA.length));
+    assert.ok(result.ranges.length > 0);
+  });
+});
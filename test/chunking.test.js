@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { CHUNKERS, parseChunkSizes, parseChunkerList, createChunker, chunkFile, summarizeChunkSizes } = require('../chunking');
+const { createSeededStream } = require('../seeded-random');
+
+const SIZES = parseChunkSizes('2KB/8KB/64KB');
+
+function withFile(data, fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'chunking-test-'));
+  const file = path.join(dir, 'data');
+  fs.writeFileSync(file, data);
+  try {
+    return fn(file);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test('parses chunk sizes and chunker lists', () => {
+  assert.deepEqual(SIZES, { min: 2048, avg: 8192, max: 65536, name: '2KB/8KB/64KB' });
+  assert.throws(() => parseChunkSizes('8KB/2KB/64KB'), /min < avg < max/);
+  assert.throws(() => parseChunkSizes('2KB/8KB'), /min\/avg\/max/);
+  assert.deepEqual(parseChunkerList('FastCDC, rabin'), ['rabin', 'fastcdc']);
+  assert.throws(() => parseChunkerList('zstd'), /Unknown chunker/);
+});
+
+test('boundaries do not depend on the read size and respect min and max', () => {
+  const data = createSeededStream('chunking-test').next(Buffer.alloc(1024 * 1024));
+  withFile(data, file => {
+    for (const name of CHUNKERS) {
+      const { lengths } = chunkFile(file, createChunker(name, SIZES), 1024 * 1024);
+      assert.equal(lengths.reduce((sum, length) => sum + length, 0), data.length, name);
+      assert.ok(lengths.slice(0, -1).every(length => length >= SIZES.min && length <= SIZES.max), name);
+      assert.deepEqual(chunkFile(file, createChunker(name, SIZES), 4099).lengths, lengths, name);
+    }
+  });
+});
+
+test('fingerprinting finds repeated content', () => {
+  const block = createSeededStream('chunking-dedup').next(Buffer.alloc(256 * 1024));
+  withFile(Buffer.concat([block, block, block]), file => {
+    const createHasher = () => {
+      const hash = crypto.createHash('sha256');
+      return { update: chunk => hash.update(chunk), digest: () => hash.digest('hex') };
+    };
+    const result = chunkFile(file, createChunker('fastcdc', SIZES), 65536, createHasher);
+    assert.ok(result.uniqueBytes < block.length * 1.5);
+    assert.ok(result.uniqueChunks < result.lengths.length);
+  });
+});
+
+test('summarizes chunk sizes, and an empty file without NaN', () => {
+  const summary = summarizeChunkSizes([1, 2, 3, 65536], SIZES);
+  assert.equal(summary.count, 4);
+  assert.equal(summary.smallest, 1);
+  assert.equal(summary.largest, 65536);
+  assert.equal(summary.atMax, 0.25);
+  assert.deepEqual(summarizeChunkSizes([], SIZES), {
+    count: 0, mean: 0, stddev: 0, p10: null, p50: null, p90: null, smallest: null, largest: null, atMax: 0
+  });
+});
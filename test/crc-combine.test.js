@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CRC32_POLY, CRC32C_POLY, crcCombine } = require('../crc-combine');
+const { crc32, crc32c } = require('../js-hashes');
+const { createSeededStream } = require('../seeded-random');
+
+const DATA = createSeededStream('crc-combine-test').next(Buffer.alloc(100000));
+
+for (const [name, poly, crc] of [['crc32', CRC32_POLY, crc32], ['crc32c', CRC32C_POLY, crc32c]]) {
+  test(`${name}: combining the CRCs of two parts gives the CRC of the whole`, () => {
+    const whole = crc(DATA) >>> 0;
+    for (const split of [0, 1, 7, 4096, 65537, DATA.length - 1, DATA.length]) {
+      const a = crc(DATA.subarray(0, split));
+      const b = crc(DATA.subarray(split));
+      assert.equal(crcCombine(poly, a, b, DATA.length - split), whole, `split at ${split}`);
+    }
+  });
+
+  test(`${name}: combining many ranges in order`, () => {
+    let combined = crc(Buffer.alloc(0));
+    for (let start = 0; start < DATA.length; start += 12345) {
+      const part = DATA.subarray(start, start + 12345);
+      combined = crcCombine(poly, combined, crc(part), part.length);
+    }
+    assert.equal(combined, crc(DATA) >>> 0);
+  });
+}
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { ALGORITHMS, isAvailable, loadAlgorithm } = require('../algorithms');
+const { runKnownAnswerTests } = require('../known-answers');
+const { createSeededStream } = require('../seeded-random');
+const js = require('../js-hashes');
+
+// Lengths around the block sizes of every algorithm (4-byte CRC slices, 16/32-byte xxHash
+// stripes, 64/128-byte BLAKE2 blocks, the 240-byte and 1KB XXH3 thresholds)
+const LENGTHS = [0, 1, 3, 4, 7, 8, 15, 16, 17, 31, 32, 33, 63, 64, 65, 127, 128, 129, 240, 241, 1023, 1024, 1025, 4099];
+const DATA = createSeededStream('js-hashes-test').next(Buffer.alloc(Math.max(...LENGTHS)));
+
+// Registry entries implemented in JavaScript that reimplement a native or external one
+const pairs = ALGORITHMS
+  .filter(algo => algo.type === 'javascript' && algo.reference)
+  .map(algo => [algo, ALGORITHMS.find(a => a.name === algo.reference)]);
+
+function hashInChunks(impl, data, chunkSize) {
+  const hasher = impl.createHasher();
+  for (let i = 0; i < data.length; i += chunkSize) hasher.update(data.subarray(i, i + chunkSize));
+  return hasher.digest();
+}
+
+test('every available algorithm passes its known-answer vectors', () => {
+  const failed = runKnownAnswerTests().filter(result => result.status === 'failed');
+  assert.deepEqual(failed.map(result => result.error), []);
+});
+
+for (const [algo, reference] of pairs) {
+  test(`${algo.name} matches ${reference.name}`, { skip: !isAvailable(reference) && `missing ${reference.package}` }, () => {
+    const impl = loadAlgorithm(algo);
+    const referenceImpl = loadAlgorithm(reference);
+    for (const length of LENGTHS) {
+      const data = DATA.subarray(0, length);
+      const expected = referenceImpl.toHex(referenceImpl.oneShot(data));
+      assert.equal(impl.toHex(impl.oneShot(data)), expected, `one-shot, ${length} bytes`);
+      assert.equal(hashInChunks(impl, data, 7), expected, `7-byte updates, ${length} bytes`);
+    }
+  });
+}
+
+test('unkeyed BLAKE2 matches node:crypto', () => {
+  for (const length of LENGTHS) {
+    const data = DATA.subarray(0, length);
+    assert.equal(js.blake2b(data).toString('hex'), crypto.createHash('blake2b512').update(data).digest('hex'));
+    assert.equal(js.blake2s(data).toString('hex'), crypto.createHash('blake2s256').update(data).digest('hex'));
+  }
+});
+
+test('incremental JavaScript hashers match their one-shot form', () => {
+  for (const algo of ALGORITHMS.filter(a => (a.hasherType || a.type) === 'javascript' && isAvailable(a))) {
+    const impl = loadAlgorithm(algo);
+    for (const length of [0, 17, 241, 4099]) {
+      const data = DATA.subarray(0, length);
+      assert.equal(hashInChunks(impl, data, 13), impl.toHex(impl.oneShot(data)), `${algo.name}, ${length} bytes`);
+    }
+  }
+});
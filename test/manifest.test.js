@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { manifestTag, algorithmForTag, algorithmForManifestFile, formatEntry, parseManifest } = require('../manifest');
+
+const DIGEST = 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad';
+
+test('formats GNU and BSD lines like sha256sum and sha256sum --tag', () => {
+  assert.equal(formatEntry('sha256', DIGEST, 'a/b.txt'), `${DIGEST}  a/b.txt`);
+  assert.equal(formatEntry('sha256', DIGEST, 'a/b.txt', { tag: true }), `SHA256 (a/b.txt) = ${DIGEST}`);
+  assert.equal(formatEntry('xxh3-64', '0123456789abcdef', 'f'), 'XXH3_0123456789abcdef  f');
+});
+
+test('parses what it formats, escaped paths included', () => {
+  const files = ['plain.txt', 'with space', 'back\\slash', 'new\nline', 'carriage\rreturn'];
+  for (const tag of [false, true]) {
+    const text = files.map(file => formatEntry('sha256', DIGEST, file, { tag })).join('\n') + '\n';
+    const { entries, invalid } = parseManifest(text);
+    assert.deepEqual(invalid, []);
+    assert.deepEqual(entries.map(entry => entry.file), files);
+    assert.ok(entries.every(entry => entry.digest === DIGEST && entry.tag === (tag ? 'SHA256' : null)));
+  }
+});
+
+test('accepts binary mode, openssl dgst, CRLF, comments and reports invalid lines', () => {
+  const text = [
+    '# comment',
+    `${DIGEST.toUpperCase()} *bin.dat`,
+    `SHA256(dgst.txt)= ${DIGEST}\r`,
+    '',
+    'not a manifest line',
+    'XXH3_0123456789abcdef  x'
+  ].join('\n');
+  const { entries, invalid } = parseManifest(text);
+  assert.deepEqual(entries.map(({ line, tag, file }) => ({ line, tag, file })), [
+    { line: 2, tag: null, file: 'bin.dat' },
+    { line: 3, tag: 'SHA256', file: 'dgst.txt' },
+    { line: 6, tag: 'XXH3', file: 'x' }
+  ]);
+  assert.equal(entries[0].digest, DIGEST);
+  assert.deepEqual(invalid, [5]);
+});
+
+test('maps tags and manifest file names to algorithms', () => {
+  assert.equal(manifestTag('blake2b512'), 'BLAKE2b');
+  assert.equal(manifestTag('fnv1a-32'), 'FNV1A-32');
+  assert.equal(algorithmForTag('xxh128', ['sha256', 'xxh3-128']), 'xxh3-128');
+  assert.equal(algorithmForTag('MD5', ['sha256']), null);
+  assert.equal(algorithmForManifestFile('dir/SHA256SUMS'), 'sha256');
+  assert.equal(algorithmForManifestFile('files.xxh3'), 'xxh3-64');
+  assert.equal(algorithmForManifestFile('notes.txt'), null);
+});
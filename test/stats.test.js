@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { median, summarize, throughputSummary, rateSummary, tCritical95 } = require('../stats');
+
+test('median of odd and even sorted lists', () => {
+  assert.equal(median([1, 2, 3]), 2);
+  assert.equal(median([1, 2, 3, 4]), 2.5);
+});
+
+test('summarize gives median, mean, sample deviation and a t-based 95% CI', () => {
+  const summary = summarize([4, 2, 6, 8]);
+  assert.equal(summary.n, 4);
+  assert.equal(summary.median, 5);
+  assert.equal(summary.mean, 5);
+  assert.equal(summary.min, 2);
+  assert.equal(summary.max, 8);
+  assert.ok(Math.abs(summary.stddev - Math.sqrt(20 / 3)) < 1e-12);
+  const margin = tCritical95(3) * summary.stddev / 2;
+  assert.ok(Math.abs(summary.ciHigh - (5 + margin)) < 1e-12);
+  assert.ok(Math.abs(summary.ciLow - (5 - margin)) < 1e-12);
+});
+
+test('a single sample has no spread', () => {
+  const summary = summarize([3]);
+  assert.equal(summary.stddev, 0);
+  assert.equal(summary.ciLow, 3);
+  assert.equal(summary.ciHigh, 3);
+  assert.equal(summarize([]), null);
+});
+
+test('throughput and rate summaries divide the work by each duration', () => {
+  const throughput = throughputSummary(2, [1, 0.5, 2]);
+  assert.equal(throughput.median, 2);
+  assert.equal(throughput.medianDuration, 1);
+  assert.equal(rateSummary(1000, [0.5]).median, 2000);
+  assert.equal(throughputSummary(1, []), null);
+});
@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseSize, parseSizeList, formatSize, sizeLabel } = require('../units');
+
+test('parseSize reads binary units, fractions and plain byte counts', () => {
+  assert.equal(parseSize('512'), 512);
+  assert.equal(parseSize('4kb'), 4096);
+  assert.equal(parseSize('64KiB'), 65536);
+  assert.equal(parseSize('1.5GB'), 1.5 * 1024 ** 3);
+  assert.equal(parseSize(' 10 G '), 10 * 1024 ** 3);
+  assert.throws(() => parseSize('12XB'), /Invalid size/);
+  assert.throws(() => parseSize('-1MB'), /Invalid size/);
+  assert.throws(() => parseSize('0'), /greater than zero/);
+});
+
+test('formatSize gives compact labels', () => {
+  assert.equal(formatSize(512), '512B');
+  assert.equal(formatSize(65536), '64KB');
+  assert.equal(formatSize(1.5 * 1024 ** 3), '1.5GB');
+  assert.equal(formatSize(null), '-');
+});
+
+test('sizeLabel round-trips through parseSize', () => {
+  for (const size of [1, 1000, 1536, 65536, 1000000, 1664299827, 1717986918, 10 * 1024 ** 3]) {
+    assert.equal(parseSize(sizeLabel(size)), size, String(size));
+  }
+  assert.equal(sizeLabel(65536), '64KB');
+  assert.equal(sizeLabel(1000000), '1000000B');
+});
+
+test('parseSizeList names every entry losslessly', () => {
+  assert.deepEqual(parseSizeList('64KB, 1.55GB,,1.6GB'), [
+    { size: 65536, name: '64KB' },
+    { size: 1664299827, name: '1664299827B' },
+    { size: 1717986918, name: '1.6GB' }
+  ]);
+});
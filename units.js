@@ -0,0 +1,72 @@
+// Size string helpers shared by the CLI scripts (binary units: 1KB = 1024 bytes)
+
+const UNITS = ['B', 'KB', 'MB', 'GB', 'TB'];
+
+const MULTIPLIERS = {
+  B: 1,
+  K: 1024,
+  KB: 1024,
+  KIB: 1024,
+  M: 1024 ** 2,
+  MB: 1024 ** 2,
+  MIB: 1024 ** 2,
+  G: 1024 ** 3,
+  GB: 1024 ** 3,
+  GIB: 1024 ** 3,
+  T: 1024 ** 4,
+  TB: 1024 ** 4,
+  TIB: 1024 ** 4
+};
+
+// Parse "512MB", "4kb", "1.5GB" or a plain byte count into bytes
+function parseSize(text) {
+  const match = /^\s*(\d+(?:\.\d+)?)\s*([a-z]*)\s*$/i.exec(String(text));
+  const multiplier = match && MULTIPLIERS[(match[2] || 'B').toUpperCase()];
+  if (!multiplier) {
+    throw new Error(`Invalid size "${text}" (expected e.g. 64KB, 512MB, 10GB)`);
+  }
+
+  const bytes = Math.round(Number(match[1]) * multiplier);
+  if (bytes <= 0) {
+    throw new Error(`Size must be greater than zero (got "${text}")`);
+  }
+  return bytes;
+}
+
+// Parse a comma-separated list of sizes into [{ size, name }] entries
+function parseSizeList(text) {
+  return String(text)
+    .split(',')
+    .map(part => part.trim())
+    .filter(Boolean)
+    .map(part => {
+      const size = parseSize(part);
+      return { size, name: sizeLabel(size) };
+    });
+}
+
+// Compact label such as "64KB", "1.5GB"; '-' for missing values
+function formatSize(bytes) {
+  if (bytes === null || bytes === undefined) return '-';
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < UNITS.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${Number.isInteger(value) ? value : value.toFixed(1)}${UNITS[unit]}`;
+}
+
+// formatSize when it reads back as the same byte count, otherwise the byte count
+// ("1664299827B"), so distinct sizes never share a label (names, file names, methods)
+function sizeLabel(bytes) {
+  const name = formatSize(bytes);
+  return parseSize(name) === bytes ? name : `${bytes}B`;
+}
+
+module.exports = {
+  parseSize,
+  parseSizeList,
+  formatSize,
+  sizeLabel
+};
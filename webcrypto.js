@@ -0,0 +1,27 @@
+// WebCrypto counterparts of the native SHA algorithms (crypto.webcrypto.subtle.digest),
+// measured next to their createHash rows in the in-memory and small-input suites.
+// subtle.digest is promise-based: Node.js hashes on the libuv thread pool and resolves
+// on a later event-loop turn, so every call also pays that round trip.
+
+const { webcrypto } = require('crypto');
+
+// Registry name -> WebCrypto algorithm name
+const WEBCRYPTO_NAMES = {
+  sha1: 'SHA-1',
+  sha256: 'SHA-256',
+  sha384: 'SHA-384',
+  sha512: 'SHA-512'
+};
+
+// Async one-shot digest (resolves to a Buffer) for a registry algorithm, or null when
+// WebCrypto has no counterpart
+function subtleDigester(algoName) {
+  const name = WEBCRYPTO_NAMES[algoName];
+  if (!name) return null;
+  return async (data) => Buffer.from(await webcrypto.subtle.digest(name, data));
+}
+
+module.exports = {
+  WEBCRYPTO_NAMES,
+  subtleDigester
+};
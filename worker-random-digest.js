@@ -0,0 +1,20 @@
+const { workerData, parentPort } = require('worker_threads');
+const { loadAlgorithm } = require('./algorithms');
+const { createSeededStream } = require('./seeded-random');
+
+// Regenerates the seeded stream in memory and hashes it, so the expected digests of a
+// generated file are known without reading it back from disk
+const { seed, size, algorithms, chunkSize } = workerData;
+
+const zeros = Buffer.alloc(chunkSize);
+const stream = createSeededStream(seed);
+const hashers = algorithms.map(name => loadAlgorithm(name).createHasher());
+
+for (let position = 0; position < size; position += chunkSize) {
+  const chunk = stream.next(zeros.subarray(0, Math.min(chunkSize, size - position)));
+  for (const hasher of hashers) hasher.update(chunk);
+}
+
+const digests = {};
+algorithms.forEach((name, i) => { digests[name] = hashers[i].digest(); });
+parentPort.postMessage({ digests });
@@ -0,0 +1,30 @@
+const { workerData, parentPort } = require('worker_threads');
+const fs = require('fs');
+const { createSeededStream } = require('./seeded-random');
+
+// Writes the seeded stream for each [start, end) range of the file in place
+// (the file is already created at full size) and reports progress per chunk
+const { file, seed, ranges, chunkSize } = workerData;
+
+const zeros = Buffer.alloc(chunkSize);
+
+const fd = fs.openSync(file, 'r+');
+try {
+  for (const { start, end } of ranges) {
+    const stream = createSeededStream(seed, start);
+    let position = start;
+
+    while (position < end) {
+      const length = Math.min(chunkSize, end - position);
+      const chunk = stream.next(zeros.subarray(0, length));
+      let written = 0;
+      while (written < length) {
+        written += fs.writeSync(fd, chunk, written, length - written, position + written);
+      }
+      position += length;
+      parentPort.postMessage({ written: length });
+    }
+  }
+} finally {
+  fs.closeSync(fd);
+}
@@ -0,0 +1,37 @@
+const { workerData, parentPort } = require('worker_threads');
+const fs = require('fs');
+const { loadAlgorithm } = require('./algorithms');
+const { createMemoryPeak } = require('./resource-usage');
+
+// Hashes each [start, end) byte range of the file independently and reports one
+// hex digest per range, in the order the ranges were given
+const { file, algo, ranges, bufferSize } = workerData;
+
+const impl = loadAlgorithm(algo);
+const buffer = Buffer.allocUnsafe(bufferSize);
+const digests = [];
+const memory = createMemoryPeak();
+
+const fd = fs.openSync(file, 'r');
+try {
+  for (const { start, end } of ranges) {
+    const hasher = impl.createHasher();
+    let position = start;
+
+    while (position < end) {
+      const bytesRead = fs.readSync(fd, buffer, 0, Math.min(bufferSize, end - position), position);
+      if (bytesRead === 0) {
+        throw new Error(`Unexpected end of file at ${position} (range ${start}-${end})`);
+      }
+      hasher.update(buffer.subarray(0, bytesRead));
+      memory.sample();
+      position += bytesRead;
+    }
+
+    digests.push(hasher.digest());
+  }
+} finally {
+  fs.closeSync(fd);
+}
+
+parentPort.postMessage({ algo, digests, memory: memory.value() });
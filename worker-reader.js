@@ -1,83 +1,67 @@
-const { workerData } = require('worker_threads');
+const { workerData, parentPort } = require('worker_threads');
 const fs = require('fs');
+const {
+  END_OF_FILE,
+  READ_ERROR,
+  attachRingBuffer,
+  acquireWriteSlot,
+  publishSlot
+} = require('./ring-buffer');
+const { createMemoryPeak } = require('./resource-usage');
 
-const { file, buffer, flags, chunkSize } = workerData;
-const dataView = new Uint8Array(buffer);
-const flagView = new Int32Array(flags); // [status, length]
+const { file, ring: ringBuffers, readMode = 'stream' } = workerData;
+const ring = attachRingBuffer(ringBuffers);
+const memory = createMemoryPeak();
 
-// States:
-// 0: Ready for new data
-// 1: Data available for processing
-// 2: EOF signal
+// Producer side of the ring buffer (see ring-buffer.js). Reading continues into free
+// slots while the hasher is busy with earlier ones. Read modes:
+//   stream  fs.createReadStream, each chunk copied into the slot (two copies per byte)
+//   direct  fs.readSync straight into the slot's view of the SharedArrayBuffer (one copy)
 
-const stream = fs.createReadStream(file, { highWaterMark: chunkSize });
+async function readStreamed() {
+  const stream = fs.createReadStream(file, { highWaterMark: ring.slotSize });
+  for await (const chunk of stream) {
+    const slot = acquireWriteSlot(ring);
+    slot.set(chunk);
+    publishSlot(ring, chunk.length);
+    memory.sample();
+  }
+}
 
-(async () => {
-  let iterations = 0;
-  const MAX_ITERATIONS = 1000000; // Prevent infinite loops
-  
+function readDirect() {
+  const fd = fs.openSync(file, 'r');
   try {
-    for await (const chunk of stream) {
-      iterations++;
-      if (iterations > MAX_ITERATIONS) {
-        console.error('Reader: Max iterations reached, exiting');
-        break;
-      }
-      
-      // Wait for hasher to be ready (status == 0) with timeout
-      let waitCount = 0;
-      while (Atomics.load(flagView, 0) !== 0 && waitCount < 1000) {
-        waitCount++;
-        const waitResult = Atomics.wait(flagView, 0, Atomics.load(flagView, 0), 100); // 100ms timeout
-        if (waitResult === 'timed-out') {
-          // Check if hasher is still alive by trying to notify
-          const currentStatus = Atomics.load(flagView, 0);
-          if (currentStatus === 2) {
-            // Hasher signaled EOF, something's wrong
-            throw new Error('Hasher signaled EOF prematurely');
-          }
-        }
-      }
-      
-      if (waitCount >= 1000) {
-        throw new Error('Reader: Timeout waiting for hasher to be ready');
-      }
-      
-      // Copy data into shared buffer
-      dataView.set(chunk);
-      
-      // Set length and signal data is available
-      Atomics.store(flagView, 1, chunk.length);
-      Atomics.store(flagView, 0, 1); // status = data available
-      Atomics.notify(flagView, 0);
+    let position = 0;
+    for (;;) {
+      const slot = acquireWriteSlot(ring);
+      const bytesRead = fs.readSync(fd, slot, 0, slot.length, position);
+      if (bytesRead === 0) break;
+      publishSlot(ring, bytesRead);
+      memory.sample();
+      position += bytesRead;
     }
-    
-    // Send EOF signal
-    // Wait for hasher to be ready with timeout
-    let waitCount = 0;
-    while (Atomics.load(flagView, 0) !== 0 && waitCount < 1000) {
-      waitCount++;
-      const waitResult = Atomics.wait(flagView, 0, Atomics.load(flagView, 0), 100);
-      if (waitResult === 'timed-out' && waitCount > 10) {
-        console.warn('Reader: Timeout waiting for hasher before EOF, forcing EOF signal');
-        break;
-      }
-    }
-    
-    // Signal EOF
-    Atomics.store(flagView, 0, 2); // status = EOF
-    Atomics.notify(flagView, 0);
-    
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+(async () => {
+  try {
+    if (readMode === 'direct') readDirect();
+    else await readStreamed();
+
+    acquireWriteSlot(ring);
+    publishSlot(ring, END_OF_FILE);
+    parentPort.postMessage({ memory: memory.value() });
   } catch (error) {
     console.error('Reader error:', error);
-    // Signal EOF on error
+    // Tell the hasher to stop instead of producing a digest of a partial file
     try {
-      Atomics.store(flagView, 0, 2);
-      Atomics.notify(flagView, 0);
-    } catch (atomicError) {
-      console.error('Reader: Error signaling EOF:', atomicError);
+      acquireWriteSlot(ring);
+      publishSlot(ring, READ_ERROR);
+    } catch (ringError) {
+      console.error('Reader: Error signaling failure:', ringError);
     }
+    process.exit(1);
   }
-  
-  process.exit(0);
-})();
\ No newline at end of file
+})();